@@ -1,9 +1,302 @@
 // Expense Tracker Pro - Main JavaScript File
-class ExpenseTracker {
+
+// Storage adapters. Both expose the same async interface: a small key/value
+// settings store (cached in memory so reads stay synchronous after open())
+// and per-user transaction and attachment stores.
+class IndexedDBStorage {
+    constructor(name = 'ExpenseTrackerPro') {
+        this.name = name;
+        this.version = 3;
+        this.db = null;
+        this.cache = new Map();
+    }
+
+    async open() {
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const existingTransactions = db.objectStoreNames.contains('transactions')
+                    ? request.transaction.objectStore('transactions')
+                    : null;
+
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings');
+                }
+
+                if (!existingTransactions) {
+                    const store = db.createObjectStore('transactions', { keyPath: ['user', 'id'] });
+                    store.createIndex('user', 'user');
+                } else if (existingTransactions.indexNames.contains('date')) {
+                    // Older versions kept date, category and type in plaintext beside the encrypted payload
+                    ['date', 'category', 'type'].forEach(name => existingTransactions.deleteIndex(name));
+                    existingTransactions.openCursor().onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor) return;
+                        const { date, category, type, ...record } = cursor.value;
+                        cursor.update(record);
+                        cursor.continue();
+                    };
+                }
+
+                if (!db.objectStoreNames.contains('attachments')) {
+                    const store = db.createObjectStore('attachments', { keyPath: ['user', 'id'] });
+                    store.createIndex('user', 'user');
+                    store.createIndex('transaction', ['user', 'transactionId']);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const [keys, values] = await Promise.all([
+            this.run('settings', 'readonly', store => store.getAllKeys()),
+            this.run('settings', 'readonly', store => store.getAll())
+        ]);
+        keys.forEach((key, index) => this.cache.set(key, values[index]));
+    }
+
+    run(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.cache.set(key, value);
+        return this.run('settings', 'readwrite', store => store.put(value, key));
+    }
+
+    removeItem(key) {
+        this.cache.delete(key);
+        return this.run('settings', 'readwrite', store => store.delete(key));
+    }
+
+    getTransactions(user) {
+        return this.run('transactions', 'readonly', store => store.index('user').getAll(user));
+    }
+
+    putTransactions(user, records) {
+        return this.run('transactions', 'readwrite', store => {
+            records.forEach(record => store.put({ ...record, user }));
+        });
+    }
+
+    deleteTransactions(user, ids) {
+        return this.run('transactions', 'readwrite', store => {
+            ids.forEach(id => store.delete([user, id]));
+        });
+    }
+
+    replaceTransactions(user, records) {
+        return this.run('transactions', 'readwrite', store => {
+            const keysRequest = store.index('user').getAllKeys(user);
+            keysRequest.onsuccess = () => {
+                keysRequest.result.forEach(key => store.delete(key));
+                records.forEach(record => store.put({ ...record, user }));
+            };
+        });
+    }
+
+    getAttachments(user, transactionId) {
+        return this.run('attachments', 'readonly', store => store.index('transaction').getAll([user, transactionId]));
+    }
+
+    getAllAttachments(user) {
+        return this.run('attachments', 'readonly', store => store.index('user').getAll(user));
+    }
+
+    async getAttachmentIds(user) {
+        const keys = await this.run('attachments', 'readonly', store => store.index('user').getAllKeys(user));
+        return keys.map(key => key[1]);
+    }
+
+    putAttachments(user, records) {
+        return this.run('attachments', 'readwrite', store => {
+            records.forEach(record => store.put({ ...record, user }));
+        });
+    }
+
+    deleteAttachments(user, ids) {
+        return this.run('attachments', 'readwrite', store => {
+            ids.forEach(id => store.delete([user, id]));
+        });
+    }
+}
+
+// Drop-in replacement for IndexedDBStorage that keeps everything in memory,
+// e.g. `new ExpenseTracker(new MemoryStorage())` in tests (see script.test.js).
+class MemoryStorage {
     constructor() {
+        this.cache = new Map();
+        this.transactions = new Map();
+        this.attachments = new Map();
+    }
+
+    async open() {}
+
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.cache.set(key, structuredClone(value));
+    }
+
+    async removeItem(key) {
+        this.cache.delete(key);
+    }
+
+    userTransactions(user) {
+        if (!this.transactions.has(user)) {
+            this.transactions.set(user, new Map());
+        }
+        return this.transactions.get(user);
+    }
+
+    async getTransactions(user) {
+        return [...this.userTransactions(user).values()].map(record => structuredClone(record));
+    }
+
+    async putTransactions(user, records) {
+        const store = this.userTransactions(user);
+        records.forEach(record => store.set(record.id, structuredClone({ ...record, user })));
+    }
+
+    async deleteTransactions(user, ids) {
+        const store = this.userTransactions(user);
+        ids.forEach(id => store.delete(id));
+    }
+
+    async replaceTransactions(user, records) {
+        this.transactions.delete(user);
+        await this.putTransactions(user, records);
+    }
+
+    userAttachments(user) {
+        if (!this.attachments.has(user)) {
+            this.attachments.set(user, new Map());
+        }
+        return this.attachments.get(user);
+    }
+
+    async getAttachments(user, transactionId) {
+        const records = await this.getAllAttachments(user);
+        return records.filter(record => record.transactionId === transactionId);
+    }
+
+    async getAllAttachments(user) {
+        return [...this.userAttachments(user).values()].map(record => structuredClone(record));
+    }
+
+    async getAttachmentIds(user) {
+        return [...this.userAttachments(user).keys()];
+    }
+
+    async putAttachments(user, records) {
+        const store = this.userAttachments(user);
+        records.forEach(record => store.set(record.id, structuredClone({ ...record, user })));
+    }
+
+    async deleteAttachments(user, ids) {
+        const store = this.userAttachments(user);
+        ids.forEach(id => store.delete(id));
+    }
+}
+
+class ExpenseTracker {
+    constructor(storage = new IndexedDBStorage()) {
+        this.storage = storage;
         this.currentUser = null;
         this.transactions = [];
-        this.categories = [
+        this.budgets = {};
+        this.recurringRules = [];
+        this.editingRecurringRule = null;
+        this.exchangeRates = [];
+        this.accounts = [];
+        this.categories = this.getDefaultCategories();
+        this.charts = {};
+        this.currentFilter = 'all';
+        this.editingTransaction = null;
+        this.editingSplits = null;
+        this.savedViews = [];
+        this.searchTimer = null;
+        this.transactionSort = { key: 'date', direction: 'desc' };
+        this.transactionPage = 1;
+        this.transactionPageSize = 50;
+        this.transactionRowHtml = new Map();
+        this.selectedTransactionIds = new Set();
+        this.filteredTransactionIds = [];
+        this.pageTransactionIds = [];
+        this.categoryRules = [];
+        this.editingCategory = null;
+        this.deletingCategory = null;
+        this.formRule = null;
+        this.categoryChosenByHand = false;
+        this.editingTags = [];
+        this.tagSuggestions = [];
+        this.activeTagSuggestion = -1;
+        this.editingAttachments = [];
+        this.goals = [];
+        this.editingGoal = null;
+        this.bills = [];
+        this.billReminders = {};
+        this.shownBillToasts = new Set();
+        this.billReminderDays = 3;
+        this.dismissedInsights = [];
+        this.visibleInsights = [];
+        this.insightMinHistory = 6;
+        this.insightLimit = 8;
+        // Bumped on every save; see getCachedData()
+        this.dataVersion = 0;
+        this.derivedCache = { key: null, transactions: null, values: new Map() };
+        this.serviceWorkerRegistration = null;
+        this.updateRequested = false;
+        this.installPrompt = null;
+        this.sync = null;
+        this.syncKey = null;
+        this.syncTimer = null;
+        this.syncStateTimer = null;
+        this.syncing = false;
+        this.syncDelay = 2000;
+        this.syncBatchSize = 100;
+        this.syncConflictLimit = 200;
+        this.syncKeyIterations = 310000;
+        this.syncedCollections = ['categories', 'budgets', 'accounts', 'exchangeRates', 'recurringRules', 'categoryRules', 'goals', 'bills'];
+        // Receipts stay on the device they were added on
+        this.syncExcludedFields = ['attachments'];
+        this.viewerAttachments = [];
+        this.viewerIndex = 0;
+        this.viewerUrl = null;
+        this.receiptMaxDimension = 1600;
+        this.receiptQuality = 0.8;
+        this.receiptMaxSize = 5 * 1024 * 1024;
+        this.receiptTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+        this.historyQueue = Promise.resolve();
+        this.isFirstTime = false;
+        this.preferredCurrency = 'INR';
+        this.encryptionKey = null;
+        this.pbkdf2Iterations = 310000;
+        this.storageQueue = Promise.resolve();
+        this.hasLegacyData = false;
+        this.backupSchemaVersion = 4;
+        this.pendingBackup = null;
+    }
+
+    getDefaultCategories() {
+        return [
             { id: 'food', name: 'Food & Dining', icon: 'fas fa-utensils', color: '#f59e0b' },
             { id: 'transport', name: 'Transportation', icon: 'fas fa-car', color: '#3b82f6' },
             { id: 'shopping', name: 'Shopping', icon: 'fas fa-shopping-bag', color: '#8b5cf6' },
@@ -14,21 +307,27 @@ class ExpenseTracker {
             { id: 'travel', name: 'Travel', icon: 'fas fa-plane', color: '#84cc16' },
             { id: 'other', name: 'Other', icon: 'fas fa-ellipsis-h', color: '#6b7280' }
         ];
-        this.charts = {};
-        this.currentFilter = 'all';
-        this.editingTransaction = null;
-        this.isFirstTime = !localStorage.getItem('expenseTrackerOnboarding');
-        this.preferredCurrency = localStorage.getItem('preferredCurrency') || 'INR';
-        
-        this.init();
     }
 
-    init() {
+    async init() {
         this.setupEventListeners();
+        this.registerServiceWorker();
+        this.showLoadingScreen();
+
+        try {
+            await this.storage.open();
+            await this.migrateFromLocalStorage();
+        } catch (error) {
+            this.hideLoadingScreen();
+            this.showNotification('Could not open local storage. Your data cannot be loaded.', 'error');
+            return;
+        }
+
+        this.isFirstTime = !this.storage.getItem('expenseTrackerOnboarding');
+        this.preferredCurrency = this.storage.getItem('preferredCurrency') || 'INR';
         this.loadUserData();
         this.initializeTheme();
         this.loadCurrencySettings();
-        this.showLoadingScreen();
         
         // Simulate loading time
         setTimeout(() => {
@@ -37,6 +336,40 @@ class ExpenseTracker {
         }, 500);
     }
 
+    // Storage
+    setSetting(key, value) {
+        return this.storage.setItem(key, value).catch(error => {
+            this.showNotification('Failed to save settings!', 'error');
+        });
+    }
+
+    removeSetting(key) {
+        return this.storage.removeItem(key).catch(() => this.showNotification('Failed to save settings!', 'error'));
+    }
+
+    // Copies everything the app used to keep in localStorage into the storage
+    // adapter once, then frees the localStorage quota
+    async migrateFromLocalStorage() {
+        if (this.storage.getItem('expenseTrackerStorageMigrated')) return;
+
+        const keys = Object.keys(localStorage).filter(key =>
+            key.startsWith('expenseTracker') || key === 'preferredCurrency' || key === 'profilePicture'
+        );
+
+        for (const key of keys) {
+            let value = localStorage.getItem(key);
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                // Plain strings such as the theme name are stored as-is
+            }
+            await this.storage.setItem(key, value);
+        }
+
+        await this.storage.setItem('expenseTrackerStorageMigrated', true);
+        keys.forEach(key => localStorage.removeItem(key));
+    }
+
     showLoadingScreen() {
         const loadingScreen = document.getElementById('loading-screen');
         loadingScreen.classList.remove('hidden');
@@ -63,9 +396,6 @@ class ExpenseTracker {
             this.toggleTheme();
         });
 
-        // Logout
-        document.getElementById('logout-btn').addEventListener('click', () => this.logout());
-
         // Navigation
         document.querySelectorAll('.nav-item').forEach(item => {
             item.addEventListener('click', (e) => this.navigateToSection(e));
@@ -84,13 +414,199 @@ class ExpenseTracker {
         document.querySelectorAll('.type-btn').forEach(btn => {
             btn.addEventListener('click', (e) => this.selectTransactionType(e));
         });
+        document.getElementById('transaction-account').addEventListener('change', (e) => this.syncCurrencyWithAccount(e.target.value));
+
+        // Insights
+        document.getElementById('insights-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.insight-dismiss');
+            if (button) this.dismissInsights([button.dataset.insight]);
+        });
+        document.getElementById('dismiss-insights-btn').addEventListener('click', () => {
+            this.dismissInsights(this.visibleInsights.map(insight => insight.id));
+        });
+
+        // Bills
+        document.getElementById('add-bill-btn').addEventListener('click', () => this.addBill());
+        document.getElementById('enable-bill-notifications-btn').addEventListener('click', () => this.enableBillNotifications());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible') {
+                this.flushSyncState();
+                return;
+            }
+            // An installed app can stay open for days, so look for a new version on return
+            this.checkForUpdate();
+            // Catch bills that fell due while the tab sat in the background
+            if (this.encryptionKey) {
+                this.updateUpcomingBills();
+                this.checkBillReminders();
+                this.scheduleSync(0);
+            }
+        });
+
+        // Sync
+        window.addEventListener('online', () => this.scheduleSync(0));
+        window.addEventListener('offline', () => {
+            if (this.sync) this.updateSyncStatus();
+        });
+        document.getElementById('sync-connect-btn').addEventListener('click', () => this.connectSync());
+        document.getElementById('sync-now-btn').addEventListener('click', () => this.syncNow(true));
+        document.getElementById('sync-disconnect-btn').addEventListener('click', () => this.disconnectSync());
+        document.getElementById('sync-conflicts-btn').addEventListener('click', () => this.openSyncConflicts());
+        document.getElementById('sync-clear-conflicts-btn').addEventListener('click', () => this.clearSyncConflicts());
+        document.querySelector('#sync-conflicts-modal .modal-close').addEventListener('click', () => this.closeSyncConflicts());
+        document.querySelector('#sync-conflicts-modal .modal-cancel').addEventListener('click', () => this.closeSyncConflicts());
+
+        // Offline support
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            this.installPrompt = e;
+            document.getElementById('install-app-btn').classList.remove('hidden');
+        });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            document.getElementById('install-app-btn').classList.add('hidden');
+            this.showNotification('ExpenseTracker Pro was installed!', 'success');
+        });
+        document.getElementById('install-app-btn').addEventListener('click', () => this.installApp());
+        document.getElementById('update-reload-btn').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('update-dismiss-btn').addEventListener('click', () => {
+            document.getElementById('update-banner').classList.add('hidden');
+        });
+
+        // Receipts
+        document.getElementById('add-receipt-btn').addEventListener('click', () => document.getElementById('receipt-file').click());
+        document.getElementById('receipt-file').addEventListener('change', (e) => this.handleReceiptFiles(e));
+        document.getElementById('receipt-viewer-prev').addEventListener('click', () => this.showAttachment(this.viewerIndex - 1));
+        document.getElementById('receipt-viewer-next').addEventListener('click', () => this.showAttachment(this.viewerIndex + 1));
+        document.getElementById('receipt-viewer-download').addEventListener('click', () => this.downloadAttachment());
+        document.querySelector('#receipt-viewer-modal .modal-close').addEventListener('click', () => this.closeAttachmentViewer());
+        document.getElementById('receipt-viewer-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'receipt-viewer-modal') {
+                this.closeAttachmentViewer();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (!document.getElementById('receipt-viewer-modal').classList.contains('active')) return;
+            if (e.key === 'ArrowLeft') this.showAttachment(this.viewerIndex - 1);
+            if (e.key === 'ArrowRight') this.showAttachment(this.viewerIndex + 1);
+            if (e.key === 'Escape') this.closeAttachmentViewer();
+        });
+
+        // Split transactions
+        document.getElementById('split-toggle-btn').addEventListener('click', () => this.toggleSplit());
+        document.getElementById('add-split-btn').addEventListener('click', () => this.addSplitLine());
+        document.getElementById('transaction-amount').addEventListener('input', () => this.updateSplitRemaining());
+
+        // Tags
+        const tagInput = document.getElementById('transaction-tag-input');
+        tagInput.addEventListener('keydown', (e) => this.handleTagInputKeydown(e));
+        tagInput.addEventListener('input', (e) => this.handleTagInput(e));
+        tagInput.addEventListener('focus', () => this.updateTagSuggestions());
+        tagInput.addEventListener('blur', () => {
+            this.addEditingTags(tagInput.value);
+            document.getElementById('tag-suggestions').classList.add('hidden');
+        });
+        // mousedown so the suggestion is taken before the input's blur
+        document.getElementById('tag-suggestions').addEventListener('mousedown', (e) => {
+            const suggestion = e.target.closest('[data-tag]');
+            if (!suggestion) return;
+            e.preventDefault();
+            this.addEditingTags(suggestion.dataset.tag);
+        });
+        // Tag chips in the table, goals and tag totals carry the tag as data rather than in an onclick
+        document.addEventListener('click', (e) => {
+            const chip = e.target.closest('.tag-chip[data-tag]');
+            if (chip) this.filterByTag(chip.dataset.tag);
+        });
+
+        // Categorization rules
+        document.getElementById('transaction-description').addEventListener('input', () => this.applyRulesToForm());
+        document.getElementById('transaction-amount').addEventListener('input', () => this.applyRulesToForm());
+        document.getElementById('transaction-category').addEventListener('change', () => {
+            this.categoryChosenByHand = true;
+            this.applyRulesToForm();
+        });
+
+        // Recurring rules
+        document.getElementById('transaction-frequency').addEventListener('change', () => this.updateRecurringFields('transaction'));
+        document.getElementById('transaction-end-mode').addEventListener('change', () => this.updateRecurringFields('transaction'));
+        document.getElementById('recurring-end-mode').addEventListener('change', () => this.updateRecurringFields('recurring'));
+        document.getElementById('recurring-type').addEventListener('change', () => this.updateTransferFields('recurring'));
+        document.getElementById('recurring-form').addEventListener('submit', (e) => this.handleRecurringRuleSubmit(e));
+        this.addListActions('recurring-table-body', {
+            pause: (id) => this.toggleRecurringRule(id),
+            edit: (id) => this.openRecurringModal(id),
+            delete: (id) => this.deleteRecurringRule(id)
+        });
+        document.querySelector('#recurring-modal .modal-close').addEventListener('click', () => this.closeRecurringModal());
+        document.querySelector('#recurring-modal .modal-cancel').addEventListener('click', () => this.closeRecurringModal());
+        document.getElementById('recurring-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'recurring-modal') {
+                this.closeRecurringModal();
+            }
+        });
 
         // Filters
-        document.getElementById('type-filter').addEventListener('change', () => this.applyFilters());
-        document.getElementById('category-filter').addEventListener('change', () => this.applyFilters());
-        document.getElementById('date-filter').addEventListener('change', () => this.applyFilters());
+        ['type-filter', 'account-filter', 'tag-filter', 'date-from', 'date-to', 'amount-min', 'amount-max'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyFilters());
+        });
+        document.getElementById('category-filter-menu').addEventListener('change', () => {
+            this.updateCategoryFilterLabel();
+            this.applyFilters();
+        });
+        document.getElementById('category-filter-btn').addEventListener('click', () => {
+            document.getElementById('category-filter').classList.toggle('open');
+        });
+        document.getElementById('transaction-search').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.applyFilters(), 200);
+        });
+        document.getElementById('saved-views').addEventListener('change', (e) => this.applySavedView(e.target.value));
+        document.getElementById('save-view-btn').addEventListener('click', () => this.saveCurrentView());
+        document.getElementById('delete-view-btn').addEventListener('click', () => this.deleteSavedView(document.getElementById('saved-views').value));
+        document.getElementById('clear-filters-btn').addEventListener('click', () => this.setFilterState({}));
+
+        // Sorting & pagination
+        document.querySelectorAll('#transactions th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => this.sortTransactionsBy(header.dataset.sort));
+        });
+        document.getElementById('page-prev').addEventListener('click', () => this.goToTransactionPage(this.transactionPage - 1));
+        document.getElementById('page-next').addEventListener('click', () => this.goToTransactionPage(this.transactionPage + 1));
+        document.getElementById('page-size').addEventListener('change', (e) => {
+            this.transactionPageSize = Number(e.target.value);
+            this.goToTransactionPage(1);
+        });
+
+        // Bulk actions
+        document.getElementById('transactions-table-body').addEventListener('change', (e) => {
+            if (e.target.classList.contains('row-select')) {
+                this.toggleTransactionSelection(e.target.dataset.id, e.target.checked);
+            }
+        });
+        document.getElementById('transactions-table-body').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const id = button.closest('tr').dataset.id;
+            const actions = {
+                edit: () => this.editTransaction(id),
+                delete: () => this.deleteTransaction(id),
+                receipts: () => this.openAttachmentViewer(id)
+            };
+            actions[button.dataset.action]();
+        });
+        document.getElementById('select-page').addEventListener('change', (e) => this.selectTransactions(this.pageTransactionIds, e.target.checked));
+        document.getElementById('bulk-select-all').addEventListener('click', () => this.selectTransactions(this.filteredTransactionIds, true));
+        document.getElementById('bulk-clear').addEventListener('click', () => this.clearTransactionSelection());
+        document.getElementById('bulk-category').addEventListener('change', (e) => this.bulkRecategorize(e.target.value));
+        document.getElementById('bulk-type').addEventListener('change', (e) => this.bulkChangeType(e.target.value));
+        document.getElementById('bulk-shift-btn').addEventListener('click', () => this.bulkShiftDates(parseInt(document.getElementById('bulk-shift-days').value, 10)));
+        document.getElementById('bulk-export-btn').addEventListener('click', () => this.bulkExport());
+        document.getElementById('bulk-delete-btn').addEventListener('click', () => this.bulkDelete());
+        window.addEventListener('hashchange', () => this.applyFilterHash());
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
         document.getElementById('dashboard-filter').addEventListener('change', () => this.updateDashboard());
         document.getElementById('analytics-filter').addEventListener('change', () => this.updateAnalytics());
+        document.getElementById('forecast-months').addEventListener('change', () => this.updateMonthlyTrendsChart());
 
         // Export buttons
         document.getElementById('export-pdf-btn').addEventListener('click', (e) => {
@@ -106,6 +622,50 @@ class ExpenseTracker {
         document.getElementById('theme-setting').addEventListener('change', (e) => this.changeTheme(e.target.value));
         document.getElementById('currency-selector').addEventListener('change', (e) => this.changeCurrency(e.target.value));
         document.getElementById('add-category-btn').addEventListener('click', () => this.addCustomCategory());
+        document.getElementById('add-rule-btn').addEventListener('click', () => this.addCategoryRule());
+        this.addListActions('rules-list', {
+            up: (id) => this.moveCategoryRule(id, -1),
+            down: (id) => this.moveCategoryRule(id, 1),
+            preview: (id) => this.previewCategoryRule(id),
+            delete: (id) => this.deleteCategoryRule(id)
+        });
+        this.addListActions('rule-preview', {
+            close: () => document.getElementById('rule-preview').classList.add('hidden'),
+            apply: (id) => this.applyCategoryRule(id)
+        });
+        document.getElementById('category-form').addEventListener('submit', (e) => this.handleCategorySubmit(e));
+        document.getElementById('category-icon-grid').addEventListener('click', (e) => this.selectCategoryIcon(e));
+        document.querySelector('#category-modal .modal-close').addEventListener('click', () => this.closeCategoryModal());
+        document.querySelector('#category-modal .modal-cancel').addEventListener('click', () => this.closeCategoryModal());
+        this.addListActions('categories-list', {
+            edit: (id) => this.openCategoryModal(id),
+            delete: (id) => this.openCategoryDeleteModal(id)
+        });
+        document.getElementById('category-delete-confirm').addEventListener('click', () => this.confirmCategoryDelete());
+        document.querySelector('#category-delete-modal .modal-close').addEventListener('click', () => this.closeCategoryDeleteModal());
+        document.querySelector('#category-delete-modal .modal-cancel').addEventListener('click', () => this.closeCategoryDeleteModal());
+        document.getElementById('set-budget-btn').addEventListener('click', () => this.setBudget());
+        this.addListActions('budgets-list', {
+            remove: (categoryId) => this.removeBudget(categoryId)
+        });
+        document.getElementById('add-goal-btn').addEventListener('click', () => this.openGoalModal());
+        document.getElementById('goal-form').addEventListener('submit', (e) => this.handleGoalSubmit(e));
+        document.querySelector('#goal-modal .modal-close').addEventListener('click', () => this.closeGoalModal());
+        document.querySelector('#goal-modal .modal-cancel').addEventListener('click', () => this.closeGoalModal());
+
+        // Accounts
+        document.getElementById('add-account-btn').addEventListener('click', () => this.addAccount());
+        this.addListActions('accounts-list', {
+            delete: (id) => this.deleteAccount(id)
+        });
+
+        // Exchange rates
+        document.getElementById('add-rate-btn').addEventListener('click', () => this.addExchangeRate());
+        this.addListActions('rates-list', {
+            remove: (id) => this.removeExchangeRate(id)
+        });
+        document.getElementById('import-rates-btn').addEventListener('click', () => document.getElementById('rates-import-file').click());
+        document.getElementById('rates-import-file').addEventListener('change', (e) => this.handleRatesFileImport(e));
 
         // Profile Dropdown
         document.getElementById('profile-btn').addEventListener('click', (e) => this.toggleProfileMenu(e));
@@ -121,10 +681,33 @@ class ExpenseTracker {
             if (!e.target.closest('.profile-container')) {
                 this.closeProfileMenu();
             }
+            if (!e.target.closest('#category-filter')) {
+                document.getElementById('category-filter').classList.remove('open');
+            }
         });
 
         // Report period
         document.getElementById('report-period').addEventListener('change', (e) => this.updateReportPeriod(e.target.value));
+        ['custom-start-date', 'custom-end-date'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateReportSummary());
+        });
+
+        // Statement import
+        ['csv-delimiter', 'csv-has-header'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.parseCsvImportFile());
+        });
+        ['csv-date-format', 'csv-decimal', 'import-default-category', 'csv-map-date', 'csv-map-description', 'csv-map-amount', 'csv-map-type', 'csv-map-category', 'csv-map-tags', 'csv-map-notes'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateImportPreview());
+        });
+        document.getElementById('import-confirm').addEventListener('click', () => this.confirmImport());
+        document.querySelector('#import-modal .modal-close').addEventListener('click', () => this.closeImportModal());
+        document.querySelector('#import-modal .modal-cancel').addEventListener('click', () => this.closeImportModal());
+
+        // Backup import
+        document.getElementById('backup-import-mode').addEventListener('change', () => this.updateBackupImportSummary());
+        document.getElementById('backup-import-confirm').addEventListener('click', () => this.confirmBackupImport());
+        document.querySelector('#backup-import-modal .modal-close').addEventListener('click', () => this.closeBackupImportModal());
+        document.querySelector('#backup-import-modal .modal-cancel').addEventListener('click', () => this.closeBackupImportModal());
 
         // Close modal on outside click
         document.getElementById('transaction-modal').addEventListener('click', (e) => {
@@ -134,41 +717,93 @@ class ExpenseTracker {
         });
     }
 
+    // Buttons in settings lists name their action in data-action and sit inside an element
+    // carrying the item's id in data-id, so ids never have to be written into handler code
+    addListActions(containerId, actions) {
+        document.getElementById(containerId).addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button || button.disabled) return;
+            actions[button.dataset.action](button.closest('[data-id]').dataset.id);
+        });
+    }
+
     // Authentication Methods
-    handleLogin(e) {
+    async handleLogin(e) {
         e.preventDefault();
         const email = document.getElementById('login-email').value;
         const password = document.getElementById('login-password').value;
 
-        if (this.validateCredentials(email, password)) {
-            this.currentUser = { email, name: this.getUserName(email) };
+        try {
+            const user = await this.validateCredentials(email, password);
+            if (!user) {
+                this.showNotification('Invalid credentials!', 'error');
+                return;
+            }
+            this.currentUser = { email, name: user.name };
+            await this.unlockWithPassword(password, user);
             this.saveUserData();
-            this.showApp();
+            await this.showApp();
             this.showNotification('Login successful!', 'success');
-        } else {
-            this.showNotification('Invalid credentials!', 'error');
+        } catch (error) {
+            this.currentUser = null;
+            this.encryptionKey = null;
+            this.showNotification('Login failed. Please try again.', 'error');
         }
     }
 
-    handleSignup(e) {
+    async handleSignup(e) {
         e.preventDefault();
         const name = document.getElementById('signup-name').value;
         const email = document.getElementById('signup-email').value;
         const password = document.getElementById('signup-password').value;
 
-        if (this.validateSignup(name, email, password)) {
+        if (!this.validateSignup(name, email, password)) {
+            this.showNotification('Please fill all fields correctly!', 'error');
+            return;
+        }
+
+        if (this.getStoredUsers().some(u => u.email === email)) {
+            this.showNotification('An account with this email already exists!', 'error');
+            return;
+        }
+
+        try {
+            const user = await this.createUserRecord(name, email, password);
+            const users = this.getStoredUsers();
+            users.push(user);
+            await this.storage.setItem('expenseTrackerUsers', users);
+
             this.currentUser = { email, name };
+            await this.unlockWithPassword(password, user);
             this.saveUserData();
-            this.showApp();
+            await this.showApp();
             this.showNotification('Account created successfully!', 'success');
-        } else {
-            this.showNotification('Please fill all fields correctly!', 'error');
+        } catch (error) {
+            this.currentUser = null;
+            this.encryptionKey = null;
+            this.showNotification('Could not create the account. Please try again.', 'error');
         }
     }
 
-    validateCredentials(email, password) {
+    async validateCredentials(email, password) {
         const users = this.getStoredUsers();
-        return users.some(user => user.email === email && user.password === password);
+        const user = users.find(u => u.email === email);
+        if (!user) return null;
+
+        if (user.passwordHash) {
+            const hash = await this.hashPassword(password, user);
+            return this.timingSafeEqual(hash, user.passwordHash) ? user : null;
+        }
+
+        // Accounts created before hashing still hold a plaintext password;
+        // upgrade them in place on their first successful login
+        if (user.password !== password) return null;
+
+        const upgraded = await this.createUserRecord(user.name, email, password);
+        delete user.password;
+        Object.assign(user, upgraded);
+        await this.storage.setItem('expenseTrackerUsers', users);
+        return user;
     }
 
     validateSignup(name, email, password) {
@@ -182,7 +817,7 @@ class ExpenseTracker {
     }
 
     getStoredUsers() {
-        return JSON.parse(localStorage.getItem('expenseTrackerUsers') || '[]');
+        return this.storage.getItem('expenseTrackerUsers') || [];
     }
 
     saveUserData() {
@@ -191,22 +826,20 @@ class ExpenseTracker {
         
         if (existingUserIndex >= 0) {
             users[existingUserIndex] = { ...users[existingUserIndex], ...this.currentUser };
-        } else {
-            users.push({ ...this.currentUser, password: document.getElementById('signup-password').value });
+            this.setSetting('expenseTrackerUsers', users);
         }
         
-        localStorage.setItem('expenseTrackerUsers', JSON.stringify(users));
-        localStorage.setItem('expenseTrackerCurrentUser', JSON.stringify(this.currentUser));
+        this.setSetting('expenseTrackerCurrentUser', this.currentUser);
     }
 
     loadUserData() {
-        const storedUser = localStorage.getItem('expenseTrackerCurrentUser');
+        const storedUser = this.storage.getItem('expenseTrackerCurrentUser');
         if (storedUser) {
-            this.currentUser = JSON.parse(storedUser);
+            this.currentUser = storedUser;
         }
 
         // Load saved profile picture
-        const savedProfilePicture = localStorage.getItem('profilePicture');
+        const savedProfilePicture = this.storage.getItem('profilePicture');
         if (savedProfilePicture) {
             const img = document.getElementById('dp-preview');
             if (img) {
@@ -215,10 +848,15 @@ class ExpenseTracker {
         }
     }
 
-    checkAuthentication() {
-        if (this.currentUser) {
-            this.showApp();
+    async checkAuthentication() {
+        if (this.currentUser && await this.restoreSessionKey()) {
+            await this.showApp();
         } else {
+            // The data key only lives for the browser session, so a new session asks for the password again
+            if (this.currentUser) {
+                document.getElementById('login-email').value = this.currentUser.email;
+                this.currentUser = null;
+            }
             this.showAuth();
         }
     }
@@ -228,11 +866,33 @@ class ExpenseTracker {
         document.getElementById('app-container').classList.add('hidden');
     }
 
-    showApp() {
+    async showApp() {
         document.getElementById('auth-container').classList.add('hidden');
         document.getElementById('app-container').classList.remove('hidden');
         document.getElementById('user-name').textContent = this.currentUser.name;
-        this.loadTransactions();
+
+        try {
+            await this.loadSyncState();
+            await this.loadCategories();
+            await this.loadCategoryRules();
+            await this.loadExchangeRates();
+            await this.loadAccounts();
+            await this.loadTransactions();
+            await this.loadBudgets();
+            await this.loadGoals();
+            await this.loadBills();
+            await this.loadDismissedInsights();
+            await this.loadSavedViews();
+            await this.encryptLegacyData();
+            await this.loadHistory();
+            this.reconcileSyncState();
+        } catch (error) {
+            this.clearSession();
+            this.showAuth();
+            this.showNotification('Could not unlock your data. Please log in again.', 'error');
+            return;
+        }
+
         this.updateDashboard();
         this.updateProfileInfo();
         
@@ -242,15 +902,206 @@ class ExpenseTracker {
         }
         this.populateCategories();
         this.animateElements();
+        this.applyFilterHash();
+        // Leftover receipts are only clutter, and the next login tries again
+        this.pruneAttachments().catch(() => {});
+        this.updateNotificationPermission();
+        this.checkBillReminders();
+        this.scheduleSync(0);
     }
 
     logout() {
-        this.currentUser = null;
-        localStorage.removeItem('expenseTrackerCurrentUser');
+        this.clearSession();
+        this.removeSetting('expenseTrackerCurrentUser');
         this.showAuth();
         this.showNotification('Logged out successfully!', 'success');
     }
 
+    clearSession() {
+        this.flushSyncState();
+        this.dataVersion++;
+        this.currentUser = null;
+        this.encryptionKey = null;
+        this.transactions = [];
+        this.exchangeRates = [];
+        this.accounts = [];
+        this.savedViews = [];
+        this.categories = this.getDefaultCategories();
+        this.categoryRules = [];
+        this.goals = [];
+        this.bills = [];
+        this.billReminders = {};
+        this.shownBillToasts.clear();
+        this.dismissedInsights = [];
+        clearTimeout(this.syncTimer);
+        this.sync = null;
+        this.syncKey = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.selectedTransactionIds.clear();
+        sessionStorage.removeItem('expenseTrackerSessionKey');
+        sessionStorage.removeItem('expenseTrackerHistory');
+        this.removeSetting('expenseTrackerSessionWrappingKey');
+    }
+
+    // Password Hashing & Encryption
+    bufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    base64ToBuffer(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+
+    timingSafeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    async importPasswordKey(password) {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits', 'deriveKey']);
+    }
+
+    async createUserRecord(name, email, password) {
+        const user = {
+            email,
+            name,
+            salt: this.bufferToBase64(crypto.getRandomValues(new Uint8Array(16))),
+            keySalt: this.bufferToBase64(crypto.getRandomValues(new Uint8Array(16))),
+            iterations: this.pbkdf2Iterations
+        };
+        user.passwordHash = await this.hashPassword(password, user);
+        return user;
+    }
+
+    async hashPassword(password, user) {
+        const baseKey = await this.importPasswordKey(password);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.base64ToBuffer(user.salt), iterations: user.iterations, hash: 'SHA-256' },
+            baseKey,
+            256
+        );
+        return this.bufferToBase64(bits);
+    }
+
+    // The data key uses its own salt so the stored password hash can never double as the key
+    async deriveKeyBytes(password, user) {
+        const baseKey = await this.importPasswordKey(password);
+        return crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.base64ToBuffer(user.keySalt), iterations: user.iterations, hash: 'SHA-256' },
+            baseKey,
+            256
+        );
+    }
+
+    async unlockWithPassword(password, user) {
+        const keyBytes = await this.deriveKeyBytes(password, user);
+        this.encryptionKey = await this.importDataKey(keyBytes);
+        await this.storeSessionKey(keyBytes);
+    }
+
+    // So a reload doesn't ask for the password again, the session keeps the data key encrypted
+    // with a wrapping key that sits in IndexedDB and can't be exported. Neither store is enough
+    // on its own, and logging out deletes the wrapping key.
+    async storeSessionKey(keyBytes) {
+        let wrappingKey = this.storage.getItem('expenseTrackerSessionWrappingKey');
+        if (!wrappingKey) {
+            wrappingKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            await this.storage.setItem('expenseTrackerSessionWrappingKey', wrappingKey);
+        }
+        sessionStorage.setItem('expenseTrackerSessionKey', JSON.stringify({
+            email: this.currentUser.email,
+            key: await this.encryptData(this.bufferToBase64(keyBytes), wrappingKey)
+        }));
+    }
+
+    // A missing or unreadable entry just means logging in again
+    async restoreSessionKey() {
+        const stored = sessionStorage.getItem('expenseTrackerSessionKey');
+        const wrappingKey = this.storage.getItem('expenseTrackerSessionWrappingKey');
+        if (!stored || !wrappingKey) return false;
+
+        try {
+            const { email, key } = JSON.parse(stored);
+            if (email !== this.currentUser.email) return false;
+            this.encryptionKey = await this.importDataKey(this.base64ToBuffer(await this.decryptData(key, wrappingKey)));
+            return true;
+        } catch (error) {
+            sessionStorage.removeItem('expenseTrackerSessionKey');
+            return false;
+        }
+    }
+
+    importDataKey(raw) {
+        return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    async encryptData(json, key = this.encryptionKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(json));
+        return {
+            v: 1,
+            iv: this.bufferToBase64(iv),
+            data: this.bufferToBase64(ciphertext)
+        };
+    }
+
+    async decryptData(payload, key = this.encryptionKey) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBuffer(payload.iv) },
+            key,
+            this.base64ToBuffer(payload.data)
+        );
+        return new TextDecoder().decode(plaintext);
+    }
+
+    async loadEncrypted(storageKey, fallback) {
+        const stored = this.storage.getItem(storageKey);
+        if (!stored) return fallback;
+
+        if (stored.iv && stored.data) {
+            return JSON.parse(await this.decryptData(stored));
+        }
+
+        // Written before encryption existed; re-saved encrypted by encryptLegacyData()
+        this.hasLegacyData = true;
+        return stored;
+    }
+
+    saveEncrypted(storageKey, value) {
+        this.dataVersion++;
+        // Snapshot now so a later mutation or logout can't change what this save writes
+        const json = JSON.stringify(value);
+        const key = this.encryptionKey;
+
+        this.storageQueue = this.storageQueue
+            .then(() => this.encryptData(json, key))
+            .then(payload => this.storage.setItem(storageKey, payload))
+            .catch(error => {
+                this.showNotification('Failed to save data!', 'error');
+            });
+        return this.storageQueue;
+    }
+
+    async encryptLegacyData() {
+        if (!this.hasLegacyData) return;
+
+        this.hasLegacyData = false;
+        this.saveCategories();
+        this.saveBudgets();
+        this.saveRecurringRules();
+        await this.storageQueue;
+    }
+
     switchAuthTab(e) {
         const tab = e.target.dataset.tab;
         document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
@@ -262,7 +1113,7 @@ class ExpenseTracker {
 
     // Theme Management
     initializeTheme() {
-        const savedTheme = localStorage.getItem('expenseTrackerTheme') || 'light';
+        const savedTheme = this.storage.getItem('expenseTrackerTheme') || 'light';
         this.setTheme(savedTheme);
         document.getElementById('theme-setting').value = savedTheme;
     }
@@ -275,7 +1126,7 @@ class ExpenseTracker {
 
     setTheme(theme) {
         document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('expenseTrackerTheme', theme);
+        this.setSetting('expenseTrackerTheme', theme);
         
         const themeIcon = document.querySelector('#theme-toggle i');
         themeIcon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
@@ -288,12 +1139,14 @@ class ExpenseTracker {
     // Navigation
     navigateToSection(e) {
         e.preventDefault();
-        const section = e.currentTarget.dataset.section;
-        
+        this.showSection(e.currentTarget.dataset.section);
+    }
+
+    showSection(section) {
         document.querySelectorAll('.nav-item').forEach(item => item.classList.remove('active'));
         document.querySelectorAll('.content-section').forEach(section => section.classList.remove('active'));
         
-        e.currentTarget.classList.add('active');
+        document.querySelector(`.nav-item[data-section="${section}"]`).classList.add('active');
         const targetSection = document.getElementById(section);
         targetSection.classList.add('active');
         
@@ -303,20 +1156,92 @@ class ExpenseTracker {
         // Update specific sections when navigated to
         if (section === 'analytics') {
             this.updateAnalytics();
+        } else if (section === 'recurring') {
+            this.renderRecurringRules();
         } else if (section === 'reports') {
             this.updateReports();
+        } else if (section === 'settings') {
+            this.renderExchangeRates();
         }
+
+        // Only the transactions page keeps its filters in the URL
+        this.updateFilterHash();
     }
 
     // Transaction Management
-    loadTransactions() {
-        const stored = localStorage.getItem(`expenseTrackerTransactions_${this.currentUser.email}`);
-        this.transactions = stored ? JSON.parse(stored) : [];
+    async loadTransactions() {
+        const user = this.currentUser.email;
+        await this.migrateLegacyTransactions();
+
+        const records = await this.storage.getTransactions(user);
+        this.transactions = await Promise.all(records.map(record => this.decryptTransaction(record)));
+        this.transactions.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '') || b.date.localeCompare(a.date));
+
+        // Transactions from before multi-currency and account support were entered in the
+        // preferred currency and belong to the first account
+        const unstamped = this.transactions.filter(t => !t.currency || !t.account);
+        unstamped.forEach(t => {
+            t.currency = t.currency || this.preferredCurrency;
+            t.account = t.account || this.accounts[0].id;
+        });
+        if (unstamped.length > 0) {
+            this.saveTransactions({ put: unstamped });
+        }
+
+        await this.loadRecurringRules();
+        this.generateRecurringTransactions();
         this.renderTransactions();
     }
 
-    saveTransactions() {
-        localStorage.setItem(`expenseTrackerTransactions_${this.currentUser.email}`, JSON.stringify(this.transactions));
+    // Before the IndexedDB store, each user's transactions were one array under a single key
+    async migrateLegacyTransactions() {
+        const legacyKey = `expenseTrackerTransactions_${this.currentUser.email}`;
+        if (!this.storage.getItem(legacyKey)) return;
+
+        const legacy = await this.loadEncrypted(legacyKey, []);
+        const records = await Promise.all(legacy.map(transaction => this.encryptTransaction(transaction)));
+        await this.storage.putTransactions(this.currentUser.email, records);
+        await this.storage.removeItem(legacyKey);
+    }
+
+    // Only the id stays in the clear, as the store's key
+    async encryptTransaction(transaction, key = this.encryptionKey) {
+        return {
+            id: transaction.id,
+            payload: await this.encryptData(JSON.stringify(transaction), key)
+        };
+    }
+
+    async decryptTransaction(record) {
+        return JSON.parse(await this.decryptData(record.payload));
+    }
+
+    // Pass { put, remove } to write only what changed; without it the whole
+    // list is rewritten (imports, clearing data)
+    saveTransactions(changes = null) {
+        const user = this.currentUser.email;
+        const key = this.encryptionKey;
+        const put = changes ? (changes.put || []) : this.transactions;
+        const remove = changes ? (changes.remove || []) : [];
+        const snapshots = put.map(transaction => structuredClone(transaction));
+        this.dataVersion++;
+        this.trackTransactionChanges(put, changes ? remove : null);
+
+        this.storageQueue = this.storageQueue
+            .then(() => Promise.all(snapshots.map(transaction => this.encryptTransaction(transaction, key))))
+            .then(records => {
+                if (!changes) {
+                    return this.storage.replaceTransactions(user, records);
+                }
+                return Promise.all([
+                    records.length ? this.storage.putTransactions(user, records) : null,
+                    remove.length ? this.storage.deleteTransactions(user, remove) : null
+                ]);
+            })
+            .catch(error => {
+                this.showNotification('Failed to save data!', 'error');
+            });
+        return this.storageQueue;
     }
 
     openTransactionModal(transaction = null) {
@@ -329,649 +1254,6062 @@ class ExpenseTracker {
             title.textContent = 'Edit Transaction';
             document.getElementById('transaction-description').value = transaction.description;
             document.getElementById('transaction-amount').value = transaction.amount;
+            document.getElementById('transaction-currency').value = this.getTransactionCurrency(transaction);
+            document.getElementById('transaction-account').value = transaction.account;
+            document.getElementById('transaction-to-account').value = transaction.toAccount || '';
             document.getElementById('transaction-category').value = transaction.category;
             document.getElementById('transaction-date').value = transaction.date;
             
             // Set type
             document.querySelectorAll('.type-btn').forEach(btn => btn.classList.remove('active'));
             document.querySelector(`[data-type="${transaction.type}"]`).classList.add('active');
+
+            // Recurring rules are edited from the Recurring screen
+            document.getElementById('transaction-recurring-options').classList.add('hidden');
         } else {
             title.textContent = 'Add Transaction';
             form.reset();
             document.querySelectorAll('.type-btn').forEach(btn => btn.classList.remove('active'));
             document.querySelector('[data-type="expense"]').classList.add('active');
             document.getElementById('transaction-date').value = new Date().toISOString().split('T')[0];
+            document.getElementById('transaction-account').value = this.getFilteredAccountId() || this.accounts[0].id;
+            this.syncCurrencyWithAccount(document.getElementById('transaction-account').value);
+            document.getElementById('transaction-recurring-options').classList.remove('hidden');
         }
         
+        this.updateRecurringFields('transaction');
+        this.updateTransferFields('transaction');
         modal.classList.add('active');
         this.populateCategorySelect();
+        if (transaction && transaction.category) {
+            document.getElementById('transaction-category').value = transaction.category;
+        }
+
+        this.editingSplits = transaction && transaction.splits ? transaction.splits.map(split => ({ ...split })) : null;
+        this.renderSplitEditor();
+
+        this.formRule = null;
+        this.categoryChosenByHand = false;
+        this.applyRulesToForm();
+
+        this.editingTags = transaction && transaction.tags ? [...transaction.tags] : [];
+        this.activeTagSuggestion = -1;
+        document.getElementById('transaction-tag-input').value = '';
+        document.getElementById('transaction-notes').value = transaction ? transaction.notes || '' : '';
+        this.renderTagEditor();
+
+        this.editingAttachments = transaction && transaction.attachments ? transaction.attachments.map(a => ({ ...a, data: null })) : [];
+        this.renderAttachmentEditor();
+        if (this.editingAttachments.length > 0) {
+            this.loadAttachmentPreviews(transaction).catch(() => this.showNotification('Could not load receipts!', 'error'));
+        }
     }
 
     closeModal() {
         document.getElementById('transaction-modal').classList.remove('active');
         this.editingTransaction = null;
+        this.editingSplits = null;
+        this.editingAttachments = [];
     }
 
     selectTransactionType(e) {
         document.querySelectorAll('.type-btn').forEach(btn => btn.classList.remove('active'));
-        e.target.classList.add('active');
+        e.currentTarget.classList.add('active');
+        this.updateTransferFields('transaction');
+        this.applyRulesToForm();
+    }
+
+    getSelectedType(prefix) {
+        return prefix === 'transaction'
+            ? document.querySelector('.type-btn.active').dataset.type
+            : document.getElementById(`${prefix}-type`).value;
+    }
+
+    // Transfers move money between two accounts and have no category
+    updateTransferFields(prefix) {
+        const isTransfer = this.getSelectedType(prefix) === 'transfer';
+        document.getElementById(`${prefix}-to-account-group`).classList.toggle('hidden', !isTransfer);
+        document.getElementById(`${prefix}-category-group`).classList.toggle('hidden', isTransfer);
+        document.getElementById(`${prefix}-category`).required = !isTransfer && !(prefix === 'transaction' && this.editingSplits);
+        document.getElementById(`${prefix}-account-label`).textContent = isTransfer ? 'From Account' : 'Account';
+    }
+
+    syncCurrencyWithAccount(accountId) {
+        const account = this.getAccount(accountId);
+        if (account) {
+            document.getElementById('transaction-currency').value = account.currency;
+        }
     }
 
     handleTransactionSubmit(e) {
         e.preventDefault();
         
-        const type = document.querySelector('.type-btn.active').dataset.type;
+        const type = this.getSelectedType('transaction');
         const description = document.getElementById('transaction-description').value;
         const amount = parseFloat(document.getElementById('transaction-amount').value);
-        const category = document.getElementById('transaction-category').value;
+        const category = type === 'transfer' ? null : document.getElementById('transaction-category').value;
         const date = document.getElementById('transaction-date').value;
+        const account = document.getElementById('transaction-account').value;
+        const toAccount = type === 'transfer' ? document.getElementById('transaction-to-account').value : null;
 
-        if (!description || !amount || !category || !date) {
+        if (!description || !amount || (type !== 'transfer' && !category) || !date || !account) {
             this.showNotification('Please fill all fields!', 'error');
             return;
         }
 
+        const transferError = this.validateTransferAccounts(type, account, toAccount);
+        if (transferError) {
+            this.showNotification(transferError, 'error');
+            return;
+        }
+
+        const splits = type !== 'transfer' && this.editingSplits ? this.readSplits(amount) : null;
+        if (splits && splits.error) {
+            this.showNotification(splits.error, 'error');
+            return;
+        }
+
+        const frequency = this.editingTransaction ? 'none' : document.getElementById('transaction-frequency').value;
+        const recurrenceEnd = frequency !== 'none' ? this.readRecurrenceEnd('transaction', date) : null;
+        if (recurrenceEnd && recurrenceEnd.error) {
+            this.showNotification(recurrenceEnd.error, 'error');
+            return;
+        }
+
+        const now = new Date().toISOString();
         const transaction = {
-            id: this.editingTransaction ? this.editingTransaction.id : Date.now().toString(),
+            id: this.editingTransaction ? this.editingTransaction.id : crypto.randomUUID(),
             type,
             description,
             amount,
+            currency: document.getElementById('transaction-currency').value,
             category,
             date,
-            createdAt: this.editingTransaction ? this.editingTransaction.createdAt : new Date().toISOString()
+            account,
+            createdAt: this.editingTransaction ? this.editingTransaction.createdAt : now,
+            updatedAt: now
         };
 
+        if (toAccount) {
+            transaction.toAccount = toAccount;
+        }
+
+        if (splits) {
+            transaction.category = splits.lines[0].category;
+            transaction.splits = splits.lines;
+        }
+
+        this.addEditingTags(document.getElementById('transaction-tag-input').value);
+        const tags = [...new Set([...this.editingTags, ...(this.formRule ? this.formRule.tags : [])])];
+        if (tags.length > 0) {
+            transaction.tags = tags;
+        }
+
+        const notes = document.getElementById('transaction-notes').value.trim();
+        if (notes) {
+            transaction.notes = notes;
+        }
+
+        if (this.editingAttachments.length > 0) {
+            transaction.attachments = this.editingAttachments.map(a => this.getAttachmentMeta(a));
+            const unsaved = this.editingAttachments.filter(a => a.unsaved);
+            if (unsaved.length > 0) {
+                this.saveAttachments(unsaved.map(a => ({ ...a, transactionId: transaction.id })));
+            }
+        }
+
+        if (this.editingTransaction && this.editingTransaction.recurringRuleId) {
+            transaction.recurringRuleId = this.editingTransaction.recurringRuleId;
+        }
+
+        const budgetSpentBefore = {};
+        this.getCategoryAmounts(transaction).forEach(split => {
+            budgetSpentBefore[split.category] = this.getMonthlyCategorySpend(split.category, date, transaction.id);
+        });
+
+        const checkpoint = this.createCheckpoint(['recurringRules']);
         if (this.editingTransaction) {
             const index = this.transactions.findIndex(t => t.id === this.editingTransaction.id);
             this.transactions[index] = transaction;
-            this.showNotification('Transaction updated successfully!', 'success');
+            this.showNotification('Transaction updated successfully!', 'success', this.getUndoAction());
         } else {
             this.transactions.unshift(transaction);
-            this.showNotification('Transaction added successfully!', 'success');
+            this.showNotification('Transaction added successfully!', 'success', this.getUndoAction());
+        }
+
+        if (type === 'expense') {
+            this.getConvertedCategoryAmounts(transaction).forEach(split => {
+                const before = budgetSpentBefore[split.category];
+                this.checkBudgetThresholds(split.category, before, before + split.amount);
+            });
         }
 
-        this.saveTransactions();
+        this.warnMissingExchangeRate(transaction);
+
+        if (frequency !== 'none') {
+            const rule = this.createRecurringRule(transaction, frequency, recurrenceEnd);
+            transaction.recurringRuleId = rule.id;
+            this.recurringRules.push(rule);
+            this.generateRecurringTransactions();
+            this.saveRecurringRules();
+        }
+
+        this.saveTransactions({ put: [transaction] });
+        this.recordChange(this.editingTransaction ? 'Edit transaction' : 'Add transaction', checkpoint);
         this.renderTransactions();
         this.updateDashboard();
         this.closeModal();
     }
 
+    // No confirmation needed since the toast offers an undo
     deleteTransaction(id) {
-        if (confirm('Are you sure you want to delete this transaction?')) {
-            this.transactions = this.transactions.filter(t => t.id !== id);
-            this.saveTransactions();
-            this.renderTransactions();
-            this.updateDashboard();
-            this.showNotification('Transaction deleted successfully!', 'success');
-        }
+        const checkpoint = this.createCheckpoint();
+        this.transactions = this.transactions.filter(t => t.id !== id);
+        this.saveTransactions({ remove: [id] });
+        this.recordChange('Delete transaction', checkpoint);
+        this.renderTransactions();
+        this.updateDashboard();
+        this.showNotification('Transaction deleted successfully!', 'success', this.getUndoAction());
     }
 
     renderTransactions() {
         const tbody = document.getElementById('transactions-table-body');
-        const filteredTransactions = this.getFilteredTransactions();
+        this.populateTagFilter();
+        const filteredTransactions = this.sortTransactions(this.getFilteredTransactions());
+        const accountId = this.getFilteredAccountId();
+        const runningBalances = accountId ? this.getRunningBalances(accountId) : null;
+        const account = this.getAccount(accountId);
+        document.getElementById('running-balance-header').classList.toggle('hidden', !runningBalances);
+        this.updateSortIndicators();
+
+        const pageCount = Math.max(1, Math.ceil(filteredTransactions.length / this.transactionPageSize));
+        this.transactionPage = Math.min(Math.max(1, this.transactionPage), pageCount);
+        const start = (this.transactionPage - 1) * this.transactionPageSize;
+        const pageTransactions = filteredTransactions.slice(start, start + this.transactionPageSize);
+        this.updatePagination(filteredTransactions.length, pageCount, start);
+        this.filteredTransactionIds = filteredTransactions.map(t => t.id);
+        this.pageTransactionIds = pageTransactions.map(t => t.id);
+        this.updateBulkActions();
         
         if (filteredTransactions.length === 0) {
             tbody.innerHTML = `
                 <tr class="empty-row">
-                    <td colspan="6" class="empty-state">
+                    <td colspan="${runningBalances ? 9 : 8}" class="empty-state">
                         <i class="fas fa-receipt"></i>
                         <p>No transactions found</p>
                     </td>
                 </tr>
             `;
+            this.transactionRowHtml.clear();
             return;
         }
 
-        tbody.innerHTML = filteredTransactions.map(transaction => {
-            const category = this.categories.find(c => c.id === transaction.category);
-            return `
-                <tr>
-                    <td>${this.formatDate(transaction.date)}</td>
-                    <td>${transaction.description}</td>
-                    <td>
-                        <span class="transaction-type" style="background: ${category?.color}20; color: ${category?.color}">
-                            <i class="${category?.icon}"></i>
-                            ${category?.name || transaction.category}
-                        </span>
-                    </td>
-                    <td>
-                        <span class="transaction-type ${transaction.type}">
-                            <i class="fas fa-arrow-${transaction.type === 'income' ? 'up' : 'down'}"></i>
-                            ${transaction.type}
-                        </span>
-                    </td>
-                    <td class="transaction-amount ${transaction.type}">
-                        ${transaction.type === 'income' ? '+' : ''}${this.formatCurrency(transaction.amount)}
-                    </td>
-                    <td>
-                        <div class="transaction-actions">
-                            <button class="action-btn edit-btn" onclick="expenseTracker.openTransactionModal(${JSON.stringify(transaction).replace(/"/g, '&quot;')})">
-                                <i class="fas fa-edit"></i>
-                            </button>
-                            <button class="action-btn delete-btn" onclick="expenseTracker.deleteTransaction('${transaction.id}')">
-                                <i class="fas fa-trash"></i>
-                            </button>
-                        </div>
-                    </td>
-                </tr>
-            `;
-        }).join('');
+        const emptyRow = tbody.querySelector('.empty-row');
+        if (emptyRow) {
+            emptyRow.remove();
+        }
+
+        this.patchTransactionRows(tbody, pageTransactions.map(transaction => ({
+            id: transaction.id,
+            html: this.getTransactionRowHtml(transaction, runningBalances, account)
+        })));
     }
 
-    getFilteredTransactions() {
-        let filtered = [...this.transactions];
-        
-        const typeFilter = document.getElementById('type-filter').value;
-        const categoryFilter = document.getElementById('category-filter').value;
-        const dateFilter = document.getElementById('date-filter').value;
-        
-        if (typeFilter !== 'all') {
-            filtered = filtered.filter(t => t.type === typeFilter);
+    getTransactionRowHtml(transaction, runningBalances, account) {
+        const category = this.categories.find(c => c.id === transaction.category);
+        return `
+            <tr data-id="${this.escapeHtml(transaction.id)}">
+                <td class="select-col">
+                    <input type="checkbox" class="row-select" data-id="${this.escapeHtml(transaction.id)}" aria-label="Select transaction" ${this.selectedTransactionIds.has(transaction.id) ? 'checked' : ''}>
+                </td>
+                <td>${this.formatDate(transaction.date)}</td>
+                <td>
+                    ${this.escapeHtml(transaction.description)}
+                    ${transaction.recurringRuleId ? '<i class="fas fa-sync-alt recurring-badge" title="Recurring"></i>' : ''}
+                    ${transaction.notes ? `<i class="fas fa-sticky-note notes-badge" title="${this.escapeHtml(transaction.notes)}"></i>` : ''}
+                    ${transaction.attachments && transaction.attachments.length > 0 ? `
+                    <button type="button" class="receipt-badge" title="View receipts" data-action="receipts">
+                        <i class="fas fa-paperclip"></i>${transaction.attachments.length}
+                    </button>` : ''}
+                    ${transaction.tags && transaction.tags.length > 0 ? `<div class="tag-chips">${this.getTagChipsHtml(transaction.tags)}</div>` : ''}
+                </td>
+                <td>
+                    ${transaction.type === 'transfer' ? '-' : transaction.splits ? `
+                    <span class="transaction-type" title="${this.escapeHtml(this.getSplitSummary(transaction))}">
+                        <i class="fas fa-layer-group"></i>
+                        Split (${transaction.splits.length})
+                    </span>` : `
+                    <span class="transaction-type" style="background: ${this.escapeHtml(category?.color)}20; color: ${this.escapeHtml(category?.color)}">
+                        <i class="${this.escapeHtml(category?.icon)}"></i>
+                        ${this.escapeHtml(category ? this.getCategoryLabel(category) : transaction.category)}
+                    </span>`}
+                </td>
+                <td>${this.escapeHtml(this.getTransactionAccountLabel(transaction))}</td>
+                <td>
+                    <span class="transaction-type ${transaction.type}">
+                        <i class="${this.getTransactionTypeIcon(transaction.type)}"></i>
+                        ${transaction.type}
+                    </span>
+                </td>
+                <td class="transaction-amount ${transaction.type}">
+                    ${transaction.type === 'income' ? '+' : ''}${this.formatCurrency(transaction.amount, this.getTransactionCurrency(transaction))}
+                    ${this.getTransactionCurrency(transaction) !== this.preferredCurrency ? `<small class="converted-amount">${this.hasExchangeRate(transaction) ? `≈ ${this.formatCurrency(this.getConvertedAmount(transaction))}` : 'No exchange rate'}</small>` : ''}
+                </td>
+                ${runningBalances ? `<td class="running-balance">${this.formatCurrency(runningBalances.get(transaction.id), account.currency)}</td>` : ''}
+                <td>
+                    <div class="transaction-actions">
+                        <button class="action-btn edit-btn" data-action="edit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="action-btn delete-btn" data-action="delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Reuses the <tr> of every row whose markup hasn't changed, so a single edit only
+    // replaces its own row and sorting or paging just moves existing nodes
+    patchTransactionRows(tbody, rows) {
+        const existing = new Map();
+        tbody.querySelectorAll('tr[data-id]').forEach(row => existing.set(row.dataset.id, row));
+
+        rows.forEach(({ id, html }, index) => {
+            let row = existing.get(id);
+            if (!row || this.transactionRowHtml.get(id) !== html) {
+                const template = document.createElement('template');
+                template.innerHTML = html.trim();
+                const fresh = template.content.firstElementChild;
+                if (row) {
+                    row.replaceWith(fresh);
+                }
+                row = fresh;
+                this.transactionRowHtml.set(id, html);
+            }
+            existing.delete(id);
+
+            if (tbody.children[index] !== row) {
+                tbody.insertBefore(row, tbody.children[index] || null);
+            }
+        });
+
+        existing.forEach((row, id) => {
+            row.remove();
+            this.transactionRowHtml.delete(id);
+        });
+    }
+
+    editTransaction(id) {
+        const transaction = this.transactions.find(t => t.id === id);
+        if (transaction) {
+            this.openTransactionModal(transaction);
         }
-        
-        if (categoryFilter !== 'all') {
-            filtered = filtered.filter(t => t.category === categoryFilter);
+    }
+
+    // Bulk Actions
+    toggleTransactionSelection(id, selected) {
+        if (selected) {
+            this.selectedTransactionIds.add(id);
+        } else {
+            this.selectedTransactionIds.delete(id);
         }
-        
-        if (dateFilter) {
-            filtered = filtered.filter(t => t.date === dateFilter);
+        this.updateBulkActions();
+    }
+
+    selectTransactions(ids, selected) {
+        ids.forEach(id => {
+            if (selected) {
+                this.selectedTransactionIds.add(id);
+            } else {
+                this.selectedTransactionIds.delete(id);
+            }
+        });
+        this.renderTransactions();
+    }
+
+    clearTransactionSelection() {
+        this.selectedTransactionIds.clear();
+        this.renderTransactions();
+    }
+
+    updateBulkActions() {
+        const count = this.selectedTransactionIds.size;
+        const pageSelected = this.pageTransactionIds.filter(id => this.selectedTransactionIds.has(id)).length;
+        const selectPage = document.getElementById('select-page');
+        selectPage.checked = pageSelected > 0 && pageSelected === this.pageTransactionIds.length;
+        selectPage.indeterminate = pageSelected > 0 && pageSelected < this.pageTransactionIds.length;
+
+        document.getElementById('bulk-actions').classList.toggle('hidden', count === 0);
+        document.getElementById('bulk-count').textContent = `${count} selected`;
+
+        const selectAll = document.getElementById('bulk-select-all');
+        const total = this.filteredTransactionIds.length;
+        selectAll.textContent = `Select all ${total} matching`;
+        selectAll.classList.toggle('hidden', count >= total);
+    }
+
+    populateBulkCategorySelect() {
+        const select = document.getElementById('bulk-category');
+        select.innerHTML = '<option value="">Move to category…</option>' + this.getCategoryOptions();
+    }
+
+    getSelectedTransactions() {
+        return this.transactions.filter(t => this.selectedTransactionIds.has(t.id));
+    }
+
+    // Applies an update function to a copy of each selected transaction as one
+    // undoable change; returning null leaves a transaction alone
+    updateSelectedTransactions(label, message, update) {
+        const checkpoint = this.createCheckpoint();
+        const updates = new Map();
+        let skipped = 0;
+        const now = new Date().toISOString();
+
+        this.getSelectedTransactions().forEach(transaction => {
+            const updated = update(structuredClone(transaction));
+            if (!updated) {
+                skipped++;
+                return;
+            }
+            updated.updatedAt = now;
+            updates.set(transaction.id, updated);
+        });
+
+        if (updates.size > 0) {
+            const count = `${updates.size} transaction${updates.size === 1 ? '' : 's'}`;
+            this.transactions = this.transactions.map(t => updates.get(t.id) || t);
+            this.saveTransactions({ put: [...updates.values()] });
+            this.renderTransactions();
+            this.updateDashboard();
+            this.recordChange(`${label} ${count}`, checkpoint);
+            this.showNotification(`${message} ${count}`, 'success', this.getUndoAction());
+        }
+        if (skipped > 0) {
+            this.showNotification(`${skipped} transfer${skipped === 1 ? '' : 's'} skipped`, 'warning');
         }
-        
-        return filtered;
     }
 
-    applyFilters() {
+    bulkRecategorize(categoryId) {
+        document.getElementById('bulk-category').value = '';
+        if (!categoryId) return;
+
+        // Recategorizing collapses any split into the one category
+        this.updateSelectedTransactions('Recategorize', 'Recategorized', transaction => {
+            if (transaction.type === 'transfer') return null;
+            transaction.category = categoryId;
+            delete transaction.splits;
+            return transaction;
+        });
+    }
+
+    bulkChangeType(type) {
+        document.getElementById('bulk-type').value = '';
+        if (!type) return;
+
+        this.updateSelectedTransactions('Change type of', 'Changed type of', transaction => {
+            if (transaction.type === 'transfer') return null;
+            transaction.type = type;
+            return transaction;
+        });
+    }
+
+    bulkShiftDates(days) {
+        if (!days) {
+            this.showNotification('Enter a number of days to shift by!', 'error');
+            return;
+        }
+
+        this.updateSelectedTransactions('Shift dates of', 'Shifted dates of', transaction => {
+            const date = new Date(`${transaction.date}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() + days);
+            transaction.date = date.toISOString().split('T')[0];
+            return transaction;
+        });
+        document.getElementById('bulk-shift-days').value = '';
+    }
+
+    bulkDelete() {
+        const ids = [...this.selectedTransactionIds];
+        const count = `${ids.length} transaction${ids.length === 1 ? '' : 's'}`;
+        if (!confirm(`Delete ${count}?`)) return;
+
+        const checkpoint = this.createCheckpoint();
+        this.transactions = this.transactions.filter(t => !this.selectedTransactionIds.has(t.id));
+        this.selectedTransactionIds.clear();
+        this.saveTransactions({ remove: ids });
         this.renderTransactions();
+        this.updateDashboard();
+        this.recordChange(`Delete ${count}`, checkpoint);
+        this.showNotification(`Deleted ${count}`, 'success', this.getUndoAction());
     }
 
-    populateCategories() {
-        const categorySelect = document.getElementById('category-filter');
-        const transactionCategorySelect = document.getElementById('transaction-category');
-        
-        const populateSelect = (select) => {
-            select.innerHTML = '<option value="all">All Categories</option>';
-            this.categories.forEach(category => {
-                const option = document.createElement('option');
-                option.value = category.id;
-                option.textContent = category.name;
-                select.appendChild(option);
-            });
+    bulkExport() {
+        const selected = this.sortTransactions(this.getSelectedTransactions());
+        this.downloadTransactionsCSV(selected, 'selected-transactions.csv');
+        this.showNotification(`${selected.length} transaction${selected.length === 1 ? '' : 's'} exported!`, 'success');
+    }
+
+    // History
+    // Take a checkpoint before changing data and pass it to recordChange() afterwards.
+    // Transactions are diffed by reference, so changes must replace a transaction
+    // object rather than edit it in place; the other collections are copied whole.
+    createCheckpoint(collections = []) {
+        return {
+            transactions: new Map(this.transactions.map(t => [t.id, t])),
+            collections: Object.fromEntries(collections.map(name => [name, structuredClone(this[name])]))
         };
-        
-        populateSelect(categorySelect);
-        populateSelect(transactionCategorySelect);
     }
 
-    populateCategorySelect() {
-        const select = document.getElementById('transaction-category');
-        select.innerHTML = '<option value="">Select Category</option>';
-        
-        this.categories.forEach(category => {
-            const option = document.createElement('option');
-            option.value = category.id;
-            option.textContent = category.name;
-            select.appendChild(option);
+    recordChange(label, checkpoint) {
+        const transactions = [];
+        const current = new Set();
+
+        this.transactions.forEach(transaction => {
+            current.add(transaction.id);
+            const before = checkpoint.transactions.get(transaction.id);
+            if (before !== transaction) {
+                transactions.push({ id: transaction.id, before: before ? structuredClone(before) : null, after: structuredClone(transaction) });
+            }
+        });
+        checkpoint.transactions.forEach((before, id) => {
+            if (!current.has(id)) {
+                transactions.push({ id, before: structuredClone(before), after: null });
+            }
         });
-    }
 
-    addCustomCategory() {
-        const input = document.getElementById('new-category');
-        const name = input.value.trim();
-        
-        if (name && !this.categories.find(c => c.name.toLowerCase() === name.toLowerCase())) {
-            const newCategory = {
-                id: name.toLowerCase().replace(/\s+/g, '_'),
-                name: name,
-                icon: 'fas fa-tag',
-                color: this.getRandomColor()
-            };
-            
-            this.categories.push(newCategory);
-            this.populateCategories();
-            input.value = '';
-            this.showNotification('Category added successfully!', 'success');
-        } else {
-            this.showNotification('Category already exists or invalid name!', 'error');
+        const collections = {};
+        Object.entries(checkpoint.collections).forEach(([name, before]) => {
+            if (JSON.stringify(before) !== JSON.stringify(this[name])) {
+                collections[name] = { before, after: structuredClone(this[name]) };
+            }
+        });
+
+        if (transactions.length === 0 && Object.keys(collections).length === 0) return null;
+
+        const entry = { label, transactions, collections };
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
         }
+        this.redoStack = [];
+        this.saveHistory();
+        return entry;
     }
 
-    getRandomColor() {
-        const colors = ['#f59e0b', '#3b82f6', '#8b5cf6', '#ef4444', '#10b981', '#f97316', '#06b6d4', '#84cc16'];
-        return colors[Math.floor(Math.random() * colors.length)];
+    getUndoAction() {
+        return { label: 'Undo', callback: () => this.undo() };
     }
 
-    // Dashboard Updates
-    updateDashboard() {
-        const filter = document.getElementById('dashboard-filter').value;
-        const filteredTransactions = this.getFilteredTransactionsByPeriod(filter);
-        
-        const income = filteredTransactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-        const expenses = filteredTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
-        const balance = income - expenses;
-        
-        document.getElementById('balance-amount').textContent = this.formatCurrency(balance);
-        document.getElementById('income-amount').textContent = this.formatCurrency(income);
-        document.getElementById('expense-amount').textContent = this.formatCurrency(expenses);
-        document.getElementById('transaction-count').textContent = filteredTransactions.length;
-        
-        this.updateRecentTransactions(filteredTransactions);
-        this.updateExpensePieChart(filteredTransactions);
+    saveCollection(name) {
+        const savers = {
+            categories: () => this.saveCategories(),
+            budgets: () => this.saveBudgets(),
+            accounts: () => this.saveAccounts(),
+            exchangeRates: () => this.saveExchangeRates(),
+            recurringRules: () => this.saveRecurringRules(),
+            categoryRules: () => this.saveCategoryRules(),
+            goals: () => this.saveGoals(),
+            bills: () => this.saveBills()
+        };
+        return savers[name]();
     }
 
-    getFilteredTransactionsByPeriod(period) {
-        const now = new Date();
-        let filtered = [...this.transactions];
-        
-        switch (period) {
-            case 'month':
-                const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-                filtered = filtered.filter(t => new Date(t.date) >= startOfMonth);
-                break;
-            case 'year':
-                const startOfYear = new Date(now.getFullYear(), 0, 1);
-                filtered = filtered.filter(t => new Date(t.date) >= startOfYear);
-                break;
+    // Puts every transaction and collection in the entry back to its `before` or `after` state
+    applyHistoryEntry(entry, side) {
+        const put = [];
+        const remove = [];
+
+        entry.transactions.forEach(change => {
+            const index = this.transactions.findIndex(t => t.id === change.id);
+            if (index !== -1) {
+                this.transactions.splice(index, 1);
+            }
+
+            if (!change[side]) {
+                remove.push(change.id);
+                this.selectedTransactionIds.delete(change.id);
+                return;
+            }
+
+            // Restored transactions go back where they were created, so the recent list stays in order
+            const transaction = structuredClone(change[side]);
+            const position = index !== -1 ? index : this.transactions.findIndex(t => (t.createdAt || '') < (transaction.createdAt || ''));
+            this.transactions.splice(position === -1 ? this.transactions.length : position, 0, transaction);
+            put.push(transaction);
+        });
+
+        if (put.length > 0 || remove.length > 0) {
+            this.saveTransactions({ put, remove });
         }
-        
-        return filtered;
+
+        Object.entries(entry.collections).forEach(([name, values]) => {
+            this[name] = structuredClone(values[side]);
+            this.saveCollection(name);
+        });
+
+        this.refreshAllViews();
     }
 
-    updateRecentTransactions(transactions) {
-        const container = document.getElementById('recent-transactions-list');
-        const recent = transactions.slice(0, 5);
-        
-        if (recent.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <i class="fas fa-receipt"></i>
-                    <p>No transactions yet</p>
-                </div>
-            `;
+    refreshAllViews() {
+        this.populateCategories();
+        this.populateAccountSelects();
+        this.renderAccountsList();
+        this.renderBudgetsList();
+        this.renderRecurringRules();
+        this.renderCategoryRules();
+        this.renderGoalsList();
+        this.renderBills();
+        this.refreshConvertedTotals();
+    }
+
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            this.showNotification('Nothing to undo', 'info');
             return;
         }
-        
-        container.innerHTML = recent.map(transaction => {
-            const category = this.categories.find(c => c.id === transaction.category);
+
+        this.applyHistoryEntry(entry, 'before');
+        this.redoStack.push(entry);
+        this.saveHistory();
+        this.showNotification(`Undone: ${entry.label}`, 'info', { label: 'Redo', callback: () => this.redo() });
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            this.showNotification('Nothing to redo', 'info');
+            return;
+        }
+
+        this.applyHistoryEntry(entry, 'after');
+        this.undoStack.push(entry);
+        this.saveHistory();
+        this.showNotification(`Redone: ${entry.label}`, 'info', this.getUndoAction());
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), except while typing where the browser's own undo applies
+    handleHistoryShortcut(e) {
+        if (!this.currentUser || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    // History lives in sessionStorage, encrypted like everything else, so it survives
+    // a reload but not the end of the session
+    saveHistory() {
+        const email = this.currentUser.email;
+        const key = this.encryptionKey;
+        const json = JSON.stringify({ undo: this.undoStack, redo: this.redoStack });
+
+        this.historyQueue = this.historyQueue
+            .then(() => this.encryptData(json, key))
+            .then(payload => {
+                try {
+                    sessionStorage.setItem('expenseTrackerHistory', JSON.stringify({ email, ...payload }));
+                } catch (error) {
+                    // Over the storage quota: keep the history in memory for this page only
+                    sessionStorage.removeItem('expenseTrackerHistory');
+                }
+            });
+        return this.historyQueue;
+    }
+
+    async loadHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+
+        const stored = sessionStorage.getItem('expenseTrackerHistory');
+        if (!stored) return;
+
+        const { email, ...payload } = JSON.parse(stored);
+        if (email !== this.currentUser.email) return;
+
+        try {
+            const history = JSON.parse(await this.decryptData(payload));
+            this.undoStack = history.undo;
+            this.redoStack = history.redo;
+        } catch (error) {
+            // Unreadable history only costs the undo steps, so it's dropped quietly
+            sessionStorage.removeItem('expenseTrackerHistory');
+        }
+    }
+
+    // Sorting & Pagination
+    getTransactionSortValue(transaction, key) {
+        switch (key) {
+            case 'description':
+                return transaction.description.toLowerCase();
+            case 'category': {
+                if (transaction.type === 'transfer') return '';
+                if (transaction.splits) return 'split';
+                const category = this.categories.find(c => c.id === transaction.category);
+                return (category ? category.name : transaction.category || '').toLowerCase();
+            }
+            case 'account':
+                return this.getTransactionAccountLabel(transaction).toLowerCase();
+            case 'type':
+                return transaction.type;
+            case 'amount':
+                // Compare in one currency so mixed-currency lists sort sensibly
+                return this.getConvertedAmount(transaction);
+            default:
+                return transaction.date;
+        }
+    }
+
+    sortTransactions(transactions) {
+        const { key, direction } = this.transactionSort;
+        const factor = direction === 'asc' ? 1 : -1;
+
+        return transactions
+            .map(transaction => ({ transaction, value: this.getTransactionSortValue(transaction, key) }))
+            .sort((a, b) => {
+                const order = typeof a.value === 'number'
+                    ? a.value - b.value
+                    : String(a.value).localeCompare(String(b.value));
+                // Newest entry first among equal values
+                return order * factor || (b.transaction.createdAt || '').localeCompare(a.transaction.createdAt || '');
+            })
+            .map(entry => entry.transaction);
+    }
+
+    sortTransactionsBy(key) {
+        if (this.transactionSort.key === key) {
+            this.transactionSort.direction = this.transactionSort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            // Dates and amounts are most useful largest-first, text columns A to Z
+            this.transactionSort = { key, direction: ['date', 'amount'].includes(key) ? 'desc' : 'asc' };
+        }
+        this.transactionPage = 1;
+        this.renderTransactions();
+    }
+
+    updateSortIndicators() {
+        document.querySelectorAll('#transactions th[data-sort]').forEach(header => {
+            const active = header.dataset.sort === this.transactionSort.key;
+            header.classList.toggle('sorted', active);
+            header.setAttribute('aria-sort', active ? (this.transactionSort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            header.querySelector('.sort-icon').className = `fas sort-icon fa-sort${active ? (this.transactionSort.direction === 'asc' ? '-up' : '-down') : ''}`;
+        });
+    }
+
+    updatePagination(total, pageCount, start) {
+        const end = Math.min(start + this.transactionPageSize, total);
+        document.getElementById('pagination-info').textContent = total === 0
+            ? 'No transactions'
+            : `Showing ${start + 1}–${end} of ${total}`;
+        document.getElementById('page-indicator').textContent = `Page ${this.transactionPage} of ${pageCount}`;
+        document.getElementById('page-prev').disabled = this.transactionPage <= 1;
+        document.getElementById('page-next').disabled = this.transactionPage >= pageCount;
+    }
+
+    goToTransactionPage(page) {
+        this.transactionPage = page;
+        this.renderTransactions();
+    }
+
+    getFilteredTransactions() {
+        const state = this.getFilterState();
+        const query = this.parseSearchQuery(state.q);
+
+        return this.transactions.filter(t => {
+            if (state.type !== 'all' && t.type !== state.type) return false;
+            if (state.account !== 'all' && t.account !== state.account && t.toAccount !== state.account) return false;
+            if (state.categories.length > 0 && !this.getCategoryAmounts(t).some(split => state.categories.some(id => this.isInCategory(split.category, id)))) return false;
+            if (state.from && t.date < state.from) return false;
+            if (state.to && t.date > state.to) return false;
+            if (state.tag && !(t.tags || []).includes(state.tag)) return false;
+            if (state.min !== '' && t.amount < Number(state.min)) return false;
+            if (state.max !== '' && t.amount > Number(state.max)) return false;
+            return this.matchesSearchQuery(t, query);
+        });
+    }
+
+    applyFilters() {
+        this.transactionPage = 1;
+        // Bulk actions only ever apply to rows the current filters show
+        const matching = new Set(this.getFilteredTransactions().map(t => t.id));
+        this.selectedTransactionIds.forEach(id => {
+            if (!matching.has(id)) this.selectedTransactionIds.delete(id);
+        });
+        this.renderTransactions();
+        this.updateFilterHash();
+        this.syncSavedViewSelection();
+    }
+
+    // Search & Filters
+    getFilterState() {
+        return {
+            q: document.getElementById('transaction-search').value.trim(),
+            type: document.getElementById('type-filter').value,
+            categories: this.getSelectedCategoryFilters(),
+            account: document.getElementById('account-filter').value,
+            tag: document.getElementById('tag-filter').value,
+            from: document.getElementById('date-from').value,
+            to: document.getElementById('date-to').value,
+            min: document.getElementById('amount-min').value,
+            max: document.getElementById('amount-max').value
+        };
+    }
+
+    setFilterState(state) {
+        document.getElementById('transaction-search').value = state.q || '';
+        document.getElementById('type-filter').value = state.type || 'all';
+        document.getElementById('account-filter').value = this.getAccount(state.account) ? state.account : 'all';
+        this.populateTagFilter();
+        document.getElementById('tag-filter').value = this.getAllTags().includes(state.tag) ? state.tag : '';
+        document.getElementById('date-from').value = state.from || '';
+        document.getElementById('date-to').value = state.to || '';
+        document.getElementById('amount-min').value = state.min || '';
+        document.getElementById('amount-max').value = state.max || '';
+        document.querySelectorAll('#category-filter-menu input').forEach(input => {
+            input.checked = (state.categories || []).includes(input.value);
+        });
+        this.updateCategoryFilterLabel();
+        this.applyFilters();
+    }
+
+    getSelectedCategoryFilters() {
+        return [...document.querySelectorAll('#category-filter-menu input:checked')].map(input => input.value);
+    }
+
+    renderCategoryFilterMenu() {
+        const selected = this.getSelectedCategoryFilters();
+        document.getElementById('category-filter-menu').innerHTML = this.getOrderedCategories().map(category => `
+            <label class="${category.parent ? 'subcategory' : ''}">
+                <input type="checkbox" value="${this.escapeHtml(category.id)}" ${selected.includes(category.id) ? 'checked' : ''}>
+                <i class="${this.escapeHtml(category.icon)}" style="color: ${this.escapeHtml(category.color)}"></i>
+                ${this.escapeHtml(category.name)}
+            </label>
+        `).join('');
+        this.updateCategoryFilterLabel();
+    }
+
+    updateCategoryFilterLabel() {
+        const selected = this.getSelectedCategoryFilters();
+        const first = this.categories.find(c => c.id === selected[0]);
+        document.getElementById('category-filter-label').textContent = selected.length === 0
+            ? 'All Categories'
+            : selected.length === 1 ? first?.name || selected[0] : `${selected.length} Categories`;
+    }
+
+    // Splits a query like `coffee category:food #trip amount>500 after:2026-01-01` into filters
+    // and free-text terms. Unknown keys are treated as plain text.
+    parseSearchQuery(query) {
+        const parsed = { terms: [], categories: [], types: [], accounts: [], tags: [], amounts: [], after: null, before: null, on: null };
+        const tokens = query.match(/[^\s"]+:"[^"]*"|"[^"]*"|\S+/g) || [];
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+        tokens.forEach(token => {
+            const amount = token.match(/^amount(>=|<=|>|<|=|:)(-?\d+(?:\.\d+)?)$/i);
+            if (amount) {
+                parsed.amounts.push({ operator: amount[1] === ':' ? '=' : amount[1], value: Number(amount[2]) });
+                return;
+            }
+
+            if (/^#[^#\s]+$/.test(token)) {
+                parsed.tags.push(...this.parseTagList(token));
+                return;
+            }
+
+            const field = token.match(/^(\w+):(.+)$/);
+            if (field) {
+                const value = field[2].replace(/^"|"$/g, '').toLowerCase();
+                switch (field[1].toLowerCase()) {
+                    case 'category':
+                    case 'cat':
+                        parsed.categories.push(value);
+                        return;
+                    case 'type':
+                        parsed.types.push(value);
+                        return;
+                    case 'account':
+                        parsed.accounts.push(value);
+                        return;
+                    case 'tag':
+                        parsed.tags.push(...this.parseTagList(value));
+                        return;
+                    case 'after':
+                        if (isDate(value)) { parsed.after = value; return; }
+                        break;
+                    case 'before':
+                        if (isDate(value)) { parsed.before = value; return; }
+                        break;
+                    case 'on':
+                    case 'date':
+                        if (isDate(value)) { parsed.on = value; return; }
+                        break;
+                }
+            }
+
+            parsed.terms.push(token.replace(/^"|"$/g, '').toLowerCase());
+        });
+
+        return parsed;
+    }
+
+    matchesSearchQuery(transaction, query) {
+        const matchesCategory = (value) => this.getCategoryAmounts(transaction).some(split => {
+            const category = this.getCategory(split.category);
+            const parent = category && this.getCategory(category.parent);
+            return [category, parent].some(c => c && (c.id === value || c.name.toLowerCase().includes(value)));
+        });
+        const matchesAccount = (value) => [transaction.account, transaction.toAccount].some(id => {
+            const account = this.getAccount(id);
+            return id === value || (account && account.name.toLowerCase().includes(value));
+        });
+        const compare = { '>': (a, b) => a > b, '<': (a, b) => a < b, '>=': (a, b) => a >= b, '<=': (a, b) => a <= b, '=': (a, b) => Math.abs(a - b) < 0.005 };
+
+        if (query.categories.length > 0 && !query.categories.some(matchesCategory)) return false;
+        if (query.types.length > 0 && !query.types.some(type => transaction.type.startsWith(type))) return false;
+        if (query.accounts.length > 0 && !query.accounts.some(matchesAccount)) return false;
+        // Unlike the other keys, several tags narrow the search down rather than widen it
+        if (!query.tags.every(tag => (transaction.tags || []).includes(tag))) return false;
+        if (!query.amounts.every(({ operator, value }) => compare[operator](transaction.amount, value))) return false;
+        if (query.after && transaction.date < query.after) return false;
+        if (query.before && transaction.date > query.before) return false;
+        if (query.on && transaction.date !== query.on) return false;
+
+        const haystack = `${transaction.description} ${transaction.notes || ''}`.toLowerCase();
+        return query.terms.every(term => haystack.includes(term));
+    }
+
+    // The hash mirrors the transaction filters, e.g. #transactions?q=coffee&cat=food,shopping
+    getFilterParams(state) {
+        const params = new URLSearchParams();
+        if (state.q) params.set('q', state.q);
+        if (state.type && state.type !== 'all') params.set('type', state.type);
+        if (state.categories && state.categories.length > 0) params.set('cat', state.categories.join(','));
+        if (state.account && state.account !== 'all') params.set('account', state.account);
+        if (state.tag) params.set('tag', state.tag);
+        ['from', 'to', 'min', 'max'].forEach(key => {
+            if (state[key]) params.set(key, state[key]);
+        });
+        return params;
+    }
+
+    updateFilterHash() {
+        const onTransactions = document.getElementById('transactions').classList.contains('active');
+        const params = onTransactions ? this.getFilterParams(this.getFilterState()).toString() : '';
+        const hash = onTransactions ? `#transactions${params ? `?${params}` : ''}` : '';
+        if (window.location.hash !== hash) {
+            history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+        }
+    }
+
+    applyFilterHash() {
+        const match = window.location.hash.match(/^#transactions(?:\?(.*))?$/);
+        if (!match || !this.currentUser) return;
+
+        const params = new URLSearchParams(match[1] || '');
+        this.showSection('transactions');
+        this.setFilterState({
+            q: params.get('q') || '',
+            type: params.get('type') || 'all',
+            categories: (params.get('cat') || '').split(',').filter(Boolean),
+            account: params.get('account') || 'all',
+            tag: params.get('tag') || '',
+            from: params.get('from') || '',
+            to: params.get('to') || '',
+            min: params.get('min') || '',
+            max: params.get('max') || ''
+        });
+    }
+
+    // Saved Views
+    async loadSavedViews() {
+        this.savedViews = await this.loadEncrypted(`expenseTrackerViews_${this.currentUser.email}`, []);
+        this.renderSavedViews();
+    }
+
+    saveSavedViews() {
+        return this.saveEncrypted(`expenseTrackerViews_${this.currentUser.email}`, this.savedViews);
+    }
+
+    renderSavedViews() {
+        const select = document.getElementById('saved-views');
+        select.innerHTML = '<option value="">Saved Views</option>' + this.savedViews
+            .map(view => `<option value="${view.id}">${this.escapeHtml(view.name)}</option>`)
+            .join('');
+        this.syncSavedViewSelection();
+    }
+
+    // Keep the dropdown on a view only while the filters still match it
+    syncSavedViewSelection() {
+        const current = this.getFilterParams(this.getFilterState()).toString();
+        const view = this.savedViews.find(v => this.getFilterParams(v.filters).toString() === current);
+        const select = document.getElementById('saved-views');
+        select.value = view && current ? view.id : '';
+        document.getElementById('delete-view-btn').classList.toggle('hidden', !select.value);
+    }
+
+    saveCurrentView() {
+        const filters = this.getFilterState();
+        if (!this.getFilterParams(filters).toString()) {
+            this.showNotification('Set some filters before saving a view!', 'error');
+            return;
+        }
+
+        const name = (prompt('Name this view:') || '').trim();
+        if (!name) return;
+
+        const existing = this.savedViews.find(v => v.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            if (!confirm(`Replace the saved view "${existing.name}"?`)) return;
+            existing.filters = filters;
+        } else {
+            this.savedViews.push({ id: `view_${Date.now()}`, name, filters });
+        }
+
+        this.saveSavedViews();
+        this.renderSavedViews();
+        this.showNotification(`View "${name}" saved!`, 'success');
+    }
+
+    applySavedView(id) {
+        const view = this.savedViews.find(v => v.id === id);
+        if (view) {
+            this.setFilterState(view.filters);
+        } else {
+            document.getElementById('delete-view-btn').classList.add('hidden');
+        }
+    }
+
+    deleteSavedView(id) {
+        const view = this.savedViews.find(v => v.id === id);
+        if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+
+        this.savedViews = this.savedViews.filter(v => v.id !== id);
+        this.saveSavedViews();
+        this.renderSavedViews();
+        this.showNotification('View deleted!', 'success');
+    }
+
+    async loadCategories() {
+        this.categories = await this.loadEncrypted(`expenseTrackerCategories_${this.currentUser.email}`, this.getDefaultCategories());
+    }
+
+    saveCategories() {
+        this.trackCollectionChange('categories');
+        return this.saveEncrypted(`expenseTrackerCategories_${this.currentUser.email}`, this.categories);
+    }
+
+    populateCategories() {
+        this.renderCategoriesList();
+        this.renderCategoryFilterMenu();
+        this.populateCategorySelect();
+        this.populateBulkCategorySelect();
+        this.populateRuleCategorySelect();
+        this.populateBudgetCategorySelect();
+        this.populateRecurringCategorySelect();
+    }
+
+    populateCategorySelect() {
+        document.getElementById('transaction-category').innerHTML = '<option value="">Select Category</option>' + this.getCategoryOptions();
+    }
+
+    addCustomCategory() {
+        const input = document.getElementById('new-category');
+        const name = input.value.trim();
+        
+        if (name && !this.categories.find(c => c.name.toLowerCase() === name.toLowerCase())) {
+            // Ids end up in attributes and lookups, so they're kept to letters, digits and underscores.
+            // A renamed category keeps its id, so a new one may need a suffix to stay unique.
+            const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'category';
+            const newCategory = {
+                id: this.getCategory(baseId) ? `${baseId}_${Date.now()}` : baseId,
+                name: name,
+                icon: 'fas fa-tag',
+                color: this.getRandomColor(),
+                parent: document.getElementById('new-category-parent').value || null
+            };
+            
+            const checkpoint = this.createCheckpoint(['categories']);
+            this.categories.push(newCategory);
+            this.saveCategories();
+            this.recordChange(`Add category "${name}"`, checkpoint);
+            this.populateCategories();
+            this.renderBudgetsList();
+            input.value = '';
+            this.showNotification('Category added successfully!', 'success', this.getUndoAction());
+        } else {
+            this.showNotification('Category already exists or invalid name!', 'error');
+        }
+    }
+
+    getRandomColor() {
+        const colors = ['#f59e0b', '#3b82f6', '#8b5cf6', '#ef4444', '#10b981', '#f97316', '#06b6d4', '#84cc16'];
+        return colors[Math.floor(Math.random() * colors.length)];
+    }
+
+    // Category Management
+    getCategory(id) {
+        return this.categories.find(c => c.id === id);
+    }
+
+    // Subcategories roll up into their parent in the charts
+    getRootCategory(id) {
+        const category = this.getCategory(id);
+        return category && category.parent ? this.getCategory(category.parent) || category : category;
+    }
+
+    isInCategory(categoryId, ancestorId) {
+        return categoryId === ancestorId || this.getCategory(categoryId)?.parent === ancestorId;
+    }
+
+    // Top-level categories, each followed by its subcategories
+    getOrderedCategories() {
+        const roots = this.categories.filter(c => !c.parent || !this.getCategory(c.parent));
+        return roots.flatMap(root => [root, ...this.categories.filter(c => c.parent === root.id)]);
+    }
+
+    getCategoryLabel(category) {
+        const parent = category.parent && this.getCategory(category.parent);
+        return parent ? `${parent.name} › ${category.name}` : category.name;
+    }
+
+    getCategoryOptions() {
+        return this.getOrderedCategories()
+            .map(category => `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(this.getCategoryLabel(category))}</option>`)
+            .join('');
+    }
+
+    // Only one level of nesting, so parents are top-level categories
+    getParentCategoryOptions(excludeId = null) {
+        return this.categories
+            .filter(c => !c.parent && c.id !== excludeId)
+            .map(category => `<option value="${this.escapeHtml(category.id)}">${this.escapeHtml(category.name)}</option>`)
+            .join('');
+    }
+
+    getCategoryIcons() {
+        return [
+            'fas fa-utensils', 'fas fa-coffee', 'fas fa-shopping-cart', 'fas fa-shopping-bag', 'fas fa-car',
+            'fas fa-bus', 'fas fa-gas-pump', 'fas fa-plane', 'fas fa-home', 'fas fa-bolt',
+            'fas fa-file-invoice', 'fas fa-wifi', 'fas fa-mobile-alt', 'fas fa-film', 'fas fa-music',
+            'fas fa-gamepad', 'fas fa-heartbeat', 'fas fa-dumbbell', 'fas fa-graduation-cap', 'fas fa-book',
+            'fas fa-gift', 'fas fa-paw', 'fas fa-child', 'fas fa-tshirt', 'fas fa-briefcase',
+            'fas fa-piggy-bank', 'fas fa-hand-holding-usd', 'fas fa-tag', 'fas fa-ellipsis-h'
+        ];
+    }
+
+    getCategoryUsage(id) {
+        return {
+            transactions: this.transactions.filter(t => this.getCategoryAmounts(t).some(split => split.category === id)).length,
+            recurringRules: this.recurringRules.filter(r => r.category === id || (r.splits || []).some(split => split.category === id)).length,
+            categoryRules: this.categoryRules.filter(r => r.category === id).length,
+            subcategories: this.categories.filter(c => c.parent === id).length
+        };
+    }
+
+    renderCategoriesList() {
+        document.getElementById('new-category-parent').innerHTML = '<option value="">No parent</option>' + this.getParentCategoryOptions();
+
+        document.getElementById('categories-list').innerHTML = this.getOrderedCategories().map(category => `
+            <div class="category-item ${category.parent ? 'subcategory' : ''}" data-id="${this.escapeHtml(category.id)}">
+                <span class="category-name">
+                    <i class="${this.escapeHtml(category.icon)}" style="color: ${this.escapeHtml(category.color)}"></i>
+                    ${this.escapeHtml(category.name)}
+                </span>
+                <div class="transaction-actions">
+                    <button class="action-btn edit-btn" title="Edit" data-action="edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="action-btn delete-btn" title="Delete" data-action="delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    openCategoryModal(id) {
+        const category = this.getCategory(id);
+        if (!category) return;
+
+        this.editingCategory = category;
+        const hasChildren = this.categories.some(c => c.parent === id);
+        const parentSelect = document.getElementById('category-parent');
+
+        document.getElementById('category-name').value = category.name;
+        document.getElementById('category-color').value = category.color;
+        parentSelect.innerHTML = '<option value="">No parent</option>' + this.getParentCategoryOptions(id);
+        parentSelect.value = category.parent || '';
+        parentSelect.disabled = hasChildren;
+        document.getElementById('category-parent-hint').classList.toggle('hidden', !hasChildren);
+
+        const icons = this.getCategoryIcons();
+        if (!icons.includes(category.icon)) icons.unshift(category.icon);
+        document.getElementById('category-icon-grid').innerHTML = icons.map(icon => `
+            <button type="button" class="icon-option ${icon === category.icon ? 'selected' : ''}" data-icon="${this.escapeHtml(icon)}" title="${this.escapeHtml(icon.replace('fas fa-', ''))}">
+                <i class="${this.escapeHtml(icon)}"></i>
+            </button>
+        `).join('');
+
+        document.getElementById('category-modal').classList.add('active');
+    }
+
+    closeCategoryModal() {
+        document.getElementById('category-modal').classList.remove('active');
+        this.editingCategory = null;
+    }
+
+    selectCategoryIcon(e) {
+        const option = e.target.closest('.icon-option');
+        if (!option) return;
+
+        document.querySelectorAll('#category-icon-grid .icon-option').forEach(btn => btn.classList.remove('selected'));
+        option.classList.add('selected');
+    }
+
+    handleCategorySubmit(e) {
+        e.preventDefault();
+        const category = this.editingCategory;
+        if (!category) return;
+
+        const name = document.getElementById('category-name').value.trim();
+        if (!name) {
+            this.showNotification('Please enter a category name!', 'error');
+            return;
+        }
+        if (this.categories.some(c => c.id !== category.id && c.name.toLowerCase() === name.toLowerCase())) {
+            this.showNotification('A category with this name already exists!', 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['categories']);
+        const index = this.categories.findIndex(c => c.id === category.id);
+        this.categories[index] = {
+            ...category,
+            name,
+            color: document.getElementById('category-color').value,
+            icon: document.querySelector('#category-icon-grid .icon-option.selected')?.dataset.icon || category.icon,
+            parent: document.getElementById('category-parent').value || null
+        };
+        this.saveCategories();
+        this.recordChange(`Edit category "${name}"`, checkpoint);
+        this.populateCategories();
+        this.renderTransactions();
+        this.updateDashboard();
+        this.closeCategoryModal();
+        this.showNotification('Category updated successfully!', 'success', this.getUndoAction());
+    }
+
+    openCategoryDeleteModal(id) {
+        const category = this.getCategory(id);
+        if (!category) return;
+        if (this.categories.length === 1) {
+            this.showNotification('You need at least one category!', 'error');
+            return;
+        }
+
+        this.deletingCategory = category;
+        const usage = this.getCategoryUsage(id);
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const moved = [
+            usage.transactions && plural(usage.transactions, 'transaction'),
+            usage.recurringRules && plural(usage.recurringRules, 'recurring rule'),
+            usage.categoryRules && plural(usage.categoryRules, 'categorization rule')
+        ].filter(Boolean);
+
+        document.getElementById('category-delete-name').textContent = category.name;
+        document.getElementById('category-delete-summary').textContent = [
+            moved.length > 0 ? `${moved.join(', ')} will move to the category below, along with its budget if that category has none.` : 'Nothing uses this category yet.',
+            usage.subcategories ? `Its ${usage.subcategories === 1 ? 'subcategory' : `${usage.subcategories} subcategories`} will become top-level.` : ''
+        ].filter(Boolean).join(' ');
+
+        const target = document.getElementById('category-delete-target');
+        target.innerHTML = this.getOrderedCategories()
+            .filter(c => c.id !== id)
+            .map(c => `<option value="${this.escapeHtml(c.id)}">${this.escapeHtml(this.getCategoryLabel(c))}</option>`)
+            .join('');
+        target.value = category.parent || (this.getCategory('other') && id !== 'other' ? 'other' : target.options[0].value);
+
+        document.getElementById('category-delete-modal').classList.add('active');
+    }
+
+    closeCategoryDeleteModal() {
+        document.getElementById('category-delete-modal').classList.remove('active');
+        this.deletingCategory = null;
+    }
+
+    // Moves every use of the category to the target, merging split lines that end up sharing a category
+    reassignCategory(item, fromId, toId) {
+        if (item.category === fromId) {
+            item.category = toId;
+        }
+        if (item.splits) {
+            const merged = [];
+            item.splits.forEach(split => {
+                const category = split.category === fromId ? toId : split.category;
+                const existing = merged.find(m => m.category === category);
+                if (existing) {
+                    existing.amount = Math.round((existing.amount + split.amount) * 100) / 100;
+                } else {
+                    merged.push({ category, amount: split.amount });
+                }
+            });
+            item.splits = merged.length > 1 ? merged : null;
+            item.category = merged[0].category;
+        }
+        return item;
+    }
+
+    confirmCategoryDelete() {
+        const category = this.deletingCategory;
+        const targetId = document.getElementById('category-delete-target').value;
+        if (!category || !targetId) return;
+
+        const checkpoint = this.createCheckpoint(['categories', 'budgets', 'recurringRules', 'categoryRules']);
+        const now = new Date().toISOString();
+        const put = [];
+
+        this.transactions = this.transactions.map(transaction => {
+            if (!this.getCategoryAmounts(transaction).some(split => split.category === category.id)) return transaction;
+
+            const moved = this.reassignCategory({ ...transaction, updatedAt: now }, category.id, targetId);
+            if (!moved.splits) delete moved.splits;
+            put.push(moved);
+            return moved;
+        });
+        this.recurringRules.forEach(rule => this.reassignCategory(rule, category.id, targetId));
+        this.categoryRules.forEach(rule => {
+            if (rule.category === category.id) rule.category = targetId;
+        });
+
+        if (this.budgets[category.id] !== undefined) {
+            if (this.budgets[targetId] === undefined) {
+                this.budgets[targetId] = this.budgets[category.id];
+            }
+            delete this.budgets[category.id];
+        }
+
+        this.categories = this.categories
+            .filter(c => c.id !== category.id)
+            .map(c => c.parent === category.id ? { ...c, parent: null } : c);
+
+        if (put.length > 0) {
+            this.saveTransactions({ put });
+        }
+        this.saveCategories();
+        this.saveBudgets();
+        this.saveRecurringRules();
+        this.saveCategoryRules();
+        this.recordChange(`Delete category "${category.name}"`, checkpoint);
+
+        this.populateCategories();
+        this.renderBudgetsList();
+        this.renderRecurringRules();
+        this.renderCategoryRules();
+        this.renderTransactions();
+        this.updateDashboard();
+        this.closeCategoryDeleteModal();
+        this.showNotification(`Category deleted${put.length ? `, ${put.length} transaction${put.length === 1 ? '' : 's'} moved` : ''}!`, 'success', this.getUndoAction());
+    }
+
+    // Categorization Rules
+    async loadCategoryRules() {
+        this.categoryRules = await this.loadEncrypted(`expenseTrackerRules_${this.currentUser.email}`, []);
+        this.renderCategoryRules();
+    }
+
+    saveCategoryRules() {
+        this.trackCollectionChange('categoryRules');
+        return this.saveEncrypted(`expenseTrackerRules_${this.currentUser.email}`, this.categoryRules);
+    }
+
+    // Rules are kept in priority order; the first one that matches wins
+    getMatchingRule(transaction) {
+        if (transaction.type === 'transfer') return null;
+        return this.categoryRules.find(rule => this.ruleMatches(rule, transaction)) || null;
+    }
+
+    ruleMatches(rule, transaction) {
+        if (!this.categories.some(c => c.id === rule.category)) return false;
+        if (rule.type && rule.type !== transaction.type) return false;
+        if (rule.minAmount !== null && !(transaction.amount >= rule.minAmount)) return false;
+        if (rule.maxAmount !== null && !(transaction.amount <= rule.maxAmount)) return false;
+
+        const description = String(transaction.description || '');
+        if (rule.matchType === 'regex') {
+            try {
+                return new RegExp(rule.pattern, 'i').test(description);
+            } catch (error) {
+                return false;
+            }
+        }
+        return description.toLowerCase().includes(rule.pattern.toLowerCase());
+    }
+
+    describeRule(rule) {
+        const category = this.categories.find(c => c.id === rule.category);
+        const parts = [rule.matchType === 'regex' ? `matches /${rule.pattern}/` : `contains "${rule.pattern}"`];
+        if (rule.type) parts.push(rule.type);
+        if (rule.minAmount !== null && rule.maxAmount !== null) {
+            parts.push(`${this.formatAmount(rule.minAmount)}–${this.formatAmount(rule.maxAmount)}`);
+        } else if (rule.minAmount !== null) {
+            parts.push(`≥ ${this.formatAmount(rule.minAmount)}`);
+        } else if (rule.maxAmount !== null) {
+            parts.push(`≤ ${this.formatAmount(rule.maxAmount)}`);
+        }
+
+        const tags = rule.tags.length > 0 ? ` + ${rule.tags.map(tag => `#${tag}`).join(' ')}` : '';
+        return `${parts.join(', ')} → ${category ? category.name : 'Missing category'}${tags}`;
+    }
+
+    addCategoryRule() {
+        const patternInput = document.getElementById('rule-pattern');
+        const pattern = patternInput.value.trim();
+        const matchType = document.getElementById('rule-match-type').value;
+        const minAmount = parseFloat(document.getElementById('rule-min').value);
+        const maxAmount = parseFloat(document.getElementById('rule-max').value);
+        const category = document.getElementById('rule-category').value;
+
+        if (!pattern || !category) {
+            this.showNotification('Please enter a description to match and a category!', 'error');
+            return;
+        }
+        if (matchType === 'regex') {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                this.showNotification('That regular expression is not valid!', 'error');
+                return;
+            }
+        }
+        if (!isNaN(minAmount) && !isNaN(maxAmount) && minAmount > maxAmount) {
+            this.showNotification('The minimum amount is above the maximum!', 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['categoryRules']);
+        this.categoryRules.push({
+            id: `rule_${Date.now()}`,
+            matchType,
+            pattern,
+            type: document.getElementById('rule-type').value || null,
+            minAmount: isNaN(minAmount) ? null : minAmount,
+            maxAmount: isNaN(maxAmount) ? null : maxAmount,
+            category,
+            tags: this.parseTagList(document.getElementById('rule-tags').value),
+            createdAt: new Date().toISOString()
+        });
+        this.saveCategoryRules();
+        this.recordChange('Add categorization rule', checkpoint);
+        this.renderCategoryRules();
+
+        ['rule-pattern', 'rule-min', 'rule-max', 'rule-tags'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.showNotification('Rule added successfully!', 'success', this.getUndoAction());
+    }
+
+    moveCategoryRule(id, offset) {
+        const index = this.categoryRules.findIndex(r => r.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.categoryRules.length) return;
+
+        const checkpoint = this.createCheckpoint(['categoryRules']);
+        const [rule] = this.categoryRules.splice(index, 1);
+        this.categoryRules.splice(target, 0, rule);
+        this.saveCategoryRules();
+        this.recordChange('Reorder categorization rules', checkpoint);
+        this.renderCategoryRules();
+    }
+
+    deleteCategoryRule(id) {
+        const checkpoint = this.createCheckpoint(['categoryRules']);
+        this.categoryRules = this.categoryRules.filter(r => r.id !== id);
+        this.saveCategoryRules();
+        this.recordChange('Delete categorization rule', checkpoint);
+        this.renderCategoryRules();
+        this.showNotification('Rule deleted!', 'success', this.getUndoAction());
+    }
+
+    populateRuleCategorySelect() {
+        const select = document.getElementById('rule-category');
+        const value = select.value;
+        select.innerHTML = '<option value="">Set category…</option>' + this.getCategoryOptions();
+        select.value = value;
+    }
+
+    renderCategoryRules() {
+        const container = document.getElementById('rules-list');
+        document.getElementById('rule-preview').classList.add('hidden');
+
+        if (this.categoryRules.length === 0) {
+            container.innerHTML = '<p class="budget-hint">No rules yet</p>';
+            return;
+        }
+
+        container.innerHTML = this.categoryRules.map((rule, index) => `
+            <div class="category-item" data-id="${this.escapeHtml(rule.id)}">
+                <span class="category-name">
+                    <span class="rule-priority">${index + 1}</span>
+                    ${this.escapeHtml(this.describeRule(rule))}
+                </span>
+                <div class="transaction-actions">
+                    <button class="action-btn" title="Move up" ${index === 0 ? 'disabled' : ''} data-action="up">
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="action-btn" title="Move down" ${index === this.categoryRules.length - 1 ? 'disabled' : ''} data-action="down">
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button class="action-btn edit-btn" title="Test against history" data-action="preview">
+                        <i class="fas fa-vial"></i>
+                    </button>
+                    <button class="action-btn delete-btn" title="Delete" data-action="delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Existing transactions this rule would change. Rules above it get first claim, and
+    // split transactions are left alone since a rule can only set a single category.
+    getRuleChanges(rule) {
+        return this.transactions.filter(transaction => {
+            if (transaction.splits || this.getMatchingRule(transaction) !== rule) return false;
+            const tags = transaction.tags || [];
+            return transaction.category !== rule.category || rule.tags.some(tag => !tags.includes(tag));
+        });
+    }
+
+    previewCategoryRule(id) {
+        const rule = this.categoryRules.find(r => r.id === id);
+        if (!rule) return;
+
+        const preview = document.getElementById('rule-preview');
+        const changes = this.sortTransactions(this.getRuleChanges(rule));
+        const limit = 50;
+        const getCategoryName = (categoryId) => this.categories.find(c => c.id === categoryId)?.name || categoryId;
+
+        preview.innerHTML = `
+            <strong>${this.escapeHtml(this.describeRule(rule))}</strong>
+            <span class="budget-hint">
+                ${changes.length === 0 ? 'No existing transactions would change.' : `Would change ${changes.length} existing transaction${changes.length === 1 ? '' : 's'}${changes.length > limit ? ` (showing ${limit})` : ''}:`}
+            </span>
+            <div class="rule-preview-list">
+                ${changes.slice(0, limit).map(transaction => `
+                    <div class="rule-preview-item">
+                        <span>${this.formatDate(transaction.date)} · ${this.escapeHtml(transaction.description)}</span>
+                        <span>${this.escapeHtml(getCategoryName(transaction.category))} → ${this.escapeHtml(getCategoryName(rule.category))}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="rule-preview-actions" data-id="${this.escapeHtml(rule.id)}">
+                <button class="btn btn-secondary" data-action="close">Close</button>
+                ${changes.length > 0 ? `<button class="btn btn-primary" data-action="apply">Apply to ${changes.length}</button>` : ''}
+            </div>
+        `;
+        preview.classList.remove('hidden');
+    }
+
+    applyCategoryRule(id) {
+        const rule = this.categoryRules.find(r => r.id === id);
+        if (!rule) return;
+
+        const now = new Date().toISOString();
+        const updates = new Map(this.getRuleChanges(rule).map(transaction => [transaction.id, {
+            ...transaction,
+            category: rule.category,
+            ...(rule.tags.length > 0 ? { tags: [...new Set([...(transaction.tags || []), ...rule.tags])] } : {}),
+            updatedAt: now
+        }]));
+        if (updates.size === 0) return;
+
+        const checkpoint = this.createCheckpoint();
+        this.transactions = this.transactions.map(t => updates.get(t.id) || t);
+        this.saveTransactions({ put: [...updates.values()] });
+        this.recordChange(`Apply rule to ${updates.size} transaction${updates.size === 1 ? '' : 's'}`, checkpoint);
+        this.renderTransactions();
+        this.updateDashboard();
+        this.renderCategoryRules();
+        this.showNotification(`${updates.size} transaction${updates.size === 1 ? '' : 's'} recategorized!`, 'success', this.getUndoAction());
+    }
+
+    // Fills in the category while a new transaction is typed, until the user picks one by hand
+    applyRulesToForm() {
+        const hint = document.getElementById('transaction-rule-hint');
+        const select = document.getElementById('transaction-category');
+
+        if (this.editingTransaction || this.editingSplits || this.categoryChosenByHand) {
+            this.formRule = null;
+            hint.classList.add('hidden');
+            return;
+        }
+
+        const rule = this.getMatchingRule({
+            type: this.getSelectedType('transaction'),
+            description: document.getElementById('transaction-description').value,
+            amount: parseFloat(document.getElementById('transaction-amount').value)
+        });
+
+        if (rule) {
+            select.value = rule.category;
+        } else if (this.formRule) {
+            select.value = '';
+        }
+        this.formRule = rule;
+
+        hint.classList.toggle('hidden', !rule);
+        hint.innerHTML = rule ? `<i class="fas fa-magic"></i> Set by rule: ${this.escapeHtml(this.describeRule(rule))}` : '';
+    }
+
+    // Statement rows the file didn't categorize are run through the rules
+    applyImportRules(rows, defaultCategory) {
+        rows.forEach(row => {
+            if (row.error || row.category !== defaultCategory) return;
+
+            const rule = this.getMatchingRule(row);
+            if (rule) {
+                row.category = rule.category;
+                row.tags = [...new Set([...(row.tags || []), ...rule.tags])];
+                row.rule = rule.id;
+            }
+        });
+    }
+
+    // Tags & Notes
+    // Tags are lowercase words without spaces; "#Trip Goa, work" gives trip, goa and work
+    parseTagList(value) {
+        return [...new Set(String(value || '').split(/[\s,;]+/).map(tag => tag.replace(/^#+/, '').toLowerCase()).filter(Boolean))];
+    }
+
+    // Every tag in use, most used first
+    getAllTags() {
+        const counts = new Map();
+        this.transactions.forEach(transaction => {
+            (transaction.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    }
+
+    getTagChipsHtml(tags) {
+        return tags.map(tag => `
+            <button type="button" class="tag-chip" title="Show transactions tagged #${this.escapeHtml(tag)}" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>
+        `).join('');
+    }
+
+    filterByTag(tag) {
+        this.showSection('transactions');
+        this.setFilterState({ ...this.getFilterState(), tag });
+    }
+
+    // Rebuilt only when the set of tags changes, so an open dropdown isn't disturbed
+    populateTagFilter() {
+        const select = document.getElementById('tag-filter');
+        const tags = this.getAllTags().sort();
+        const key = tags.join(' ');
+        if (select.dataset.tags === key) return;
+
+        const value = select.value;
+        select.dataset.tags = key;
+        select.innerHTML = '<option value="">All Tags</option>' + tags
+            .map(tag => `<option value="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</option>`)
+            .join('');
+        select.value = tags.includes(value) ? value : '';
+    }
+
+    renderTagEditor() {
+        document.getElementById('transaction-tag-chips').innerHTML = this.editingTags.map((tag, index) => `
+            <button type="button" class="tag-chip" title="Remove tag" onclick="expenseTracker.removeEditingTag(${index})">
+                #${this.escapeHtml(tag)}
+                <i class="fas fa-times"></i>
+            </button>
+        `).join('');
+        this.updateTagSuggestions();
+    }
+
+    addEditingTags(value) {
+        this.parseTagList(value).forEach(tag => {
+            if (!this.editingTags.includes(tag)) this.editingTags.push(tag);
+        });
+        document.getElementById('transaction-tag-input').value = '';
+        this.renderTagEditor();
+    }
+
+    removeEditingTag(index) {
+        this.editingTags.splice(index, 1);
+        this.renderTagEditor();
+    }
+
+    // Suggests existing tags that start with, then contain, what's being typed
+    updateTagSuggestions() {
+        const container = document.getElementById('tag-suggestions');
+        const input = document.getElementById('transaction-tag-input');
+        const text = input.value.trim().replace(/^#+/, '').toLowerCase();
+
+        // Goal tags are offered even before anything is tagged with them
+        const tags = [...new Set([...this.getAllTags(), ...this.goals.map(goal => goal.tag)])];
+        const available = tags.filter(tag => !this.editingTags.includes(tag));
+        this.tagSuggestions = text
+            ? [...available.filter(tag => tag.startsWith(text)), ...available.filter(tag => !tag.startsWith(text) && tag.includes(text))].slice(0, 8)
+            : [];
+        this.activeTagSuggestion = Math.min(this.activeTagSuggestion, this.tagSuggestions.length - 1);
+
+        container.classList.toggle('hidden', this.tagSuggestions.length === 0 || document.activeElement !== input);
+        container.innerHTML = this.tagSuggestions.map((tag, index) => `
+            <button type="button" class="tag-chip ${index === this.activeTagSuggestion ? 'active' : ''}" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>
+        `).join('');
+    }
+
+    handleTagInputKeydown(e) {
+        const input = e.target;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (this.tagSuggestions.length === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.activeTagSuggestion = (this.activeTagSuggestion + step + this.tagSuggestions.length + 1) % (this.tagSuggestions.length + 1) - 1;
+            this.updateTagSuggestions();
+        } else if (e.key === 'Enter' || e.key === ',' || (e.key === 'Tab' && this.activeTagSuggestion >= 0)) {
+            // Enter on an empty input still submits the form
+            const tag = this.tagSuggestions[this.activeTagSuggestion] || input.value;
+            if (!tag.trim()) return;
+            e.preventDefault();
+            this.activeTagSuggestion = -1;
+            this.addEditingTags(tag);
+        } else if (e.key === 'Backspace' && input.value === '' && this.editingTags.length > 0) {
+            this.removeEditingTag(this.editingTags.length - 1);
+        }
+    }
+
+    handleTagInput(e) {
+        // Typing a space or pasting a list commits everything before the last word
+        const parts = e.target.value.split(/[\s,;]+/);
+        if (parts.length > 1) {
+            const rest = parts.pop();
+            this.addEditingTags(parts.join(' '));
+            e.target.value = rest;
+        }
+        this.activeTagSuggestion = -1;
+        this.updateTagSuggestions();
+    }
+
+    // Converted income and expense per tag; a tagged split counts in full
+    getTagTotals(transactions) {
+        const totals = new Map();
+        transactions.filter(t => t.type !== 'transfer').forEach(transaction => {
+            (transaction.tags || []).forEach(tag => {
+                const total = totals.get(tag) || { tag, count: 0, expense: 0, income: 0 };
+                total.count++;
+                total[transaction.type] += this.getConvertedAmount(transaction);
+                totals.set(tag, total);
+            });
+        });
+        return [...totals.values()].sort((a, b) => b.expense - a.expense || b.income - a.income || a.tag.localeCompare(b.tag));
+    }
+
+    updateTagTotals() {
+        const container = document.getElementById('tag-totals');
+        const filter = document.getElementById('analytics-filter').value;
+        const totals = this.getTagTotals(this.getFilteredTransactionsByPeriod(filter));
+
+        if (totals.length === 0) {
+            container.innerHTML = '<p class="budget-hint">No tagged transactions in this period</p>';
+            return;
+        }
+
+        const max = Math.max(...totals.map(total => total.expense), 1);
+        container.innerHTML = totals.map(total => `
+            <div class="tag-total-item">
+                <div class="tag-total-header">
+                    <button type="button" class="tag-chip" data-tag="${this.escapeHtml(total.tag)}">#${this.escapeHtml(total.tag)}</button>
+                    <span>${this.formatCurrency(total.expense)}</span>
+                </div>
+                <div class="tag-total-bar"><span style="width: ${(total.expense / max) * 100}%"></span></div>
+                <span class="budget-hint">
+                    ${total.count} transaction${total.count === 1 ? '' : 's'}${total.income > 0 ? ` · ${this.formatCurrency(total.income)} income` : ''}
+                </span>
+            </div>
+        `).join('');
+    }
+
+    // Receipts
+    // Transactions only carry each receipt's id, name, type and size; the files live in the
+    // attachments store, encrypted like everything else
+    getAttachmentMeta(attachment) {
+        return { id: attachment.id, name: attachment.name, type: attachment.type, size: attachment.size };
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    getDataUrlSize(dataUrl) {
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        return Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+    }
+
+    dataUrlToBlob(dataUrl) {
+        const [header, base64] = dataUrl.split(',');
+        return new Blob([this.base64ToBuffer(base64)], { type: header.slice(5).split(';')[0] });
+    }
+
+    readFileAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not read image'));
+            image.src = src;
+        });
+    }
+
+    // Phone photos are several MB; scaling them down and re-encoding as JPEG keeps them
+    // readable at a fraction of the size. The original wins if it's already smaller.
+    async compressImage(file) {
+        const original = await this.readFileAsDataURL(file);
+        try {
+            const image = await this.loadImage(original);
+            const scale = Math.min(1, this.receiptMaxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+            const context = canvas.getContext('2d');
+            // JPEG has no transparency, so transparent PNGs would otherwise turn black
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            const compressed = canvas.toDataURL('image/jpeg', this.receiptQuality);
+            return compressed.length < original.length ? compressed : original;
+        } catch (error) {
+            return original;
+        }
+    }
+
+    async prepareAttachment(file) {
+        let data;
+        if (file.type === 'application/pdf') {
+            data = file.size <= this.receiptMaxSize ? await this.readFileAsDataURL(file) : null;
+        } else if (file.type.startsWith('image/')) {
+            data = await this.compressImage(file);
+        } else {
+            throw new Error(`${file.name} is not an image or PDF!`);
+        }
+
+        if (!data || this.getDataUrlSize(data) > this.receiptMaxSize) {
+            throw new Error(`${file.name} is larger than ${this.formatFileSize(this.receiptMaxSize)}!`);
+        }
+
+        // e.g. HEIC photos the browser can't decode, so they couldn't be shown either
+        const type = data.slice(5, data.indexOf(';'));
+        if (!this.receiptTypes.includes(type)) {
+            throw new Error(`${file.name} is not a supported image format!`);
+        }
+
+        const name = type === 'image/jpeg' && type !== file.type ? file.name.replace(/\.[^.]+$/, '') + '.jpg' : file.name;
+        return { id: `receipt_${crypto.randomUUID()}`, name, type, size: this.getDataUrlSize(data), data, unsaved: true };
+    }
+
+    async handleReceiptFiles(e) {
+        const files = [...e.target.files];
+        const attachments = this.editingAttachments;
+        e.target.value = '';
+
+        for (const file of files) {
+            try {
+                attachments.push(await this.prepareAttachment(file));
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        }
+        this.renderAttachmentEditor();
+    }
+
+    removeEditingAttachment(index) {
+        this.editingAttachments.splice(index, 1);
+        this.renderAttachmentEditor();
+    }
+
+    renderAttachmentEditor() {
+        document.getElementById('transaction-receipts').innerHTML = this.editingAttachments.map((attachment, index) => `
+            <div class="receipt-item">
+                ${attachment.data && attachment.type.startsWith('image/')
+                    ? `<img src="${attachment.data}" alt="">`
+                    : `<i class="fas ${attachment.type === 'application/pdf' ? 'fa-file-pdf' : 'fa-file-image'}"></i>`}
+                <span class="receipt-name" title="${this.escapeHtml(attachment.name)}">${this.escapeHtml(attachment.name)}</span>
+                <small>${this.formatFileSize(attachment.size)}</small>
+                <button type="button" class="receipt-remove" title="Remove receipt" onclick="expenseTracker.removeEditingAttachment(${index})">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    // Fills in thumbnails for receipts already saved on the transaction being edited
+    async loadAttachmentPreviews(transaction) {
+        const attachments = this.editingAttachments;
+        const loaded = await this.loadAttachments(transaction);
+        loaded.forEach(file => {
+            const attachment = attachments.find(a => a.id === file.id);
+            if (attachment) attachment.data = file.data;
+        });
+        if (attachments === this.editingAttachments) this.renderAttachmentEditor();
+    }
+
+    // Takes { id, transactionId, name, type, size, data } records, as found in backups
+    saveAttachments(attachments) {
+        const user = this.currentUser.email;
+        const key = this.encryptionKey;
+        const files = attachments.map(({ id, transactionId, name, type, size, data }) => ({ id, transactionId, file: { name, type, size, data } }));
+
+        this.storageQueue = this.storageQueue
+            .then(() => Promise.all(files.map(async ({ id, transactionId, file }) => ({
+                id,
+                transactionId,
+                payload: await this.encryptData(JSON.stringify(file), key)
+            }))))
+            .then(records => this.storage.putAttachments(user, records))
+            .catch(error => {
+                this.showNotification('Failed to save receipts!', 'error');
+            });
+        return this.storageQueue;
+    }
+
+    async decryptAttachment(record) {
+        return { id: record.id, transactionId: record.transactionId, ...JSON.parse(await this.decryptData(record.payload)) };
+    }
+
+    // A receipt whose file is missing (e.g. restored from a backup made without receipts) has data: null
+    async loadAttachments(transaction) {
+        const records = await this.storage.getAttachments(this.currentUser.email, transaction.id);
+        const files = new Map((await Promise.all(records.map(record => this.decryptAttachment(record)))).map(file => [file.id, file]));
+        return (transaction.attachments || []).map(attachment => ({
+            ...attachment,
+            data: files.has(attachment.id) ? files.get(attachment.id).data : null
+        }));
+    }
+
+    async getAllAttachmentData() {
+        const referenced = new Set(this.transactions.flatMap(t => (t.attachments || []).map(a => a.id)));
+        const records = await this.storage.getAllAttachments(this.currentUser.email);
+        return Promise.all(records.filter(record => referenced.has(record.id)).map(record => this.decryptAttachment(record)));
+    }
+
+    // Removing a receipt or its transaction leaves the file in place so undo can bring it back;
+    // files nothing points at any more are cleared out on the next sign-in
+    async pruneAttachments() {
+        const user = this.currentUser.email;
+        const referenced = new Set();
+        const collect = transaction => (transaction && transaction.attachments || []).forEach(a => referenced.add(a.id));
+
+        this.transactions.forEach(collect);
+        [...this.undoStack, ...this.redoStack].forEach(entry => {
+            entry.transactions.forEach(change => {
+                collect(change.before);
+                collect(change.after);
+            });
+        });
+
+        const unused = (await this.storage.getAttachmentIds(user)).filter(id => !referenced.has(id));
+        if (unused.length > 0) {
+            await this.storage.deleteAttachments(user, unused);
+        }
+    }
+
+    async openAttachmentViewer(transactionId, index = 0) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction || !transaction.attachments) return;
+
+        document.getElementById('receipt-viewer-title').textContent = transaction.description;
+        document.getElementById('receipt-viewer-body').innerHTML = '<p class="budget-hint">Loading…</p>';
+        document.getElementById('receipt-viewer-modal').classList.add('active');
+
+        this.viewerAttachments = await this.loadAttachments(transaction);
+        this.showAttachment(index);
+    }
+
+    showAttachment(index) {
+        const count = this.viewerAttachments.length;
+        if (count === 0) return;
+
+        this.viewerIndex = (index + count) % count;
+        const attachment = this.viewerAttachments[this.viewerIndex];
+        const body = document.getElementById('receipt-viewer-body');
+        this.revokeViewerUrl();
+
+        if (!attachment.data) {
+            body.innerHTML = '<p class="budget-hint">This receipt\'s file isn\'t stored on this device.</p>';
+        } else if (attachment.type === 'application/pdf') {
+            // Browsers won't show a PDF from a data: URL inside a frame
+            this.viewerUrl = URL.createObjectURL(this.dataUrlToBlob(attachment.data));
+            body.innerHTML = `<iframe src="${this.viewerUrl}" title="${this.escapeHtml(attachment.name)}"></iframe>`;
+        } else {
+            body.innerHTML = `<img src="${attachment.data}" alt="${this.escapeHtml(attachment.name)}">`;
+        }
+
+        document.getElementById('receipt-viewer-info').textContent = `${attachment.name} · ${this.formatFileSize(attachment.size)}`;
+        document.getElementById('receipt-viewer-count').textContent = `${this.viewerIndex + 1} of ${count}`;
+        document.getElementById('receipt-viewer-prev').classList.toggle('hidden', count === 1);
+        document.getElementById('receipt-viewer-next').classList.toggle('hidden', count === 1);
+        document.getElementById('receipt-viewer-download').disabled = !attachment.data;
+    }
+
+    downloadAttachment() {
+        const attachment = this.viewerAttachments[this.viewerIndex];
+        if (!attachment || !attachment.data) return;
+
+        const a = document.createElement('a');
+        a.href = attachment.data;
+        a.download = attachment.name;
+        a.click();
+    }
+
+    revokeViewerUrl() {
+        if (this.viewerUrl) {
+            URL.revokeObjectURL(this.viewerUrl);
+            this.viewerUrl = null;
+        }
+    }
+
+    closeAttachmentViewer() {
+        document.getElementById('receipt-viewer-modal').classList.remove('active');
+        document.getElementById('receipt-viewer-body').innerHTML = '';
+        this.revokeViewerUrl();
+        this.viewerAttachments = [];
+    }
+
+    // Split Transactions
+    // Category/amount lines in the transaction's currency; unsplit transactions are one line
+    getCategoryAmounts(transaction) {
+        return transaction.splits && transaction.splits.length > 0
+            ? transaction.splits
+            : [{ category: transaction.category, amount: transaction.amount }];
+    }
+
+    getConvertedCategoryAmounts(transaction) {
+        const currency = this.getTransactionCurrency(transaction);
+        return this.getCategoryAmounts(transaction).map(split => ({
+            category: split.category,
+            amount: this.convertAmount(split.amount, currency, transaction.date)
+        }));
+    }
+
+    // Converted expense totals keyed by top-level category name, counting each split separately
+    getExpenseTotalsByCategory(transactions) {
+        const totals = {};
+        transactions.filter(t => t.type === 'expense').forEach(transaction => {
+            this.getConvertedCategoryAmounts(transaction).forEach(split => {
+                const category = this.getRootCategory(split.category);
+                const categoryName = category ? category.name : split.category;
+                totals[categoryName] = (totals[categoryName] || 0) + split.amount;
+            });
+        });
+        return totals;
+    }
+
+    getSplitSummary(transaction) {
+        const currency = this.getTransactionCurrency(transaction);
+        return this.getCategoryAmounts(transaction).map(split => {
+            const category = this.categories.find(c => c.id === split.category);
+            return `${category ? category.name : split.category} ${this.formatCurrency(split.amount, currency)}`;
+        }).join(', ');
+    }
+
+    toggleSplit() {
+        if (this.editingSplits) {
+            // Collapse back to a single category, keeping the largest line
+            const largest = this.editingSplits.reduce((best, line) => line.amount > best.amount ? line : best, this.editingSplits[0]);
+            this.editingSplits = null;
+            this.renderSplitEditor();
+            if (largest.category) {
+                document.getElementById('transaction-category').value = largest.category;
+            }
+            return;
+        }
+
+        const amount = parseFloat(document.getElementById('transaction-amount').value) || 0;
+        this.editingSplits = [
+            { category: document.getElementById('transaction-category').value, amount },
+            { category: '', amount: 0 }
+        ];
+        this.renderSplitEditor();
+    }
+
+    addSplitLine() {
+        this.editingSplits.push({ category: '', amount: Math.max(0, this.getSplitRemaining()) });
+        this.renderSplitEditor();
+    }
+
+    removeSplitLine(index) {
+        this.editingSplits.splice(index, 1);
+        if (this.editingSplits.length < 2) {
+            this.toggleSplit();
+            return;
+        }
+        this.renderSplitEditor();
+    }
+
+    updateSplitLine(index, field, value) {
+        this.editingSplits[index][field] = field === 'amount' ? parseFloat(value) || 0 : value;
+        this.updateSplitRemaining();
+    }
+
+    renderSplitEditor() {
+        const splitting = Boolean(this.editingSplits);
+        const categorySelect = document.getElementById('transaction-category');
+        categorySelect.classList.toggle('hidden', splitting);
+        categorySelect.required = !splitting && this.getSelectedType('transaction') !== 'transfer';
+        document.getElementById('transaction-splits').classList.toggle('hidden', !splitting);
+        document.getElementById('split-toggle-btn').textContent = splitting ? "Don't split" : 'Split across categories';
+
+        if (!splitting) return;
+
+        const options = this.getCategoryOptions();
+        document.getElementById('split-lines').innerHTML = this.editingSplits.map((line, index) => `
+            <div class="split-line">
+                <select onchange="expenseTracker.updateSplitLine(${index}, 'category', this.value)">
+                    <option value="">Select Category</option>
+                    ${options}
+                </select>
+                <input type="number" step="0.01" min="0" value="${line.amount || ''}" oninput="expenseTracker.updateSplitLine(${index}, 'amount', this.value)">
+                <button type="button" class="action-btn delete-btn" onclick="expenseTracker.removeSplitLine(${index})">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+
+        document.querySelectorAll('#split-lines select').forEach((select, index) => {
+            select.value = this.editingSplits[index].category;
+        });
+        this.updateSplitRemaining();
+    }
+
+    getSplitRemaining() {
+        const total = parseFloat(document.getElementById('transaction-amount').value) || 0;
+        const allocated = this.editingSplits.reduce((sum, line) => sum + line.amount, 0);
+        return Math.round((total - allocated) * 100) / 100;
+    }
+
+    updateSplitRemaining() {
+        if (!this.editingSplits) return;
+
+        const remaining = this.getSplitRemaining();
+        const label = document.getElementById('split-remaining');
+        label.textContent = remaining === 0
+            ? 'Fully allocated'
+            : remaining > 0 ? `${remaining.toFixed(2)} left to allocate` : `${(-remaining).toFixed(2)} over the total`;
+        label.classList.toggle('invalid', remaining !== 0);
+    }
+
+    readSplits(amount) {
+        const lines = this.editingSplits.filter(line => line.category || line.amount);
+
+        if (lines.length < 2) {
+            return { error: 'A split needs at least two lines!' };
+        }
+        if (lines.some(line => !line.category || !(line.amount > 0))) {
+            return { error: 'Every split line needs a category and a positive amount!' };
+        }
+        const allocated = lines.reduce((sum, line) => sum + line.amount, 0);
+        if (Math.abs(allocated - amount) >= 0.005) {
+            return { error: `Split lines add up to ${allocated.toFixed(2)}, not ${amount.toFixed(2)}!` };
+        }
+
+        // Lines for the same category are merged
+        const merged = [];
+        lines.forEach(line => {
+            const existing = merged.find(m => m.category === line.category);
+            if (existing) {
+                existing.amount = Math.round((existing.amount + line.amount) * 100) / 100;
+            } else {
+                merged.push({ category: line.category, amount: line.amount });
+            }
+        });
+        if (merged.length < 2) {
+            return { error: 'Split lines must use at least two different categories!' };
+        }
+        return { lines: merged };
+    }
+
+    // Recurring Transactions
+    async loadRecurringRules() {
+        this.recurringRules = await this.loadEncrypted(`expenseTrackerRecurring_${this.currentUser.email}`, []);
+    }
+
+    saveRecurringRules() {
+        this.trackCollectionChange('recurringRules');
+        return this.saveEncrypted(`expenseTrackerRecurring_${this.currentUser.email}`, this.recurringRules);
+    }
+
+    createRecurringRule(transaction, frequency, recurrenceEnd) {
+        const rule = {
+            id: `rule_${Date.now()}`,
+            type: transaction.type,
+            description: transaction.description,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            category: transaction.category,
+            splits: transaction.splits ? transaction.splits.map(split => ({ ...split })) : null,
+            account: transaction.account,
+            toAccount: transaction.toAccount || null,
+            frequency,
+            startDate: transaction.date,
+            dayOfMonth: Number(transaction.date.split('-')[2]),
+            endDate: recurrenceEnd.endDate,
+            maxOccurrences: recurrenceEnd.maxOccurrences,
+            occurrenceCount: 1,
+            paused: false,
+            createdAt: new Date().toISOString()
+        };
+        rule.nextDate = this.addRecurringInterval(transaction.date, frequency, rule.dayOfMonth);
+        return rule;
+    }
+
+    addRecurringInterval(dateString, frequency, dayOfMonth) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        let next;
+
+        switch (frequency) {
+            case 'daily':
+                next = new Date(Date.UTC(year, month - 1, day + 1));
+                break;
+            case 'weekly':
+                next = new Date(Date.UTC(year, month - 1, day + 7));
+                break;
+            case 'monthly': {
+                // Clamp to the last day so a rule on the 31st still fires in shorter months
+                const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+                next = new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay)));
+                break;
+            }
+            case 'yearly': {
+                const lastDay = new Date(Date.UTC(year + 1, month, 0)).getUTCDate();
+                next = new Date(Date.UTC(year + 1, month - 1, Math.min(dayOfMonth, lastDay)));
+                break;
+            }
+        }
+
+        return next.toISOString().split('T')[0];
+    }
+
+    isRecurringRuleFinished(rule) {
+        if (rule.maxOccurrences && rule.occurrenceCount >= rule.maxOccurrences) return true;
+        if (rule.endDate && rule.nextDate > rule.endDate) return true;
+        return false;
+    }
+
+    generateRecurringTransactions() {
+        const today = new Date().toISOString().split('T')[0];
+        const created = [];
+
+        this.recurringRules.forEach(rule => {
+            if (rule.paused) return;
+
+            while (rule.nextDate <= today && !this.isRecurringRuleFinished(rule)) {
+                rule.occurrenceCount++;
+                const occurrence = {
+                    id: `${rule.id}_${rule.occurrenceCount}`,
+                    type: rule.type,
+                    description: rule.description,
+                    amount: rule.amount,
+                    currency: rule.currency || this.preferredCurrency,
+                    category: rule.category,
+                    date: rule.nextDate,
+                    account: rule.account || this.accounts[0].id,
+                    recurringRuleId: rule.id,
+                    createdAt: new Date().toISOString()
+                };
+                occurrence.updatedAt = occurrence.createdAt;
+                if (rule.toAccount) {
+                    occurrence.toAccount = rule.toAccount;
+                }
+                if (rule.splits) {
+                    occurrence.splits = rule.splits.map(split => ({ ...split }));
+                }
+                this.transactions.unshift(occurrence);
+                created.push(occurrence);
+                rule.nextDate = this.addRecurringInterval(rule.nextDate, rule.frequency, rule.dayOfMonth);
+            }
+        });
+
+        if (created.length > 0) {
+            this.saveTransactions({ put: created });
+            this.saveRecurringRules();
+        }
+
+        return created.length;
+    }
+
+    updateRecurringFields(prefix) {
+        if (prefix === 'transaction') {
+            const frequency = document.getElementById('transaction-frequency').value;
+            document.getElementById('transaction-recurring-end').classList.toggle('hidden', frequency === 'none');
+        }
+
+        const endMode = document.getElementById(`${prefix}-end-mode`).value;
+        document.getElementById(`${prefix}-end-date`).classList.toggle('hidden', endMode !== 'date');
+        document.getElementById(`${prefix}-occurrences`).classList.toggle('hidden', endMode !== 'count');
+    }
+
+    readRecurrenceEnd(prefix, startDate) {
+        const endMode = document.getElementById(`${prefix}-end-mode`).value;
+        const endDate = document.getElementById(`${prefix}-end-date`).value;
+        const occurrences = parseInt(document.getElementById(`${prefix}-occurrences`).value, 10);
+
+        if (endMode === 'date') {
+            if (!endDate || endDate < startDate) {
+                return { error: 'End date must be on or after the start date!' };
+            }
+            return { endDate, maxOccurrences: null };
+        }
+
+        if (endMode === 'count') {
+            if (!occurrences || occurrences < 1) {
+                return { error: 'Please enter how many times the transaction repeats!' };
+            }
+            return { endDate: null, maxOccurrences: occurrences };
+        }
+
+        return { endDate: null, maxOccurrences: null };
+    }
+
+    populateRecurringCategorySelect() {
+        document.getElementById('recurring-category').innerHTML = '<option value="">Select Category</option>' + this.getCategoryOptions();
+    }
+
+    getFrequencyLabel(frequency) {
+        const labels = {
+            daily: 'Daily',
+            weekly: 'Weekly',
+            monthly: 'Monthly',
+            yearly: 'Yearly'
+        };
+        return labels[frequency] || frequency;
+    }
+
+    renderRecurringRules() {
+        const tbody = document.getElementById('recurring-table-body');
+
+        if (this.recurringRules.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-row">
+                    <td colspan="8" class="empty-state">
+                        <i class="fas fa-sync-alt"></i>
+                        <p>No recurring rules yet</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.recurringRules.map(rule => {
+            const category = this.categories.find(c => c.id === rule.category);
+            const finished = this.isRecurringRuleFinished(rule);
+            const status = finished ? 'ended' : rule.paused ? 'paused' : 'active';
+            let ends = 'Never';
+            if (rule.endDate) {
+                ends = this.formatDate(rule.endDate);
+            } else if (rule.maxOccurrences) {
+                ends = `${rule.occurrenceCount} of ${rule.maxOccurrences}`;
+            }
+
+            return `
+                <tr data-id="${this.escapeHtml(rule.id)}">
+                    <td>${this.escapeHtml(rule.description)}</td>
+                    <td>
+                        ${rule.type === 'transfer' ? `<span class="transaction-type transfer"><i class="${this.getTransactionTypeIcon('transfer')}"></i> ${this.escapeHtml(this.getTransactionAccountLabel(rule))}</span>` : `
+                        <span class="transaction-type" style="background: ${this.escapeHtml(category?.color)}20; color: ${this.escapeHtml(category?.color)}">
+                            <i class="${this.escapeHtml(category?.icon)}"></i>
+                            ${this.escapeHtml(category?.name || rule.category)}
+                        </span>`}
+                    </td>
+                    <td class="transaction-amount ${rule.type}">
+                        ${rule.type === 'income' ? '+' : ''}${this.formatCurrency(rule.amount, this.getTransactionCurrency(rule))}
+                    </td>
+                    <td>${this.getFrequencyLabel(rule.frequency)}</td>
+                    <td>${finished ? '-' : this.formatDate(rule.nextDate)}</td>
+                    <td>${ends}</td>
+                    <td><span class="status-badge ${status}">${status}</span></td>
+                    <td>
+                        <div class="transaction-actions">
+                            ${finished ? '' : `
+                            <button class="action-btn pause-btn" title="${rule.paused ? 'Resume' : 'Pause'}" data-action="pause">
+                                <i class="fas fa-${rule.paused ? 'play' : 'pause'}"></i>
+                            </button>`}
+                            <button class="action-btn edit-btn" data-action="edit">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="action-btn delete-btn" data-action="delete">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    toggleRecurringRule(id) {
+        const rule = this.recurringRules.find(r => r.id === id);
+        if (!rule) return;
+
+        const checkpoint = this.createCheckpoint(['recurringRules']);
+        rule.paused = !rule.paused;
+
+        if (!rule.paused) {
+            // Occurrences missed while paused are skipped rather than back-filled
+            const today = new Date().toISOString().split('T')[0];
+            while (rule.nextDate < today) {
+                rule.nextDate = this.addRecurringInterval(rule.nextDate, rule.frequency, rule.dayOfMonth);
+            }
+            this.generateRecurringTransactions();
+            this.renderTransactions();
+            this.updateDashboard();
+        }
+
+        this.saveRecurringRules();
+        this.recordChange(`${rule.paused ? 'Pause' : 'Resume'} recurring rule`, checkpoint);
+        this.renderRecurringRules();
+        this.showNotification(`Recurring rule ${rule.paused ? 'paused' : 'resumed'}!`, 'success', this.getUndoAction());
+    }
+
+    deleteRecurringRule(id) {
+        if (confirm('Delete this recurring rule? Transactions it already created will be kept.')) {
+            const checkpoint = this.createCheckpoint(['recurringRules']);
+            this.recurringRules = this.recurringRules.filter(r => r.id !== id);
+            this.saveRecurringRules();
+            this.recordChange('Delete recurring rule', checkpoint);
+            this.renderRecurringRules();
+            this.showNotification('Recurring rule deleted!', 'success', this.getUndoAction());
+        }
+    }
+
+    openRecurringModal(id) {
+        const rule = this.recurringRules.find(r => r.id === id);
+        if (!rule) return;
+
+        this.editingRecurringRule = rule;
+        this.populateRecurringCategorySelect();
+
+        document.getElementById('recurring-type').value = rule.type;
+        document.getElementById('recurring-description').value = rule.description;
+        document.getElementById('recurring-amount').value = rule.amount;
+        document.getElementById('recurring-currency').value = rule.currency || this.preferredCurrency;
+        document.getElementById('recurring-account').value = rule.account || this.accounts[0].id;
+        document.getElementById('recurring-to-account').value = rule.toAccount || '';
+        document.getElementById('recurring-category').value = rule.category || '';
+        document.getElementById('recurring-frequency').value = rule.frequency;
+        document.getElementById('recurring-next-date').value = rule.nextDate;
+        document.getElementById('recurring-end-mode').value = rule.endDate ? 'date' : rule.maxOccurrences ? 'count' : 'never';
+        document.getElementById('recurring-end-date').value = rule.endDate || '';
+        document.getElementById('recurring-occurrences').value = rule.maxOccurrences || '';
+        this.updateRecurringFields('recurring');
+        this.updateTransferFields('recurring');
+
+        document.getElementById('recurring-modal').classList.add('active');
+    }
+
+    closeRecurringModal() {
+        document.getElementById('recurring-modal').classList.remove('active');
+        this.editingRecurringRule = null;
+    }
+
+    handleRecurringRuleSubmit(e) {
+        e.preventDefault();
+        const rule = this.editingRecurringRule;
+        if (!rule) return;
+
+        const type = this.getSelectedType('recurring');
+        const description = document.getElementById('recurring-description').value;
+        const amount = parseFloat(document.getElementById('recurring-amount').value);
+        const category = type === 'transfer' ? null : document.getElementById('recurring-category').value;
+        const nextDate = document.getElementById('recurring-next-date').value;
+        const account = document.getElementById('recurring-account').value;
+        const toAccount = type === 'transfer' ? document.getElementById('recurring-to-account').value : null;
+
+        if (!description || !amount || (type !== 'transfer' && !category) || !nextDate || !account) {
+            this.showNotification('Please fill all fields!', 'error');
+            return;
+        }
+
+        const transferError = this.validateTransferAccounts(type, account, toAccount);
+        if (transferError) {
+            this.showNotification(transferError, 'error');
+            return;
+        }
+
+        const recurrenceEnd = this.readRecurrenceEnd('recurring', nextDate);
+        if (recurrenceEnd.error) {
+            this.showNotification(recurrenceEnd.error, 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['recurringRules']);
+
+        // The rule modal has no split editor, so a changed amount or category replaces the split
+        if (rule.splits && (amount !== rule.amount || category !== rule.category || type !== rule.type)) {
+            rule.splits = null;
+        }
+
+        // Only the rule changes; occurrences it already created stay as they are
+        Object.assign(rule, {
+            type,
+            description,
+            amount,
+            currency: document.getElementById('recurring-currency').value,
+            category,
+            account,
+            toAccount,
+            frequency: document.getElementById('recurring-frequency').value,
+            endDate: recurrenceEnd.endDate,
+            maxOccurrences: recurrenceEnd.maxOccurrences,
+            updatedAt: new Date().toISOString()
+        });
+
+        if (nextDate !== rule.nextDate) {
+            rule.nextDate = nextDate;
+            rule.dayOfMonth = Number(nextDate.split('-')[2]);
+        }
+
+        this.generateRecurringTransactions();
+        this.saveRecurringRules();
+        this.recordChange('Edit recurring rule', checkpoint);
+        this.renderRecurringRules();
+        this.renderTransactions();
+        this.updateDashboard();
+        this.closeRecurringModal();
+        this.showNotification('Recurring rule updated!', 'success', this.getUndoAction());
+    }
+
+    // Bills
+    // A bill only tracks its next due date; paying it records the expense and moves the
+    // due date on by one interval
+    async loadBills() {
+        this.bills = await this.loadEncrypted(`expenseTrackerBills_${this.currentUser.email}`, []);
+        this.billReminders = this.storage.getItem(`expenseTrackerBillReminders_${this.currentUser.email}`) || {};
+        this.renderBills();
+    }
+
+    saveBills() {
+        this.trackCollectionChange('bills');
+        return this.saveEncrypted(`expenseTrackerBills_${this.currentUser.email}`, this.bills);
+    }
+
+    getDaysUntil(dateString) {
+        const today = new Date().toISOString().split('T')[0];
+        return Math.round((Date.parse(dateString) - Date.parse(today)) / (1000 * 60 * 60 * 24));
+    }
+
+    getBillDueLabel(bill) {
+        const days = this.getDaysUntil(bill.dueDate);
+        if (days < 0) return `Overdue by ${-days} day${days === -1 ? '' : 's'}`;
+        if (days === 0) return 'Due today';
+        if (days === 1) return 'Due tomorrow';
+        return `Due in ${days} days`;
+    }
+
+    // Paid bills go to "Bills" while it exists, otherwise the first top-level category
+    getBillCategory() {
+        return this.getCategory('bills') ? 'bills' : this.getOrderedCategories()[0].id;
+    }
+
+    addBill() {
+        const nameInput = document.getElementById('bill-name');
+        const amountInput = document.getElementById('bill-amount');
+        const name = nameInput.value.trim();
+        const amount = parseFloat(amountInput.value);
+        const dueDate = document.getElementById('bill-due-date').value;
+        const account = this.getAccount(document.getElementById('bill-account').value);
+
+        if (!name || !amount || amount <= 0 || !dueDate || !account) {
+            this.showNotification('Please enter a name, a positive amount and the next due date!', 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['bills']);
+        this.bills.push({
+            id: `bill_${Date.now()}`,
+            name,
+            amount,
+            currency: account.currency,
+            account: account.id,
+            frequency: document.getElementById('bill-frequency').value,
+            dueDate,
+            dayOfMonth: Number(dueDate.split('-')[2]),
+            lastPaid: null,
+            createdAt: new Date().toISOString()
+        });
+        this.saveBills();
+        this.recordChange(`Add bill "${name}"`, checkpoint);
+        this.renderBills();
+        this.updateUpcomingBills();
+        nameInput.value = '';
+        amountInput.value = '';
+        this.showNotification('Bill added successfully!', 'success', this.getUndoAction());
+    }
+
+    deleteBill(id) {
+        const checkpoint = this.createCheckpoint(['bills']);
+        this.bills = this.bills.filter(b => b.id !== id);
+        this.saveBills();
+        this.recordChange('Delete bill', checkpoint);
+        this.renderBills();
+        this.updateUpcomingBills();
+        this.showNotification('Bill deleted!', 'success', this.getUndoAction());
+    }
+
+    markBillPaid(id) {
+        const bill = this.bills.find(b => b.id === id);
+        if (!bill) return;
+
+        const checkpoint = this.createCheckpoint(['bills']);
+        const now = new Date().toISOString();
+        const transaction = {
+            id: crypto.randomUUID(),
+            type: 'expense',
+            description: bill.name,
+            amount: bill.amount,
+            currency: bill.currency,
+            category: this.getBillCategory(),
+            date: now.split('T')[0],
+            account: this.getAccount(bill.account) ? bill.account : this.accounts[0].id,
+            billId: bill.id,
+            createdAt: now,
+            updatedAt: now
+        };
+        const spentBefore = this.getMonthlyCategorySpend(transaction.category, transaction.date);
+        this.transactions.unshift(transaction);
+        this.saveTransactions({ put: [transaction] });
+        this.checkBudgetThresholds(transaction.category, spentBefore, spentBefore + this.getConvertedAmount(transaction));
+
+        const index = this.bills.indexOf(bill);
+        this.bills[index] = {
+            ...bill,
+            dueDate: this.addRecurringInterval(bill.dueDate, bill.frequency, bill.dayOfMonth),
+            lastPaid: transaction.date
+        };
+        this.saveBills();
+
+        this.recordChange(`Pay "${bill.name}"`, checkpoint);
+        this.renderBills();
+        this.renderTransactions();
+        this.updateDashboard();
+        this.showNotification(`${bill.name} paid: ${this.formatCurrency(bill.amount, bill.currency)} added to expenses`, 'success', this.getUndoAction());
+    }
+
+    renderBills() {
+        const tbody = document.getElementById('bills-table-body');
+
+        if (this.bills.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-row">
+                    <td colspan="6" class="empty-state">
+                        <i class="fas fa-file-invoice-dollar"></i>
+                        <p>No bills yet</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = [...this.bills].sort((a, b) => a.dueDate.localeCompare(b.dueDate)).map(bill => `
+            <tr>
+                <td>${this.escapeHtml(bill.name)}</td>
+                <td class="transaction-amount expense">${this.formatCurrency(bill.amount, bill.currency)}</td>
+                <td>${this.escapeHtml(this.getAccount(bill.account)?.name || 'Unknown account')}</td>
+                <td>${this.getFrequencyLabel(bill.frequency)}</td>
+                <td>
+                    ${this.formatDate(bill.dueDate)}
+                    <small class="bill-due ${this.getDaysUntil(bill.dueDate) < 0 ? 'overdue' : ''}">${this.getBillDueLabel(bill)}</small>
+                </td>
+                <td>
+                    <div class="transaction-actions">
+                        <button class="action-btn pay-btn" title="Mark paid" onclick="expenseTracker.markBillPaid('${bill.id}')">
+                            <i class="fas fa-check"></i>
+                        </button>
+                        <button class="action-btn delete-btn" onclick="expenseTracker.deleteBill('${bill.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Overdue bills stay in the list until they're paid
+    getUpcomingBills(days = 7) {
+        return this.bills
+            .filter(bill => this.getDaysUntil(bill.dueDate) <= days)
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+
+    updateUpcomingBills() {
+        const container = document.getElementById('upcoming-bills-list');
+        const bills = this.getUpcomingBills();
+        const today = new Date().toISOString().split('T')[0];
+        const total = bills.reduce((sum, bill) => sum + this.convertAmount(bill.amount, bill.currency, today), 0);
+
+        document.getElementById('upcoming-bills-total').textContent = bills.length > 0 ? `${this.formatCurrency(total)} due` : '';
+
+        if (bills.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-file-invoice-dollar"></i>
+                    <p>No bills due in the next 7 days</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = bills.map(bill => `
+            <div class="transaction-item">
+                <div class="transaction-info">
+                    <div class="transaction-icon" style="background: var(--danger-color)">
+                        <i class="fas fa-file-invoice-dollar"></i>
+                    </div>
+                    <div class="transaction-details">
+                        <h4>${this.escapeHtml(bill.name)}</h4>
+                        <p class="bill-due ${this.getDaysUntil(bill.dueDate) < 0 ? 'overdue' : ''}">${this.getBillDueLabel(bill)} · ${this.formatDate(bill.dueDate)}</p>
+                    </div>
+                </div>
+                <div class="bill-actions">
+                    <div class="transaction-amount expense">${this.formatCurrency(bill.amount, bill.currency)}</div>
+                    <button class="btn btn-secondary bill-pay-btn" onclick="expenseTracker.markBillPaid('${bill.id}')">Mark paid</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Bills due within billReminderDays, or overdue, get one browser notification per due
+    // date and one in-app toast per due date each session, not on every return to the tab
+    checkBillReminders() {
+        const due = this.bills.filter(bill => this.getDaysUntil(bill.dueDate) <= this.billReminderDays);
+        if (due.length === 0) return;
+
+        const unseen = due.filter(bill => !this.shownBillToasts.has(`${bill.id}:${bill.dueDate}`));
+        unseen.forEach(bill => this.shownBillToasts.add(`${bill.id}:${bill.dueDate}`));
+
+        if (unseen.length > 0 && due.length === 1) {
+            const bill = due[0];
+            this.showNotification(`${bill.name}: ${this.getBillDueLabel(bill).toLowerCase()} (${this.formatCurrency(bill.amount, bill.currency)})`, 'warning', {
+                label: 'Mark paid',
+                callback: () => this.markBillPaid(bill.id)
+            });
+        } else if (unseen.length > 0) {
+            this.showNotification(`${due.length} bills are due soon`, 'warning', {
+                label: 'View',
+                callback: () => this.showSection('recurring')
+            });
+        }
+
+        const unsent = due.filter(bill => this.billReminders[bill.id] !== bill.dueDate);
+        if (unsent.length === 0 || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+        // Recorded before sending, so a browser that refuses the notification isn't asked again on every visit
+        unsent.forEach(bill => {
+            this.billReminders[bill.id] = bill.dueDate;
+        });
+        this.setSetting(`expenseTrackerBillReminders_${this.currentUser.email}`, this.billReminders);
+
+        unsent.forEach(bill => {
+            this.showBrowserNotification(`${bill.name} ${this.getBillDueLabel(bill).toLowerCase()}`, {
+                body: `${this.formatCurrency(bill.amount, bill.currency)} on ${this.formatDate(bill.dueDate)}`,
+                tag: bill.id
+            });
+        });
+    }
+
+    // Android and installed apps only allow notifications through the service worker, where
+    // `new Notification()` throws. Either way the in-app reminder has already been shown.
+    showBrowserNotification(title, options) {
+        if (this.serviceWorkerRegistration) {
+            this.serviceWorkerRegistration.showNotification(title, options).catch(() => {});
+            return;
+        }
+        try {
+            new Notification(title, options);
+        } catch (error) {
+            // Not available outside a service worker here
+        }
+    }
+
+    updateNotificationPermission() {
+        const button = document.getElementById('enable-bill-notifications-btn');
+        const supported = 'Notification' in window;
+        button.classList.toggle('hidden', !supported || Notification.permission === 'granted');
+        button.disabled = supported && Notification.permission === 'denied';
+        button.title = button.disabled ? 'Notifications are blocked in your browser settings' : '';
+    }
+
+    async enableBillNotifications() {
+        const permission = await Notification.requestPermission();
+        this.updateNotificationPermission();
+        if (permission === 'granted') {
+            this.showNotification('Browser reminders enabled for bills!', 'success');
+            this.checkBillReminders();
+        } else {
+            this.showNotification('Browser notifications were not allowed', 'warning');
+        }
+    }
+
+    // Insights
+    // Plain-language observations about spending, worked out from this.transactions each time
+    // the dashboard updates. Each has a stable id so a dismissed insight stays dismissed.
+    async loadDismissedInsights() {
+        this.dismissedInsights = await this.loadEncrypted(`expenseTrackerInsights_${this.currentUser.email}`, []);
+    }
+
+    saveDismissedInsights() {
+        return this.saveEncrypted(`expenseTrackerInsights_${this.currentUser.email}`, this.dismissedInsights);
+    }
+
+    getMedian(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    getDateBefore(dateString, days) {
+        return new Date(Date.parse(dateString) - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    }
+
+    // "AMAZON Mktp 1234*XY" and "Amazon mktp" are the same merchant: words with digits are
+    // reference numbers and are dropped
+    getMerchantKey(description) {
+        return String(description).toLowerCase().split(/\s+/)
+            .filter(word => !/\d/.test(word))
+            .join(' ').replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean).slice(0, 3).join(' ');
+    }
+
+    // Insights, recurring series and the forecast each go over every transaction, so they're
+    // worked out once per version of the data and day rather than on every dashboard refresh
+    getCachedData(name, compute) {
+        const today = new Date().toISOString().split('T')[0];
+        const key = `${this.dataVersion}|${this.transactions.length}|${today}|${this.preferredCurrency}`;
+        if (this.derivedCache.key !== key || this.derivedCache.transactions !== this.transactions) {
+            this.derivedCache = { key, transactions: this.transactions, values: new Map() };
+        }
+        if (!this.derivedCache.values.has(name)) {
+            this.derivedCache.values.set(name, compute());
+        }
+        return this.derivedCache.values.get(name);
+    }
+
+    generateInsights() {
+        return this.getCachedData('insights', () => {
+            const today = new Date().toISOString().split('T')[0];
+            const insights = [
+                ...this.getLargeExpenseInsights(today),
+                ...this.getCategoryTrendInsights(today),
+                ...this.getRecurringMerchantInsights(today),
+                ...this.getUnusedSubscriptionInsights(today),
+                ...this.getForecastInsights()
+            ];
+            return insights.sort((a, b) => (b.severity === 'warning') - (a.severity === 'warning'));
+        });
+    }
+
+    // Expenses from the last 30 days that stand out against the rest of their category, using the
+    // median absolute deviation so a few big one-offs in the history don't hide new ones
+    getLargeExpenseInsights(today) {
+        const since = this.getDateBefore(today, 30);
+        const byCategory = new Map();
+        this.transactions.filter(t => t.type === 'expense').forEach(transaction => {
+            this.getConvertedCategoryAmounts(transaction).forEach(split => {
+                if (!byCategory.has(split.category)) byCategory.set(split.category, []);
+                byCategory.get(split.category).push({ transaction, amount: split.amount });
+            });
+        });
+
+        const insights = [];
+        byCategory.forEach((items, categoryId) => {
+            if (items.length < this.insightMinHistory) return;
+            const category = this.getCategory(categoryId);
+
+            // One median for the whole category, candidates included: both statistics ignore a
+            // few outliers, and working them out per candidate would be quadratic
+            const amounts = items.map(item => item.amount);
+            const median = this.getMedian(amounts);
+            const deviation = this.getMedian(amounts.map(amount => Math.abs(amount - median)));
+
+            items.filter(item => item.transaction.date >= since).forEach(item => {
+                // 0.6745 scales the deviation to a standard score for normally distributed amounts
+                const score = deviation > 0 ? 0.6745 * (item.amount - median) / deviation : item.amount > median * 3 ? Infinity : 0;
+                if (score <= 3.5 || item.amount < median * 1.5) return;
+
+                insights.push({
+                    id: `large:${item.transaction.id}:${categoryId}`,
+                    severity: 'warning',
+                    icon: 'fas fa-exclamation-circle',
+                    message: `${item.transaction.description} (${this.formatCurrency(item.amount)} on ${this.formatDate(item.transaction.date)}) is unusually large for ${category ? category.name : categoryId}, where ${this.formatCurrency(median)} is typical`
+                });
+            });
+        });
+        return insights;
+    }
+
+    // Month to date against the same days of last month. Early in the month a single purchase
+    // swings the numbers too much, so these wait until the 7th.
+    getCategoryTrendInsights(today) {
+        const day = Number(today.slice(8, 10));
+        if (day < 7) return [];
+
+        const [year, month] = today.split('-').map(Number);
+        const thisMonth = today.slice(0, 7);
+        const lastMonth = new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 7);
+        const lastMonthEnd = `${lastMonth}-${String(day).padStart(2, '0')}`;
+        const current = this.getExpenseTotalsByCategory(this.transactions.filter(t => t.date.slice(0, 7) === thisMonth && t.date <= today));
+        const previous = this.getExpenseTotalsByCategory(this.transactions.filter(t => t.date.slice(0, 7) === lastMonth && t.date <= lastMonthEnd));
+        const currentTotal = Object.values(current).reduce((sum, amount) => sum + amount, 0);
+        const previousTotal = Object.values(previous).reduce((sum, amount) => sum + amount, 0);
+        if (previousTotal === 0) return [];
+
+        const change = (from, to) => Math.round((to - from) / from * 100);
+        const describe = (name, from, to) => `${name} spend is ${to >= from ? 'up' : 'down'} ${Math.abs(change(from, to))}% vs the same days last month (${this.formatCurrency(to)} vs ${this.formatCurrency(from)})`;
+        const insights = [];
+
+        if (Math.abs(change(previousTotal, currentTotal)) >= 5) {
+            insights.push({ id: `trend:total:${thisMonth}`, severity: 'info', icon: 'fas fa-chart-line', message: describe('Total', previousTotal, currentTotal) });
+        }
+
+        // Categories under 5% of spending in both months aren't worth a mention
+        Object.keys({ ...previous, ...current }).forEach(name => {
+            const from = previous[name] || 0;
+            const to = current[name] || 0;
+            if (from === 0 || (from < previousTotal * 0.05 && to < currentTotal * 0.05)) return;
+
+            const percent = change(from, to);
+            if (percent >= 50) {
+                insights.push({ id: `trend:${name}:${thisMonth}`, severity: 'warning', icon: 'fas fa-arrow-trend-up', message: describe(name, from, to) });
+            } else if (Math.abs(percent) >= 20) {
+                insights.push({ id: `trend:${name}:${thisMonth}`, severity: 'info', icon: 'fas fa-chart-line', message: describe(name, from, to) });
+            }
+        });
+        return insights;
+    }
+
+    // Payments to the same merchant at a steady weekly or monthly pace and a steady amount that
+    // aren't a recurring rule or bill yet. Only the last six payments have to be regular, so a
+    // price change or a skipped month years ago doesn't hide a series.
+    detectRecurringSeries() {
+        const known = new Set([...this.recurringRules.map(rule => rule.description), ...this.bills.map(bill => bill.name)].map(name => this.getMerchantKey(name)));
+        const groups = new Map();
+        this.transactions
+            .filter(t => t.type !== 'transfer' && !t.recurringRuleId && !t.billId)
+            .forEach(transaction => {
+                const key = this.getMerchantKey(transaction.description);
+                if (!key || known.has(key)) return;
+                const group = `${transaction.type}:${key}`;
+                if (!groups.has(group)) groups.set(group, []);
+                groups.get(group).push(transaction);
+            });
+
+        const series = [];
+        groups.forEach((transactions, group) => {
+            if (transactions.length < 3) return;
+            transactions.sort((a, b) => a.date.localeCompare(b.date));
+            const recent = transactions.slice(-6);
+
+            const gaps = recent.slice(1).map((t, index) => (Date.parse(t.date) - Date.parse(recent[index].date)) / (24 * 60 * 60 * 1000));
+            const gap = this.getMedian(gaps);
+            const cadence = gap >= 6 && gap <= 8 ? 'weekly' : gap >= 26 && gap <= 35 ? 'monthly' : null;
+            if (!cadence || gaps.some(g => Math.abs(g - gap) > gap * 0.25)) return;
+
+            const amounts = recent.map(t => this.getConvertedAmount(t));
+            const amount = this.getMedian(amounts);
+            if (amounts.some(a => Math.abs(a - amount) > amount * 0.2)) return;
+
+            series.push({
+                key: group.slice(group.indexOf(':') + 1),
+                type: transactions[0].type,
+                description: recent[recent.length - 1].description,
+                cadence,
+                gap,
+                amount,
+                count: transactions.length,
+                first: transactions[0].date,
+                last: recent[recent.length - 1].date,
+                ids: transactions.map(t => t.id)
+            });
+        });
+        return series;
+    }
+
+    getRecurringSeries() {
+        return this.getCachedData('recurringSeries', () => this.detectRecurringSeries());
+    }
+
+    // New series only: the first payment has to be within the last four months
+    getRecurringMerchantInsights(today) {
+        const since = this.getDateBefore(today, 120);
+        return this.getRecurringSeries()
+            .filter(series => series.type === 'expense' && series.first >= since)
+            .map(series => ({
+                id: `merchant:${series.key}`,
+                severity: 'info',
+                icon: 'fas fa-redo',
+                message: `${series.description} looks like a new ${series.cadence} charge: ${series.count} payments of about ${this.formatCurrency(series.amount)} since ${this.formatDate(series.first)}`
+            }));
+    }
+
+    // There's no usage data to go on, so a subscription is flagged when it has kept charging for
+    // 60 days while nothing else was spent in its category
+    getUnusedSubscriptionInsights(today) {
+        const since = this.getDateBefore(today, 60);
+        return this.recurringRules
+            .filter(rule => rule.type === 'expense' && rule.category && !rule.paused && !this.isRecurringRuleFinished(rule) && rule.startDate <= since)
+            .filter(rule => !this.transactions.some(t =>
+                t.type === 'expense' && t.date >= since && t.recurringRuleId !== rule.id &&
+                this.getCategoryAmounts(t).some(split => this.isInCategory(split.category, rule.category))
+            ))
+            .map(rule => {
+                const category = this.getCategory(rule.category);
+                return {
+                    id: `unused:${rule.id}`,
+                    severity: 'info',
+                    icon: 'fas fa-hourglass-half',
+                    message: `Still using ${rule.description}? It costs ${this.formatCurrency(rule.amount, this.getTransactionCurrency(rule))} ${this.getFrequencyLabel(rule.frequency).toLowerCase()}, and nothing else has gone on ${category ? category.name : rule.category} in 60 days`
+                };
+            });
+    }
+
+    updateInsights() {
+        const panel = document.getElementById('insights-panel');
+        const generated = this.generateInsights();
+        this.visibleInsights = generated.filter(insight => !this.dismissedInsights.includes(insight.id)).slice(0, this.insightLimit);
+
+        panel.classList.toggle('hidden', this.visibleInsights.length === 0);
+        document.getElementById('insights-list').innerHTML = this.visibleInsights.map(insight => `
+            <div class="insight-item ${insight.severity}">
+                <i class="${insight.icon}"></i>
+                <p>${this.escapeHtml(insight.message)}</p>
+                <button type="button" class="insight-dismiss" title="Dismiss" data-insight="${this.escapeHtml(insight.id)}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+
+        // Forget dismissals once what they were about is gone, e.g. last month's trends. An
+        // insight that merely drops out for a while, like a merchant skipping a month, stays dismissed.
+        const transactionIds = new Set(this.dismissedInsights.length > 0 ? this.transactions.map(t => t.id) : []);
+        const kept = this.dismissedInsights.filter(id => this.isInsightDismissalLive(id, transactionIds));
+        if (kept.length !== this.dismissedInsights.length) {
+            this.dismissedInsights = kept;
+            this.saveDismissedInsights();
+        }
+    }
+
+    isInsightDismissalLive(id, transactionIds) {
+        const thisMonth = new Date().toISOString().slice(0, 7);
+        const kind = id.slice(0, id.indexOf(':'));
+        const subject = id.slice(kind.length + 1);
+
+        switch (kind) {
+            case 'trend':
+            case 'forecast':
+                return subject.slice(-7) >= thisMonth;
+            case 'large':
+                return transactionIds.has(subject.slice(0, subject.lastIndexOf(':')));
+            case 'unused':
+                return this.recurringRules.some(rule => rule.id === subject);
+            default:
+                return true;
+        }
+    }
+
+    dismissInsights(ids) {
+        this.dismissedInsights = [...new Set([...this.dismissedInsights, ...ids])];
+        this.saveDismissedInsights();
+        this.updateInsights();
+    }
+
+    // Dashboard Updates
+    updateDashboard() {
+        const filter = document.getElementById('dashboard-filter').value;
+        const filteredTransactions = this.getFilteredTransactionsByPeriod(filter);
+        
+        const income = filteredTransactions.filter(t => t.type === 'income').reduce((sum, t) => sum + this.getConvertedAmount(t), 0);
+        const expenses = filteredTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + this.getConvertedAmount(t), 0);
+        const balance = income - expenses;
+        
+        document.getElementById('balance-amount').textContent = this.formatCurrency(balance);
+        document.getElementById('income-amount').textContent = this.formatCurrency(income);
+        document.getElementById('expense-amount').textContent = this.formatCurrency(expenses);
+        document.getElementById('transaction-count').textContent = filteredTransactions.length;
+
+        const missingPairs = this.getMissingRatePairs(filteredTransactions);
+        const ratesWarning = document.getElementById('dashboard-rates-missing');
+        ratesWarning.classList.toggle('hidden', missingPairs.length === 0);
+        ratesWarning.innerHTML = missingPairs.length > 0
+            ? `<i class="fas fa-exclamation-triangle"></i> Totals are incomplete: amounts without a ${missingPairs.join(', ')} rate are left out. Add the rates under Settings.`
+            : '';
+        
+        this.updateRecentTransactions(filteredTransactions);
+        this.updateExpensePieChart(filteredTransactions);
+        this.updateBudgetsPanel();
+        this.updateGoalsPanel();
+        this.updateUpcomingBills();
+        this.updateInsights();
+        this.updateAccountsPanel();
+    }
+
+    getFilteredTransactionsByPeriod(period) {
+        const now = new Date();
+        let filtered = [...this.transactions];
+        
+        switch (period) {
+            case 'month':
+                const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+                filtered = filtered.filter(t => new Date(t.date) >= startOfMonth);
+                break;
+            case 'year':
+                const startOfYear = new Date(now.getFullYear(), 0, 1);
+                filtered = filtered.filter(t => new Date(t.date) >= startOfYear);
+                break;
+        }
+        
+        return filtered;
+    }
+
+    updateRecentTransactions(transactions) {
+        const container = document.getElementById('recent-transactions-list');
+        const recent = transactions.slice(0, 5);
+        
+        if (recent.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-receipt"></i>
+                    <p>No transactions yet</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = recent.map(transaction => {
+            const category = this.categories.find(c => c.id === transaction.category);
+            const isTransfer = transaction.type === 'transfer';
+            return `
+                <div class="transaction-item">
+                    <div class="transaction-info">
+                        <div class="transaction-icon" style="background: ${isTransfer ? 'var(--primary-color)' : this.escapeHtml(category?.color || '#6b7280')}">
+                            <i class="${isTransfer ? this.getTransactionTypeIcon('transfer') : this.escapeHtml(category?.icon || 'fas fa-tag')}"></i>
+                        </div>
+                        <div class="transaction-details">
+                            <h4>${this.escapeHtml(transaction.description)}</h4>
+                            <p>${isTransfer ? this.escapeHtml(this.getTransactionAccountLabel(transaction)) : transaction.splits ? this.escapeHtml(this.getSplitSummary(transaction)) : this.escapeHtml(category?.name || transaction.category)}</p>
+                        </div>
+                    </div>
+                    <div class="transaction-amount ${transaction.type}">
+                        ${transaction.type === 'income' ? '+' : ''}${this.formatCurrency(transaction.amount, this.getTransactionCurrency(transaction))}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Accounts
+    getDefaultAccounts() {
+        return [{
+            id: 'main',
+            name: 'Main Account',
+            type: 'bank',
+            currency: this.preferredCurrency,
+            openingBalance: 0,
+            createdAt: new Date().toISOString()
+        }];
+    }
+
+    async loadAccounts() {
+        this.accounts = await this.loadEncrypted(`expenseTrackerAccounts_${this.currentUser.email}`, []);
+        if (this.accounts.length === 0) {
+            this.accounts = this.getDefaultAccounts();
+            this.saveAccounts();
+        }
+        this.populateAccountSelects();
+        this.renderAccountsList();
+    }
+
+    saveAccounts() {
+        this.trackCollectionChange('accounts');
+        return this.saveEncrypted(`expenseTrackerAccounts_${this.currentUser.email}`, this.accounts);
+    }
+
+    getAccount(id) {
+        return this.accounts.find(a => a.id === id) || null;
+    }
+
+    getAccountIcon(type) {
+        const icons = {
+            bank: 'fas fa-university',
+            cash: 'fas fa-wallet',
+            credit: 'fas fa-credit-card',
+            savings: 'fas fa-piggy-bank'
+        };
+        return icons[type] || 'fas fa-wallet';
+    }
+
+    getTransactionTypeIcon(type) {
+        const icons = {
+            income: 'fas fa-arrow-up',
+            expense: 'fas fa-arrow-down',
+            transfer: 'fas fa-exchange-alt'
+        };
+        return icons[type];
+    }
+
+    getTransactionAccountLabel(transaction) {
+        const name = (id) => this.getAccount(id)?.name || 'Unknown account';
+        return transaction.type === 'transfer'
+            ? `${name(transaction.account)} → ${name(transaction.toAccount)}`
+            : name(transaction.account);
+    }
+
+    getFilteredAccountId() {
+        const value = document.getElementById('account-filter').value;
+        return value === 'all' ? null : value;
+    }
+
+    validateTransferAccounts(type, account, toAccount) {
+        if (type !== 'transfer') return null;
+        if (!toAccount) return 'Please choose the account to transfer to!';
+        if (toAccount === account) return 'Choose two different accounts for a transfer!';
+        return null;
+    }
+
+    // Signed effect of a transaction on one account, in the transaction's currency
+    getAccountDelta(transaction, accountId) {
+        if (transaction.type === 'transfer') {
+            if (transaction.account === accountId) return -transaction.amount;
+            if (transaction.toAccount === accountId) return transaction.amount;
+            return 0;
+        }
+        if (transaction.account !== accountId) return 0;
+        return transaction.type === 'income' ? transaction.amount : -transaction.amount;
+    }
+
+    // Balance after each of the account's transactions, oldest first, in the account's currency
+    getRunningBalances(accountId) {
+        const account = this.getAccount(accountId);
+        const balances = new Map();
+        if (!account) return balances;
+
+        let balance = account.openingBalance;
+        this.transactions
+            .filter(t => this.getAccountDelta(t, accountId) !== 0)
+            .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''))
+            .forEach(t => {
+                balance += this.convertAmount(this.getAccountDelta(t, accountId), this.getTransactionCurrency(t), t.date, account.currency);
+                balances.set(t.id, balance);
+            });
+        return balances;
+    }
+
+    getAccountBalance(accountId) {
+        const account = this.getAccount(accountId);
+        return this.transactions.reduce((balance, t) => {
+            const delta = this.getAccountDelta(t, accountId);
+            return delta ? balance + this.convertAmount(delta, this.getTransactionCurrency(t), t.date, account.currency) : balance;
+        }, account.openingBalance);
+    }
+
+    addAccount() {
+        const nameInput = document.getElementById('account-name');
+        const openingInput = document.getElementById('account-opening-balance');
+        const name = nameInput.value.trim();
+        const openingBalance = parseFloat(openingInput.value) || 0;
+
+        if (!name) {
+            this.showNotification('Please enter an account name!', 'error');
+            return;
+        }
+        if (this.accounts.some(a => a.name.toLowerCase() === name.toLowerCase())) {
+            this.showNotification('An account with this name already exists!', 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['accounts']);
+        this.accounts.push({
+            id: `account_${Date.now()}`,
+            name,
+            type: document.getElementById('account-type').value,
+            currency: document.getElementById('account-currency').value,
+            openingBalance,
+            createdAt: new Date().toISOString()
+        });
+        this.saveAccounts();
+        this.recordChange(`Add account "${name}"`, checkpoint);
+        this.populateAccountSelects();
+        this.renderAccountsList();
+        this.updateAccountsPanel();
+        nameInput.value = '';
+        openingInput.value = '';
+        this.showNotification('Account added successfully!', 'success', this.getUndoAction());
+    }
+
+    deleteAccount(id) {
+        if (this.accounts.length === 1) {
+            this.showNotification('You need at least one account!', 'error');
+            return;
+        }
+
+        const inUse = this.transactions.some(t => t.account === id || t.toAccount === id) ||
+            this.recurringRules.some(r => r.account === id || r.toAccount === id) ||
+            this.bills.some(b => b.account === id);
+        if (inUse) {
+            this.showNotification('This account has transactions. Move or delete them first.', 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['accounts']);
+        this.accounts = this.accounts.filter(a => a.id !== id);
+        this.saveAccounts();
+        this.recordChange('Delete account', checkpoint);
+        this.populateAccountSelects();
+        this.renderAccountsList();
+        this.renderTransactions();
+        this.updateAccountsPanel();
+        this.showNotification('Account deleted!', 'success', this.getUndoAction());
+    }
+
+    populateAccountSelects() {
+        const options = this.accounts.map(account => `<option value="${this.escapeHtml(account.id)}">${this.escapeHtml(account.name)}</option>`).join('');
+
+        document.querySelectorAll('.account-select').forEach(select => {
+            const value = select.value;
+            select.innerHTML = options;
+            select.value = this.getAccount(value) ? value : this.accounts[0]?.id || '';
+        });
+
+        const filter = document.getElementById('account-filter');
+        const filterValue = filter.value;
+        filter.innerHTML = `<option value="all">All Accounts</option>${options}`;
+        filter.value = this.getAccount(filterValue) ? filterValue : 'all';
+    }
+
+    renderAccountsList() {
+        const container = document.getElementById('accounts-list');
+
+        container.innerHTML = this.accounts.map(account => `
+            <div class="category-item" data-id="${this.escapeHtml(account.id)}">
+                <span class="category-name">
+                    <i class="${this.getAccountIcon(account.type)}"></i>
+                    ${this.escapeHtml(account.name)}
+                </span>
+                <div class="transaction-actions">
+                    <span class="budget-hint">Opening ${this.formatCurrency(account.openingBalance, account.currency)}</span>
+                    <button class="action-btn delete-btn" data-action="delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    updateAccountsPanel() {
+        const container = document.getElementById('accounts-balance-list');
+        const today = new Date().toISOString().split('T')[0];
+        let total = 0;
+
+        container.innerHTML = this.accounts.map(account => {
+            const balance = this.getAccountBalance(account.id);
+            total += this.convertAmount(balance, account.currency, today);
+            return `
+                <div class="account-balance-item">
+                    <span class="category-name">
+                        <i class="${this.getAccountIcon(account.type)}"></i>
+                        ${this.escapeHtml(account.name)}
+                    </span>
+                    <span class="amount ${balance < 0 ? 'negative' : ''}">${this.formatCurrency(balance, account.currency)}</span>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('accounts-total').textContent = `Net worth ${this.formatCurrency(total)}`;
+    }
+
+    // Budget Management
+    async loadBudgets() {
+        this.budgets = await this.loadEncrypted(`expenseTrackerBudgets_${this.currentUser.email}`, {});
+        this.renderBudgetsList();
+    }
+
+    saveBudgets() {
+        this.trackCollectionChange('budgets');
+        return this.saveEncrypted(`expenseTrackerBudgets_${this.currentUser.email}`, this.budgets);
+    }
+
+    setBudget() {
+        const categoryId = document.getElementById('budget-category').value;
+        const amountInput = document.getElementById('budget-amount');
+        const limit = parseFloat(amountInput.value);
+
+        if (!categoryId || !limit || limit <= 0) {
+            this.showNotification('Please choose a category and a positive limit!', 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['budgets']);
+        this.budgets[categoryId] = limit;
+        this.saveBudgets();
+        this.recordChange('Set budget', checkpoint);
+        this.renderBudgetsList();
+        this.updateBudgetsPanel();
+        amountInput.value = '';
+        this.showNotification('Budget saved successfully!', 'success', this.getUndoAction());
+    }
+
+    removeBudget(categoryId) {
+        const checkpoint = this.createCheckpoint(['budgets']);
+        delete this.budgets[categoryId];
+        this.saveBudgets();
+        this.recordChange('Remove budget', checkpoint);
+        this.renderBudgetsList();
+        this.updateBudgetsPanel();
+        this.showNotification('Budget removed!', 'success', this.getUndoAction());
+    }
+
+    getMonthlyCategorySpend(categoryId, dateString = new Date().toISOString().split('T')[0], excludeId = null) {
+        const monthKey = dateString.slice(0, 7);
+        return this.transactions
+            .filter(t => t.type === 'expense' && t.date.slice(0, 7) === monthKey && t.id !== excludeId)
+            .flatMap(t => this.getConvertedCategoryAmounts(t))
+            .filter(split => split.category === categoryId)
+            .reduce((sum, split) => sum + split.amount, 0);
+    }
+
+    getDaysRemainingInMonth() {
+        const now = new Date();
+        const lastDay = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+        return lastDay - now.getDate() + 1;
+    }
+
+    checkBudgetThresholds(categoryId, spentBefore, spentAfter) {
+        const limit = this.budgets[categoryId];
+        if (!limit) return;
+
+        const category = this.categories.find(c => c.id === categoryId);
+        const categoryName = category ? category.name : categoryId;
+
+        if (spentBefore < limit && spentAfter >= limit) {
+            this.showNotification(`${categoryName} is over budget: ${this.formatCurrency(spentAfter)} of ${this.formatCurrency(limit)}`, 'error');
+        } else if (spentBefore < limit * 0.8 && spentAfter >= limit * 0.8) {
+            this.showNotification(`${categoryName} has used ${Math.round(spentAfter / limit * 100)}% of its monthly budget`, 'warning');
+        }
+    }
+
+    populateBudgetCategorySelect() {
+        document.getElementById('budget-category').innerHTML = '<option value="">Select Category</option>' + this.getCategoryOptions();
+    }
+
+    renderBudgetsList() {
+        const container = document.getElementById('budgets-list');
+        const categoryIds = Object.keys(this.budgets);
+
+        if (categoryIds.length === 0) {
+            container.innerHTML = '<p class="budget-hint">No budgets set yet</p>';
+            return;
+        }
+
+        container.innerHTML = categoryIds.map(categoryId => {
+            const category = this.categories.find(c => c.id === categoryId);
+            return `
+                <div class="category-item" data-id="${this.escapeHtml(categoryId)}">
+                    <span class="category-name">
+                        <i class="${this.escapeHtml(category?.icon || 'fas fa-tag')}" style="color: ${this.escapeHtml(category?.color || '#6b7280')}"></i>
+                        ${this.escapeHtml(category ? this.getCategoryLabel(category) : categoryId)}
+                    </span>
+                    <div class="transaction-actions">
+                        <span>${this.formatCurrency(this.budgets[categoryId])}</span>
+                        <button class="action-btn delete-btn" data-action="remove">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    updateBudgetsPanel() {
+        const container = document.getElementById('budgets-progress-list');
+        const categoryIds = Object.keys(this.budgets);
+        const daysRemaining = this.getDaysRemainingInMonth();
+
+        document.getElementById('budget-days-remaining').textContent = `${daysRemaining} day${daysRemaining === 1 ? '' : 's'} left this month`;
+
+        if (categoryIds.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-bullseye"></i>
+                    <p>No budgets set. Add one in Settings.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = categoryIds.map(categoryId => {
+            const category = this.categories.find(c => c.id === categoryId);
+            const limit = this.budgets[categoryId];
+            const spent = this.getMonthlyCategorySpend(categoryId);
+            const percent = Math.round(spent / limit * 100);
+            const status = percent >= 100 ? 'over' : percent >= 80 ? 'warning' : 'ok';
+            const remaining = limit - spent;
+
+            return `
+                <div class="budget-item">
+                    <div class="budget-item-header">
+                        <span class="category-name">
+                            <i class="${this.escapeHtml(category?.icon || 'fas fa-tag')}" style="color: ${this.escapeHtml(category?.color || '#6b7280')}"></i>
+                            ${this.escapeHtml(category ? this.getCategoryLabel(category) : categoryId)}
+                        </span>
+                        <span class="budget-amounts">${this.formatCurrency(spent)} / ${this.formatCurrency(limit)}</span>
+                    </div>
+                    <div class="budget-progress">
+                        <div class="budget-progress-fill ${status}" style="width: ${Math.min(percent, 100)}%"></div>
+                    </div>
+                    <div class="budget-item-footer ${status}">
+                        <span>${percent}% used</span>
+                        <span>${remaining >= 0 ? `${this.formatCurrency(remaining)} left` : `${this.formatCurrency(-remaining)} over`}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Savings Goals
+    // Progress is the amount already saved when the goal was set up plus every transaction
+    // tagged with the goal's tag, converted to the preferred currency
+    async loadGoals() {
+        this.goals = await this.loadEncrypted(`expenseTrackerGoals_${this.currentUser.email}`, []);
+        this.renderGoalsList();
+    }
+
+    saveGoals() {
+        this.trackCollectionChange('goals');
+        return this.saveEncrypted(`expenseTrackerGoals_${this.currentUser.email}`, this.goals);
+    }
+
+    getGoalSaved(goal) {
+        return goal.startingAmount + this.transactions
+            .filter(t => (t.tags || []).includes(goal.tag))
+            .reduce((sum, t) => sum + this.getConvertedAmount(t), 0);
+    }
+
+    // Average income minus expenses per month of the trends chart data. The current month
+    // is still partial, so it only counts when there's nothing else to go on.
+    getAverageMonthlyNet() {
+        const monthlyData = this.getMonthlyTotals(this.transactions);
+        const now = new Date();
+        const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        const pastMonths = Object.keys(monthlyData).filter(month => month !== currentMonth);
+        const months = pastMonths.length > 0 ? pastMonths : Object.keys(monthlyData);
+        if (months.length === 0) return null;
+
+        return months.reduce((sum, month) => sum + monthlyData[month].income - monthlyData[month].expense, 0) / months.length;
+    }
+
+    getGoalProjection(goal, monthlyNet = this.getAverageMonthlyNet()) {
+        const saved = this.getGoalSaved(goal);
+        const remaining = goal.target - saved;
+        const projection = {
+            saved,
+            remaining,
+            percent: Math.min(100, Math.max(0, saved / goal.target * 100)),
+            completionDate: null,
+            neededPerMonth: null,
+            status: 'reached'
+        };
+        if (remaining <= 0) return projection;
+
+        const today = new Date();
+        if (goal.deadline) {
+            const monthsLeft = (new Date(goal.deadline) - today) / (1000 * 60 * 60 * 24 * 30.44);
+            projection.neededPerMonth = monthsLeft > 0 ? remaining / monthsLeft : null;
+        }
+
+        if (!monthlyNet || monthlyNet <= 0) {
+            projection.status = 'stalled';
+            return projection;
+        }
+
+        const completion = new Date(today.getTime() + remaining / monthlyNet * 30.44 * 24 * 60 * 60 * 1000);
+        projection.completionDate = completion.toISOString().split('T')[0];
+        projection.status = goal.deadline && projection.completionDate > goal.deadline ? 'behind' : 'on-track';
+        return projection;
+    }
+
+    getGoalStatusText(goal, projection) {
+        if (projection.status === 'reached') return 'Goal reached';
+        if (projection.status === 'stalled') return 'No projection while spending exceeds income';
+
+        const text = `Projected ${this.formatDate(projection.completionDate)}`;
+        return projection.status === 'behind' ? `${text}, after the deadline` : text;
+    }
+
+    updateGoalsPanel() {
+        const container = document.getElementById('goals-progress-list');
+        const monthlyNet = this.getAverageMonthlyNet();
+
+        document.getElementById('goals-monthly-net').textContent = monthlyNet === null
+            ? ''
+            : `Average monthly net ${this.formatCurrency(monthlyNet)}`;
+
+        if (this.goals.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-piggy-bank"></i>
+                    <p>No savings goals yet. Add one in Settings.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.goals.map(goal => {
+            const projection = this.getGoalProjection(goal, monthlyNet);
+            return `
+                <div class="goal-item">
+                    <div class="goal-ring">
+                        <svg viewBox="0 0 36 36" aria-hidden="true">
+                            <circle class="goal-ring-track" cx="18" cy="18" r="15.9155"></circle>
+                            <circle class="goal-ring-fill ${projection.status}" cx="18" cy="18" r="15.9155" stroke-dasharray="${projection.percent.toFixed(1)} 100"></circle>
+                        </svg>
+                        <span>${Math.floor(projection.percent)}%</span>
+                    </div>
+                    <div class="goal-details">
+                        <span class="category-name">${this.escapeHtml(goal.name)}</span>
+                        <span class="budget-amounts">${this.formatCurrency(projection.saved)} / ${this.formatCurrency(goal.target)}</span>
+                        <span class="goal-status ${projection.status}">${this.getGoalStatusText(goal, projection)}</span>
+                        <span class="budget-hint">
+                            ${goal.deadline ? `Due ${this.formatDate(goal.deadline)}` : 'No deadline'}${projection.neededPerMonth ? ` · ${this.formatCurrency(projection.neededPerMonth)}/month to make it` : ''}
+                        </span>
+                        <div class="tag-chips">${this.getTagChipsHtml([goal.tag])}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderGoalsList() {
+        const container = document.getElementById('goals-list');
+
+        if (this.goals.length === 0) {
+            container.innerHTML = '<p class="budget-hint">No savings goals yet</p>';
+            return;
+        }
+
+        container.innerHTML = this.goals.map(goal => `
+            <div class="category-item">
+                <span class="category-name">
+                    <i class="fas fa-piggy-bank"></i>
+                    ${this.escapeHtml(goal.name)}
+                    <small class="budget-hint">#${this.escapeHtml(goal.tag)}</small>
+                </span>
+                <div class="transaction-actions">
+                    <span>${this.formatCurrency(goal.target)}</span>
+                    <button class="action-btn edit-btn" title="Edit goal" onclick="expenseTracker.openGoalModal('${goal.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="action-btn delete-btn" title="Delete goal" onclick="expenseTracker.deleteGoal('${goal.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    openGoalModal(id = null) {
+        const goal = id ? this.goals.find(g => g.id === id) : null;
+        this.editingGoal = goal;
+
+        document.getElementById('goal-modal-title').textContent = goal ? 'Edit Savings Goal' : 'Add Savings Goal';
+        document.getElementById('goal-name').value = goal ? goal.name : '';
+        document.getElementById('goal-target').value = goal ? goal.target : '';
+        document.getElementById('goal-deadline').value = goal ? goal.deadline || '' : '';
+        document.getElementById('goal-tag').value = goal ? goal.tag : '';
+        document.getElementById('goal-starting-amount').value = goal && goal.startingAmount ? goal.startingAmount : '';
+        document.getElementById('goal-modal').classList.add('active');
+    }
+
+    closeGoalModal() {
+        document.getElementById('goal-modal').classList.remove('active');
+        this.editingGoal = null;
+    }
+
+    handleGoalSubmit(e) {
+        e.preventDefault();
+
+        const name = document.getElementById('goal-name').value.trim();
+        const target = parseFloat(document.getElementById('goal-target').value);
+        const deadline = document.getElementById('goal-deadline').value || null;
+        const startingAmount = parseFloat(document.getElementById('goal-starting-amount').value) || 0;
+        // Defaults to the name, e.g. "Emergency Fund" is tagged #emergency-fund
+        const tag = this.parseTagList(document.getElementById('goal-tag').value || name).join('-');
+
+        if (!name || !target || target <= 0) {
+            this.showNotification('Please enter a name and a positive target!', 'error');
+            return;
+        }
+        if (startingAmount < 0) {
+            this.showNotification('The amount already saved can\'t be negative!', 'error');
+            return;
+        }
+        if (this.goals.some(g => g !== this.editingGoal && g.tag === tag)) {
+            this.showNotification(`Another goal already uses #${tag}!`, 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['goals']);
+        const goal = {
+            id: this.editingGoal ? this.editingGoal.id : `goal_${Date.now()}`,
+            name,
+            target,
+            deadline,
+            tag,
+            startingAmount,
+            createdAt: this.editingGoal ? this.editingGoal.createdAt : new Date().toISOString()
+        };
+
+        if (this.editingGoal) {
+            this.goals[this.goals.indexOf(this.editingGoal)] = goal;
+        } else {
+            this.goals.push(goal);
+        }
+        this.saveGoals();
+        this.recordChange(this.editingGoal ? `Edit goal "${name}"` : `Add goal "${name}"`, checkpoint);
+        this.showNotification(this.editingGoal ? 'Goal updated successfully!' : 'Goal added successfully!', 'success', this.getUndoAction());
+        this.renderGoalsList();
+        this.updateGoalsPanel();
+        this.closeGoalModal();
+    }
+
+    // Tagged transactions keep their tag, so adding the goal back picks them up again
+    deleteGoal(id) {
+        const checkpoint = this.createCheckpoint(['goals']);
+        this.goals = this.goals.filter(g => g.id !== id);
+        this.saveGoals();
+        this.recordChange('Delete goal', checkpoint);
+        this.renderGoalsList();
+        this.updateGoalsPanel();
+        this.showNotification('Goal deleted!', 'success', this.getUndoAction());
+    }
+
+    // Cash-Flow Forecast
+    // Known money movements (recurring rules, bills, regular payments detected in history and
+    // anything already entered with a future date) plus a trend per category for everything else
+    getForecastMonths() {
+        return parseInt(document.getElementById('forecast-months').value, 10) || 0;
+    }
+
+    getMonthOffset(month, offset) {
+        const [year, monthNum] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, monthNum - 1 + offset, 1)).toISOString().slice(0, 7);
+    }
+
+    formatMonthLabel(month) {
+        const [year, monthNum] = month.split('-');
+        return new Date(year, monthNum - 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+
+    // Combined balance of all accounts at the end of a day, in the preferred currency
+    getBalanceAt(date) {
+        const today = new Date().toISOString().split('T')[0];
+        const opening = this.accounts.reduce((sum, account) => sum + this.convertAmount(account.openingBalance, account.currency, today), 0);
+        return this.transactions
+            .filter(t => t.type !== 'transfer' && t.date <= date)
+            .reduce((balance, t) => balance + (t.type === 'income' ? 1 : -1) * this.getConvertedAmount(t), opening);
+    }
+
+    getForecastEvents(today, until) {
+        const events = [];
+        const add = (type, amount, date) => events.push({ type, amount, date });
+
+        this.recurringRules.forEach(rule => {
+            if (rule.paused || rule.type === 'transfer') return;
+            const remaining = rule.maxOccurrences ? rule.maxOccurrences - rule.occurrenceCount : Infinity;
+            const amount = this.convertAmount(rule.amount, this.getTransactionCurrency(rule), today);
+            let count = 0;
+            for (let date = rule.nextDate; date <= until && count < remaining && !(rule.endDate && date > rule.endDate); count++) {
+                add(rule.type, amount, date);
+                date = this.addRecurringInterval(date, rule.frequency, rule.dayOfMonth);
+            }
+        });
+
+        // An overdue bill still has to be paid, so it counts from today
+        this.bills.forEach(bill => {
+            const amount = this.convertAmount(bill.amount, bill.currency, today);
+            for (let date = bill.dueDate; date <= until; date = this.addRecurringInterval(date, bill.frequency, bill.dayOfMonth)) {
+                add('expense', amount, date < today ? today : date);
+            }
+        });
+
+        // A detected series that has missed more than half a payment has probably stopped
+        this.getRecurringSeries().forEach(series => {
+            if (series.last < this.getDateBefore(today, Math.round(series.gap * 1.5))) return;
+            const dayOfMonth = Number(series.last.split('-')[2]);
+            let date = this.addRecurringInterval(series.last, series.cadence, dayOfMonth);
+            for (; date <= until; date = this.addRecurringInterval(date, series.cadence, dayOfMonth)) {
+                if (date > today) add(series.type, series.amount, date);
+            }
+        });
+
+        this.transactions
+            .filter(t => t.type !== 'transfer' && t.date > today && t.date <= until)
+            .forEach(t => add(t.type, this.getConvertedAmount(t), t.date));
+
+        return events;
+    }
+
+    // Monthly totals for income and each top-level expense category over up to six complete
+    // months, leaving out everything the forecast already knows about
+    getDiscretionaryHistory(today) {
+        const currentMonth = today.slice(0, 7);
+        const known = new Set(this.getRecurringSeries().flatMap(series => series.ids));
+        const transactions = this.transactions.filter(t =>
+            t.type !== 'transfer' && !t.recurringRuleId && !t.billId && !known.has(t.id) && t.date <= today
+        );
+        if (transactions.length === 0) return [];
+
+        const firstMonth = transactions.reduce((first, t) => t.date < first ? t.date : first, today).slice(0, 7);
+        const months = [];
+        for (let offset = -6; offset < 0; offset++) {
+            const month = this.getMonthOffset(currentMonth, offset);
+            if (month >= firstMonth) months.push(month);
+        }
+
+        // With nothing but the current month, scale it up to a full month
+        if (months.length === 0) {
+            const [year, monthNum, day] = today.split('-').map(Number);
+            const scale = new Date(Date.UTC(year, monthNum, 0)).getUTCDate() / day;
+            const totals = this.getExpenseTotalsByCategory(transactions);
+            const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + this.getConvertedAmount(t), 0);
+            return [
+                { type: 'income', name: 'Income', values: [income * scale] },
+                ...Object.entries(totals).map(([name, total]) => ({ type: 'expense', name, values: [total * scale] }))
+            ];
+        }
+
+        const byMonth = months.map(month => transactions.filter(t => t.date.slice(0, 7) === month));
+        const names = new Set(byMonth.flatMap(monthTransactions => Object.keys(this.getExpenseTotalsByCategory(monthTransactions))));
+        return [
+            {
+                type: 'income',
+                name: 'Income',
+                values: byMonth.map(monthTransactions => monthTransactions.filter(t => t.type === 'income').reduce((sum, t) => sum + this.getConvertedAmount(t), 0))
+            },
+            ...[...names].map(name => ({
+                type: 'expense',
+                name,
+                values: byMonth.map(monthTransactions => this.getExpenseTotalsByCategory(monthTransactions)[name] || 0)
+            }))
+        ];
+    }
+
+    // Least-squares line through the monthly values. The projection is kept between zero and
+    // twice the average so a short run of rising months doesn't grow without limit.
+    getTrendEstimate(values) {
+        const n = values.length;
+        const mean = values.reduce((sum, value) => sum + value, 0) / n;
+        let slope = 0;
+        if (n >= 3) {
+            const middle = (n - 1) / 2;
+            const spread = values.reduce((sum, value, index) => sum + (index - middle) ** 2, 0);
+            slope = values.reduce((sum, value, index) => sum + (index - middle) * (value - mean), 0) / spread;
+        }
+        const fitted = (index) => mean + slope * (index - (n - 1) / 2);
+        const variance = n >= 2
+            ? values.reduce((sum, value, index) => sum + (value - fitted(index)) ** 2, 0) / (n - 1)
+            : (mean * 0.25) ** 2;
+
+        return {
+            // months ahead of the last value, so 1 is the current month
+            project: (ahead) => Math.min(Math.max(fitted(n - 1 + ahead), 0), mean * 2),
+            variance
+        };
+    }
+
+    // Month-end balances for the next few months with a likely range around them. The range
+    // widens with the spread of past months around their trend, about 80% of outcomes.
+    getCashFlowForecast(monthCount) {
+        return this.getCachedData(`forecast:${monthCount}`, () => this.computeCashFlowForecast(monthCount));
+    }
+
+    computeCashFlowForecast(monthCount) {
+        const today = new Date().toISOString().split('T')[0];
+        const currentMonth = today.slice(0, 7);
+        const [year, monthNum, day] = today.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, monthNum, 0)).getUTCDate();
+        const months = Array.from({ length: monthCount }, (_, index) => this.getMonthOffset(currentMonth, index + 1));
+        const until = `${months[months.length - 1]}-31`;
+
+        const events = this.getForecastEvents(today, until);
+        const trends = this.getDiscretionaryHistory(today).map(series => ({ type: series.type, ...this.getTrendEstimate(series.values) }));
+        const monthlyVariance = trends.reduce((sum, trend) => sum + trend.variance, 0);
+        const project = (month, ahead, share) => {
+            const totals = { income: 0, expense: 0 };
+            events.filter(event => event.date.slice(0, 7) === month).forEach(event => totals[event.type] += event.amount);
+            trends.forEach(trend => totals[trend.type] += trend.project(ahead) * share);
+            return totals;
+        };
+
+        // Whatever is still to come this month goes into the first forecast month's balance
+        const remaining = (daysInMonth - day) / daysInMonth;
+        const current = project(currentMonth, 1, remaining);
+        const startingBalance = this.getBalanceAt(today);
+        let balance = startingBalance + current.income - current.expense;
+        let variance = monthlyVariance * remaining;
+
+        const forecast = months.map((month, index) => {
+            const totals = project(month, index + 2, 1);
+            balance += totals.income - totals.expense;
+            variance += monthlyVariance;
+            const range = 1.28 * Math.sqrt(variance);
+            return { month, income: totals.income, expense: totals.expense, balance, low: balance - range, high: balance + range };
+        });
+
+        return {
+            startingBalance,
+            months: forecast,
+            negative: forecast.find(month => month.balance < 0) || null
+        };
+    }
+
+    getForecastInsights() {
+        const { negative } = this.getCashFlowForecast(this.getForecastMonths() || 3);
+        if (!negative) return [];
+        return [{
+            id: `forecast:${negative.month}`,
+            severity: 'warning',
+            icon: 'fas fa-triangle-exclamation',
+            message: `Your balance is projected to drop below zero by the end of ${this.formatMonthLabel(negative.month)} (${this.formatCurrency(negative.balance)})`
+        }];
+    }
+
+    updateForecastSummary(forecast) {
+        const summary = document.getElementById('forecast-summary');
+        summary.classList.toggle('hidden', !forecast);
+        if (!forecast) return;
+
+        const last = forecast.months[forecast.months.length - 1];
+        summary.classList.toggle('negative', !!forecast.negative);
+        summary.innerHTML = forecast.negative
+            ? `<i class="fas fa-triangle-exclamation"></i> Balance projected to go negative in ${this.formatMonthLabel(forecast.negative.month)}: ${this.formatCurrency(forecast.negative.balance)}`
+            : `<i class="fas fa-chart-line"></i> Projected balance at the end of ${this.formatMonthLabel(last.month)}: ${this.formatCurrency(last.balance)} (likely ${this.formatCurrency(last.low)} to ${this.formatCurrency(last.high)})`;
+    }
+
+    // Charts
+    updateExpensePieChart(transactions) {
+        const ctx = document.getElementById('expense-pie-chart').getContext('2d');
+        
+        if (this.charts.expensePie) {
+            this.charts.expensePie.destroy();
+        }
+        
+        const categoryTotals = this.getExpenseTotalsByCategory(transactions);
+        
+        const labels = Object.keys(categoryTotals);
+        const data = Object.values(categoryTotals);
+        const colors = labels.map(label => {
+            const category = this.categories.find(c => c.name === label);
+            return category ? category.color : this.getRandomColor();
+        });
+        
+        this.charts.expensePie = new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels,
+                datasets: [{
+                    data,
+                    backgroundColor: colors,
+                    borderWidth: 0,
+                    hoverOffset: 10
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            padding: 20,
+                            usePointStyle: true
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    updateAnalytics() {
+        this.updateMonthlyTrendsChart();
+        this.updateCategoryBarChart();
+        this.updateTagTotals();
+    }
+
+    // Converted income and expenses keyed by month, e.g. { '2026-03': { income, expense } }
+    getMonthlyTotals(transactions) {
+        const monthlyData = {};
+        transactions.forEach(transaction => {
+            if (transaction.type === 'transfer') return;
+            const date = new Date(transaction.date);
+            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            
+            if (!monthlyData[monthKey]) {
+                monthlyData[monthKey] = { income: 0, expense: 0 };
+            }
+            
+            monthlyData[monthKey][transaction.type] += this.getConvertedAmount(transaction);
+        });
+        return monthlyData;
+    }
+
+    updateMonthlyTrendsChart() {
+        const ctx = document.getElementById('monthly-trends-chart').getContext('2d');
+        
+        if (this.charts.monthlyTrends) {
+            this.charts.monthlyTrends.destroy();
+        }
+        
+        const filter = document.getElementById('analytics-filter').value;
+        const months = this.getForecastMonths();
+        const forecast = months > 0 ? this.getCashFlowForecast(months) : null;
+        this.charts.monthlyTrends = new Chart(ctx, this.getMonthlyTrendsChartConfig(this.getFilteredTransactionsByPeriod(filter), forecast));
+        this.updateForecastSummary(forecast);
+    }
+
+    // Shared by the analytics page and the PDF report
+    getMonthlyTrendsChartConfig(transactions, forecast = null) {
+        const today = new Date().toISOString().split('T')[0];
+        // Future-dated transactions are already part of the forecast
+        const monthlyData = this.getMonthlyTotals(forecast ? transactions.filter(t => t.date <= today) : transactions);
+        const months = Object.keys(monthlyData).sort();
+        const incomeData = months.map(month => monthlyData[month].income);
+        const expenseData = months.map(month => monthlyData[month].expense);
+        const tickCallback = (value) => this.formatCurrency(value).replace(/\.\d+$/, '');
+        
+        const config = {
+            type: 'line',
+            data: {
+                labels: months.map(month => this.formatMonthLabel(month)),
+                datasets: [{
+                    label: 'Income',
+                    data: incomeData,
+                    borderColor: '#10b981',
+                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                    tension: 0.4,
+                    fill: true
+                }, {
+                    label: 'Expenses',
+                    data: expenseData,
+                    borderColor: '#ef4444',
+                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                    tension: 0.4,
+                    fill: true
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: tickCallback
+                        }
+                    }
+                }
+            }
+        };
+
+        if (forecast) {
+            this.addForecastToChartConfig(config, months, monthlyData, forecast, today);
+            config.options.plugins.legend.labels = { filter: (item) => item.text !== '' };
+            config.options.scales.balance = {
+                position: 'right',
+                grid: { drawOnChartArea: false },
+                ticks: { callback: tickCallback }
+            };
+        }
+
+        return config;
+    }
+
+    // Dashed lines carry on from the last month of history, with the balance on its own axis
+    // and the likely range shaded between two borderless lines
+    addForecastToChartConfig(config, months, monthlyData, forecast, today) {
+        const currentMonth = today.slice(0, 7);
+        const balances = months.map(month => month === currentMonth ? forecast.startingBalance : this.getBalanceAt(`${month}-31`));
+        const lastIndex = months.length - 1;
+        const extend = (last, values) => months.length > 0
+            ? [...Array(lastIndex).fill(null), last, ...values]
+            : values;
+        const dashed = { borderDash: [6, 4], pointRadius: 2, tension: 0.4, fill: false };
+        const last = monthlyData[months[lastIndex]] || {};
+        const lastBalance = balances[lastIndex];
+
+        config.data.labels.push(...forecast.months.map(month => this.formatMonthLabel(month.month)));
+        config.data.datasets.push({
+            label: 'Projected Income',
+            data: extend(last.income, forecast.months.map(month => month.income)),
+            borderColor: '#10b981',
+            ...dashed
+        }, {
+            label: 'Projected Expenses',
+            data: extend(last.expense, forecast.months.map(month => month.expense)),
+            borderColor: '#ef4444',
+            ...dashed
+        }, {
+            label: 'Balance',
+            data: balances,
+            borderColor: '#6366f1',
+            tension: 0.4,
+            fill: false,
+            yAxisID: 'balance'
+        }, {
+            label: 'Projected Balance',
+            data: extend(lastBalance, forecast.months.map(month => month.balance)),
+            borderColor: '#6366f1',
+            yAxisID: 'balance',
+            ...dashed
+        }, {
+            label: 'Likely Range',
+            data: extend(lastBalance, forecast.months.map(month => month.high)),
+            backgroundColor: 'rgba(99, 102, 241, 0.15)',
+            borderWidth: 0,
+            pointRadius: 0,
+            tension: 0.4,
+            fill: false,
+            yAxisID: 'balance'
+        }, {
+            label: '',
+            data: extend(lastBalance, forecast.months.map(month => month.low)),
+            backgroundColor: 'rgba(99, 102, 241, 0.15)',
+            borderWidth: 0,
+            pointRadius: 0,
+            tension: 0.4,
+            fill: '-1',
+            yAxisID: 'balance'
+        });
+    }
+
+    updateCategoryBarChart() {
+        const ctx = document.getElementById('category-bar-chart').getContext('2d');
+        
+        if (this.charts.categoryBar) {
+            this.charts.categoryBar.destroy();
+        }
+        
+        const filter = document.getElementById('analytics-filter').value;
+        this.charts.categoryBar = new Chart(ctx, this.getCategoryBarChartConfig(this.getFilteredTransactionsByPeriod(filter)));
+    }
+
+    getCategoryBarChartConfig(transactions) {
+        const totals = Object.entries(this.getExpenseTotalsByCategory(transactions))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 8); // Top 8 categories
+        const labels = totals.map(([label]) => label);
+        const data = totals.map(([, total]) => total);
+        const colors = labels.map(label => {
+            const category = this.categories.find(c => c.name === label);
+            return category ? category.color : this.getRandomColor();
+        });
+        
+        return {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [{
+                    data,
+                    backgroundColor: colors,
+                    borderRadius: 8,
+                    borderSkipped: false
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            callback: (value) => this.formatCurrency(value).replace(/\.\d+$/, '')
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    // Reports
+    updateReports() {
+        this.updateReportSummary();
+    }
+
+    // Transactions in the period picked on the Reports page, with a label and a file name part.
+    // A custom range without both dates covers everything.
+    getReportPeriod() {
+        const period = document.getElementById('report-period').value;
+        const now = new Date();
+
+        if (period === 'custom') {
+            const startDate = document.getElementById('custom-start-date').value;
+            const endDate = document.getElementById('custom-end-date').value;
+            if (startDate && endDate) {
+                return {
+                    transactions: this.transactions.filter(t => t.date >= startDate && t.date <= endDate),
+                    label: `${this.formatDate(startDate)} – ${this.formatDate(endDate)}`,
+                    key: `${startDate}-to-${endDate}`
+                };
+            }
+            return { transactions: [...this.transactions], label: 'All Time', key: 'all-time' };
+        }
+
+        return {
+            transactions: this.getFilteredTransactionsByPeriod(period),
+            label: period === 'month' ? now.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }) : String(now.getFullYear()),
+            key: period === 'month' ? `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}` : String(now.getFullYear())
+        };
+    }
+
+    getReportTotals(transactions) {
+        const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + this.getConvertedAmount(t), 0);
+        const expenses = transactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + this.getConvertedAmount(t), 0);
+        return { income, expenses, balance: income - expenses };
+    }
+
+    updateReportSummary() {
+        const { income, expenses, balance } = this.getReportTotals(this.getReportPeriod().transactions);
+        
+        document.getElementById('report-income').textContent = this.formatCurrency(income);
+        document.getElementById('report-expenses').textContent = this.formatCurrency(expenses);
+        document.getElementById('report-balance').textContent = this.formatCurrency(balance);
+    }
+
+    updateReportPeriod(period) {
+        const customDateInputs = document.querySelectorAll('#custom-start-date, #custom-end-date');
+        
+        if (period === 'custom') {
+            customDateInputs.forEach(input => input.classList.remove('hidden'));
+        } else {
+            customDateInputs.forEach(input => input.classList.add('hidden'));
+        }
+        
+        this.updateReportSummary();
+    }
+
+    // Export Functions
+    // A4 portrait, in mm. jsPDF's built-in fonts have no glyphs for symbols like ₹, so the
+    // report writes currency codes instead.
+    exportToPDF() {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        const { transactions, label, key } = this.getReportPeriod();
+        const { income, expenses, balance } = this.getReportTotals(transactions);
+        const margin = 15;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const contentWidth = pageWidth - margin * 2;
+        let y = 20;
+
+        // Header
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(20);
+        doc.setTextColor(30, 41, 59);
+        doc.text('Expense Report', margin, y);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(100, 116, 139);
+        doc.text(`${this.currentUser.name} (${this.currentUser.email})`, margin, y + 7);
+        doc.text(`Period: ${label}`, margin, y + 12);
+        doc.text(`Generated ${this.formatDate(new Date().toISOString())}, amounts in ${this.preferredCurrency}`, margin, y + 17);
+        doc.setDrawColor(226, 232, 240);
+        doc.line(margin, y + 21, pageWidth - margin, y + 21);
+        y += 30;
+
+        // Summary
+        const boxWidth = (contentWidth - 10) / 3;
+        [
+            ['Total Income', income, [16, 185, 129]],
+            ['Total Expenses', expenses, [239, 68, 68]],
+            ['Net Balance', balance, balance >= 0 ? [16, 185, 129] : [239, 68, 68]]
+        ].forEach(([title, amount, color], index) => {
+            const x = margin + index * (boxWidth + 5);
+            doc.setFillColor(248, 250, 252);
+            doc.rect(x, y, boxWidth, 20, 'F');
+            doc.setFontSize(9);
+            doc.setTextColor(100, 116, 139);
+            doc.text(title, x + 4, y + 7);
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(13);
+            doc.setTextColor(...color);
+            doc.text(this.formatPdfAmount(amount), x + 4, y + 15);
+            doc.setFont('helvetica', 'normal');
+        });
+        doc.setFontSize(9);
+        doc.setTextColor(100, 116, 139);
+        doc.text(`${transactions.length} transaction${transactions.length === 1 ? '' : 's'} in this period`, margin, y + 27);
+        y += 40;
+
+        // Category breakdown
+        const categoryTotals = Object.entries(this.getExpenseTotalsByCategory(transactions)).sort((a, b) => b[1] - a[1]);
+        y = this.drawPdfHeading(doc, 'Expenses by Category', y);
+        y = this.drawPdfTable(doc, [
+            { header: 'Category', width: 100 },
+            { header: 'Amount', width: 50, align: 'right' },
+            { header: '% of Expenses', width: 30, align: 'right' }
+        ], categoryTotals.length > 0
+            ? categoryTotals.map(([name, total]) => [name, this.formatPdfAmount(total), `${(total / expenses * 100).toFixed(1)}%`])
+            : [['No expenses in this period', '', '']],
+        y, categoryTotals.length > 0 ? ['Total', this.formatPdfAmount(expenses), '100.0%'] : null);
+        y += 12;
+
+        // Charts, 2:1 like the canvas they're drawn on
+        [
+            ['Monthly Trends', this.getMonthlyTrendsChartConfig(transactions)],
+            ['Top Categories', this.getCategoryBarChartConfig(transactions)]
+        ].forEach(([title, config]) => {
+            const height = contentWidth / 2;
+            if (y + height + 10 > pageHeight - 20) {
+                doc.addPage();
+                y = 20;
+            }
+            y = this.drawPdfHeading(doc, title, y);
+            doc.addImage(this.renderChartImage(config, 900, 450), 'PNG', margin, y, contentWidth, height);
+            y += height + 12;
+        });
+
+        // Every transaction in the period, oldest first
+        doc.addPage();
+        y = this.drawPdfHeading(doc, 'Transactions', 20);
+        const rows = [...transactions]
+            .sort((a, b) => a.date.localeCompare(b.date) || (a.createdAt || '').localeCompare(b.createdAt || ''))
+            .map(t => {
+                const category = this.getCategory(t.category);
+                const currency = this.getTransactionCurrency(t);
+                return [
+                    this.formatDate(t.date),
+                    t.description,
+                    t.type === 'transfer' ? '-' : t.splits ? `Split (${t.splits.length})` : category ? this.getCategoryLabel(category) : t.category,
+                    this.getTransactionAccountLabel(t).replace('→', '>'),
+                    t.type,
+                    `${t.type === 'income' ? '+' : ''}${this.formatPdfAmount(t.type === 'expense' ? -t.amount : t.amount, currency)}`
+                ];
+            });
+        this.drawPdfTable(doc, [
+            { header: 'Date', width: 24 },
+            { header: 'Description', width: 50 },
+            { header: 'Category', width: 32 },
+            { header: 'Account', width: 30 },
+            { header: 'Type', width: 16 },
+            { header: 'Amount', width: 28, align: 'right' }
+        ], rows.length > 0 ? rows : [['', 'No transactions in this period', '', '', '', '']], y);
+
+        // Footer on every page, now that the page count is known
+        const pageCount = doc.getNumberOfPages();
+        for (let page = 1; page <= pageCount; page++) {
+            doc.setPage(page);
+            doc.setFontSize(8);
+            doc.setTextColor(148, 163, 184);
+            doc.text(`Expense Report, ${label}`, margin, pageHeight - 10);
+            doc.text(`Page ${page} of ${pageCount}`, pageWidth - margin, pageHeight - 10, { align: 'right' });
+        }
+        
+        doc.save(`expense-report-${key}.pdf`);
+        this.showNotification('PDF exported successfully!', 'success');
+    }
+
+    formatPdfAmount(amount, currency = this.preferredCurrency) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency,
+            currencyDisplay: 'code'
+        }).format(amount);
+    }
+
+    drawPdfHeading(doc, text, y) {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.setTextColor(30, 41, 59);
+        doc.text(text, 15, y);
+        doc.setFont('helvetica', 'normal');
+        return y + 5;
+    }
+
+    // Columns are { header, width, align }. Rows that don't fit start a new page, which
+    // repeats the header row. Returns the y position below the table.
+    drawPdfTable(doc, columns, rows, y, totalRow = null) {
+        const margin = 15;
+        const rowHeight = 7;
+        const bottom = doc.internal.pageSize.getHeight() - 20;
+        const width = columns.reduce((sum, column) => sum + column.width, 0);
+
+        const drawHeader = () => {
+            doc.setFillColor(99, 102, 241);
+            doc.rect(margin, y, width, rowHeight, 'F');
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(255, 255, 255);
+            this.drawPdfRow(doc, columns, columns.map(column => column.header), y);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(30, 41, 59);
+            y += rowHeight;
+        };
+
+        doc.setFontSize(9);
+        drawHeader();
+        rows.forEach((row, index) => {
+            if (y + rowHeight > bottom) {
+                doc.addPage();
+                y = 20;
+                drawHeader();
+            }
+            if (index % 2 === 1) {
+                doc.setFillColor(248, 250, 252);
+                doc.rect(margin, y, width, rowHeight, 'F');
+            }
+            this.drawPdfRow(doc, columns, row, y);
+            y += rowHeight;
+        });
+
+        if (totalRow) {
+            doc.setDrawColor(203, 213, 225);
+            doc.line(margin, y, margin + width, y);
+            doc.setFont('helvetica', 'bold');
+            this.drawPdfRow(doc, columns, totalRow, y);
+            doc.setFont('helvetica', 'normal');
+            y += rowHeight;
+        }
+        return y;
+    }
+
+    drawPdfRow(doc, columns, cells, y) {
+        let x = 15;
+        columns.forEach((column, index) => {
+            const text = this.fitPdfText(doc, String(cells[index]), column.width - 4);
+            if (column.align === 'right') {
+                doc.text(text, x + column.width - 2, y + 5, { align: 'right' });
+            } else {
+                doc.text(text, x + 2, y + 5);
+            }
+            x += column.width;
+        });
+    }
+
+    // Cuts text to the column width with an ellipsis
+    fitPdfText(doc, text, width) {
+        if (doc.getTextWidth(text) <= width) return text;
+        while (text.length > 1 && doc.getTextWidth(`${text}…`) > width) {
+            text = text.slice(0, -1);
+        }
+        return `${text.trimEnd()}…`;
+    }
+
+    // Draws a chart at a fixed size on a canvas that's never added to the page
+    renderChartImage(config, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const chart = new Chart(canvas.getContext('2d'), {
+            ...config,
+            options: { ...config.options, responsive: false, animation: false }
+        });
+        const image = chart.toBase64Image();
+        chart.destroy();
+        return image;
+    }
+
+    exportToCSV() {
+        const { transactions, key } = this.getReportPeriod();
+        this.downloadTransactionsCSV(transactions, `expense-report-${key}.csv`);
+        this.showNotification('CSV exported successfully!', 'success');
+    }
+
+    downloadTransactionsCSV(transactions, fileName) {
+        // Split transactions get one row per category line
+        const headers = ['Date', 'Description', 'Category', 'Account', 'Type', 'Amount', 'Currency', `Amount (${this.preferredCurrency})`, 'Tags', 'Notes'];
+        const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        const csvContent = [
+            headers.join(','),
+            ...transactions.flatMap(t => {
+                const converted = this.getConvertedCategoryAmounts(t);
+                return this.getCategoryAmounts(t).map((split, index) => {
+                    const category = split.category ? this.getCategory(split.category) : null;
+                    return [
+                        t.date,
+                        quote(t.description),
+                        quote(category ? this.getCategoryLabel(category) : split.category || ''),
+                        quote(this.getTransactionAccountLabel(t)),
+                        t.type,
+                        split.amount,
+                        this.getTransactionCurrency(t),
+                        converted[index].amount.toFixed(2),
+                        quote((t.tags || []).map(tag => `#${tag}`).join(' ')),
+                        quote(t.notes || '')
+                    ].join(',');
+                });
+            })
+        ].join('\n');
+        
+        const blob = new Blob([csvContent], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    }
+
+    async exportAllData() {
+        const data = {
+            schemaVersion: this.backupSchemaVersion,
+            user: this.currentUser,
+            transactions: this.transactions,
+            categories: this.categories,
+            budgets: this.budgets,
+            recurringRules: this.recurringRules,
+            categoryRules: this.categoryRules,
+            goals: this.goals,
+            bills: this.bills,
+            exchangeRates: this.exchangeRates,
+            accounts: this.accounts,
+            exportDate: new Date().toISOString()
+        };
+
+        if (document.getElementById('backup-include-receipts').checked) {
+            try {
+                data.attachments = await this.getAllAttachmentData();
+            } catch (error) {
+                this.showNotification('Could not read receipts for the backup!', 'error');
+                return;
+            }
+        }
+        
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'expense-tracker-backup.json';
+        a.click();
+        window.URL.revokeObjectURL(url);
+        
+        this.showNotification('Data exported successfully!', 'success');
+    }
+
+    importData() {
+        document.getElementById('import-file').click();
+    }
+
+    handleFileImport(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        // Reset so choosing the same file again still fires a change event
+        e.target.value = '';
+        
+        const reader = new FileReader();
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (['csv', 'ofx', 'qfx', 'qif'].includes(extension)) {
+            // QFX is Quicken's branded OFX and parses the same way
+            const format = extension === 'qfx' ? 'ofx' : extension;
+            reader.onload = (event) => this.openImportModal(format, event.target.result, file.name);
+            reader.readAsText(file);
+            return;
+        }
+
+        reader.onload = (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.target.result);
+            } catch (error) {
+                this.showNotification('Invalid file format!', 'error');
+                return;
+            }
+
+            try {
+                this.openBackupImportModal(this.upgradeBackup(data), file.name);
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // Backup Import
+    upgradeBackup(data) {
+        if (!data || !Array.isArray(data.transactions)) {
+            throw new Error('This file is not an Expense Tracker backup!');
+        }
+
+        const version = data.schemaVersion || 1;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error('Unrecognised backup version!');
+        }
+        if (version > this.backupSchemaVersion) {
+            throw new Error(`This backup was made by a newer version of the app (schema v${version}). Please update before importing.`);
+        }
+
+        const backup = { ...data, originalVersion: version };
+
+        // v1: unversioned, numeric ids allowed, no updatedAt, no budgets or recurring rules
+        if (version < 2) {
+            backup.transactions = data.transactions.map(t => ({
+                ...t,
+                id: t.id !== undefined && t.id !== null ? String(t.id) : t.id,
+                updatedAt: t.updatedAt || t.createdAt
+            }));
+            backup.budgets = null;
+            backup.recurringRules = null;
+        }
+
+        // v2: no per-transaction currency or exchange rates
+        if (version < 3) {
+            backup.transactions = backup.transactions.map(t => ({ ...t, currency: t.currency || this.preferredCurrency }));
+            backup.exchangeRates = null;
+        }
+
+        // v3: no accounts; everything belonged to one implicit wallet
+        if (version < 4) {
+            backup.transactions = backup.transactions.map(t => ({ ...t, account: t.account || this.accounts[0].id }));
+            backup.accounts = null;
+        }
+
+        backup.schemaVersion = this.backupSchemaVersion;
+        return backup;
+    }
+
+    // Ids end up in markup and handler lookups, so imported ones are limited to what the app generates
+    isSafeId(id) {
+        return typeof id === 'string' && /^[A-Za-z0-9_:.-]+$/.test(id);
+    }
+
+    // Transfers and rules without a category or destination account leave these empty
+    isOptionalSafeId(id) {
+        return id === null || id === undefined || this.isSafeId(id);
+    }
+
+    isValidBackupSplits(splits) {
+        return splits === null || splits === undefined || (Array.isArray(splits) && splits.every(split =>
+            split && this.isSafeId(split.category) && typeof split.amount === 'number' && isFinite(split.amount)
+        ));
+    }
+
+    isValidBackupTransaction(t) {
+        return t && this.isSafeId(t.id) &&
+            ['income', 'expense', 'transfer'].includes(t.type) &&
+            typeof t.amount === 'number' && isFinite(t.amount) &&
+            /^\d{4}-\d{2}-\d{2}$/.test(t.date || '') &&
+            this.isOptionalSafeId(t.category) && this.isValidBackupSplits(t.splits) &&
+            this.isSafeId(t.account) && this.isOptionalSafeId(t.toAccount);
+    }
+
+    // The icon and color go into class and style attributes
+    isValidBackupCategory(c) {
+        return c && this.isSafeId(c.id) &&
+            typeof c.name === 'string' && c.name.trim() !== '' &&
+            typeof c.icon === 'string' && /^[a-z0-9 -]+$/i.test(c.icon) &&
+            typeof c.color === 'string' && /^#[0-9a-f]{3,8}$/i.test(c.color) &&
+            this.isOptionalSafeId(c.parent);
+    }
+
+    isValidBackupBudget(categoryId, limit) {
+        return this.isSafeId(categoryId) && typeof limit === 'number' && isFinite(limit) && limit > 0;
+    }
+
+    isValidBackupAccount(a) {
+        return a && this.isSafeId(a.id) &&
+            typeof a.name === 'string' && a.name.trim() !== '' &&
+            ['bank', 'cash', 'credit', 'savings'].includes(a.type) &&
+            this.getSupportedCurrencies().includes(a.currency) &&
+            typeof a.openingBalance === 'number' && isFinite(a.openingBalance);
+    }
+
+    isValidBackupExchangeRate(r) {
+        const currencies = this.getSupportedCurrencies();
+        return r && this.isSafeId(r.id) &&
+            currencies.includes(r.from) && currencies.includes(r.to) && r.from !== r.to &&
+            typeof r.rate === 'number' && isFinite(r.rate) && r.rate > 0 &&
+            /^\d{4}-\d{2}-\d{2}$/.test(r.effectiveDate || '');
+    }
+
+    isValidBackupRecurringRule(r) {
+        return r && this.isSafeId(r.id) &&
+            ['income', 'expense', 'transfer'].includes(r.type) &&
+            typeof r.description === 'string' &&
+            typeof r.amount === 'number' && isFinite(r.amount) &&
+            this.getSupportedCurrencies().includes(r.currency) &&
+            this.isOptionalSafeId(r.category) && this.isValidBackupSplits(r.splits) &&
+            this.isSafeId(r.account) && this.isOptionalSafeId(r.toAccount) &&
+            ['daily', 'weekly', 'monthly', 'yearly'].includes(r.frequency) &&
+            /^\d{4}-\d{2}-\d{2}$/.test(r.nextDate || '') &&
+            Number.isInteger(r.dayOfMonth) && r.dayOfMonth >= 1 && r.dayOfMonth <= 31;
+    }
+
+    isValidBackupCategoryRule(r) {
+        if (!r || !this.isSafeId(r.id) || !this.isSafeId(r.category) ||
+            !['contains', 'regex'].includes(r.matchType) ||
+            typeof r.pattern !== 'string' || r.pattern === '' ||
+            ![null, undefined, 'income', 'expense'].includes(r.type) ||
+            ![r.minAmount, r.maxAmount].every(amount => amount === null || amount === undefined || (typeof amount === 'number' && isFinite(amount))) ||
+            !(r.tags === undefined || (Array.isArray(r.tags) && r.tags.every(tag => typeof tag === 'string')))) {
+            return false;
+        }
+        if (r.matchType === 'regex') {
+            try {
+                new RegExp(r.pattern, 'i');
+            } catch (error) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    isValidBackupGoal(g) {
+        return g && this.isSafeId(g.id) &&
+            typeof g.name === 'string' && g.name.trim() !== '' &&
+            typeof g.tag === 'string' && g.tag !== '' &&
+            typeof g.target === 'number' && isFinite(g.target) && g.target > 0 &&
+            typeof g.startingAmount === 'number' && isFinite(g.startingAmount) && g.startingAmount >= 0 &&
+            (g.deadline === null || /^\d{4}-\d{2}-\d{2}$/.test(g.deadline || ''));
+    }
+
+    isValidBackupBill(b) {
+        return b && this.isSafeId(b.id) && this.isSafeId(b.account) &&
+            typeof b.name === 'string' && b.name.trim() !== '' &&
+            typeof b.amount === 'number' && isFinite(b.amount) && b.amount > 0 &&
+            this.getSupportedCurrencies().includes(b.currency) &&
+            ['weekly', 'monthly', 'yearly'].includes(b.frequency) &&
+            /^\d{4}-\d{2}-\d{2}$/.test(b.dueDate || '') &&
+            Number.isInteger(b.dayOfMonth) && b.dayOfMonth >= 1 && b.dayOfMonth <= 31;
+    }
+
+    // The data URL ends up in an img src, so it has to be plain base64
+    isValidBackupAttachment(a) {
+        return a && typeof a.id === 'string' && typeof a.name === 'string' &&
+            this.receiptTypes.includes(a.type) &&
+            typeof a.data === 'string' && a.data.startsWith(`data:${a.type};base64,`) &&
+            /^[A-Za-z0-9+/]*={0,2}$/.test(a.data.slice(a.data.indexOf(',') + 1));
+    }
+
+    getTransactionTimestamp(t) {
+        return t.updatedAt || t.createdAt || '';
+    }
+
+    planBackupImport(backup, mode) {
+        const plan = { added: [], updated: [], skipped: [], invalid: 0 };
+        const valid = backup.transactions.filter(t => {
+            if (this.isValidBackupTransaction(t)) return true;
+            plan.invalid++;
+            return false;
+        });
+
+        if (mode === 'replace') {
+            plan.added = valid;
+            plan.removed = this.transactions.length;
+            return plan;
+        }
+
+        const existing = new Map(this.transactions.map(t => [t.id, t]));
+        valid.forEach(t => {
+            const current = existing.get(t.id);
+            if (!current) {
+                plan.added.push(t);
+            } else if (this.getTransactionTimestamp(t) > this.getTransactionTimestamp(current)) {
+                // Backup copy was edited more recently than ours
+                plan.updated.push(t);
+            } else {
+                plan.skipped.push(t);
+            }
+        });
+        return plan;
+    }
+
+    openBackupImportModal(backup, fileName) {
+        this.pendingBackup = backup;
+        document.getElementById('backup-import-file-name').textContent = fileName;
+
+        const exported = backup.exportDate ? new Date(backup.exportDate) : null;
+        const details = [`${backup.transactions.length} transactions`];
+        if (exported && !isNaN(exported)) details.push(`exported ${exported.toLocaleDateString()}`);
+        if (Array.isArray(backup.attachments)) details.push(`${backup.attachments.length} receipts`);
+        if (backup.originalVersion < backup.schemaVersion) {
+            details.push(`upgraded from schema v${backup.originalVersion}`);
+        }
+        document.getElementById('backup-import-details').textContent = details.join(' · ');
+
+        document.getElementById('backup-import-mode').value = 'merge';
+        this.updateBackupImportSummary();
+        document.getElementById('backup-import-modal').classList.add('active');
+    }
+
+    closeBackupImportModal() {
+        document.getElementById('backup-import-modal').classList.remove('active');
+        this.pendingBackup = null;
+    }
+
+    updateBackupImportSummary() {
+        const mode = document.getElementById('backup-import-mode').value;
+        const plan = this.planBackupImport(this.pendingBackup, mode);
+        const summary = document.getElementById('backup-import-summary');
+
+        const items = mode === 'replace'
+            ? [`${plan.added.length} imported`, `${plan.removed} existing removed`]
+            : [`${plan.added.length} added`, `${plan.updated.length} updated`, `${plan.skipped.length} skipped`];
+        if (plan.invalid > 0) items.push(`${plan.invalid} invalid`);
+
+        summary.innerHTML = items.map(item => `<span>${item}</span>`).join('');
+        document.getElementById('backup-import-hint').textContent = mode === 'replace'
+            ? 'All current transactions will be deleted and replaced with the backup.'
+            : 'New transactions are added. Existing ones are only overwritten when the backup copy was edited more recently.';
+    }
+
+    confirmBackupImport() {
+        const backup = this.pendingBackup;
+        const mode = document.getElementById('backup-import-mode').value;
+        const plan = this.planBackupImport(backup, mode);
+
+        if (mode === 'replace' && !confirm(`Replace all ${plan.removed} existing transactions with ${plan.added.length} from the backup?`)) return;
+
+        const checkpoint = this.createCheckpoint(['categories', 'budgets', 'accounts', 'exchangeRates', 'recurringRules', 'categoryRules', 'goals', 'bills']);
+        if (mode === 'replace') {
+            this.transactions = plan.added.map(t => ({ ...t }));
+            this.saveTransactions();
+        } else {
+            const updates = new Map(plan.updated.map(t => [t.id, t]));
+            this.transactions = [
+                ...plan.added.map(t => ({ ...t })),
+                ...this.transactions.map(t => updates.has(t.id) ? { ...updates.get(t.id) } : t)
+            ];
+            if (plan.added.length > 0 || plan.updated.length > 0) {
+                this.saveTransactions({ put: [...plan.added, ...plan.updated] });
+            }
+        }
+
+        // Only files belonging to transactions that were actually imported
+        if (Array.isArray(backup.attachments)) {
+            const imported = new Set([...plan.added, ...plan.updated].map(t => t.id));
+            const attachments = backup.attachments.filter(a => this.isValidBackupAttachment(a) && imported.has(a.transactionId));
+            if (attachments.length > 0) {
+                this.saveAttachments(attachments);
+            }
+        }
+
+        if (Array.isArray(backup.categories)) {
+            const valid = backup.categories.filter(c => this.isValidBackupCategory(c));
+            this.categories = [...this.categories, ...valid.filter(c => !this.categories.find(existing => existing.id === c.id))];
+            this.saveCategories();
+        }
+
+        if (backup.budgets && typeof backup.budgets === 'object' && !Array.isArray(backup.budgets)) {
+            const valid = Object.fromEntries(Object.entries(backup.budgets).filter(([categoryId, limit]) => this.isValidBackupBudget(categoryId, limit)));
+            this.budgets = mode === 'replace' ? valid : { ...valid, ...this.budgets };
+            this.saveBudgets();
+        }
+
+        const validAccounts = Array.isArray(backup.accounts) ? backup.accounts.filter(a => this.isValidBackupAccount(a)) : [];
+        if (validAccounts.length > 0) {
+            const accounts = mode === 'replace' ? [] : this.accounts;
+            this.accounts = [...accounts, ...validAccounts.filter(a => !accounts.find(existing => existing.id === a.id))];
+            this.saveAccounts();
+            this.populateAccountSelects();
+            this.renderAccountsList();
+        }
+
+        if (Array.isArray(backup.exchangeRates)) {
+            const rates = mode === 'replace' ? [] : this.exchangeRates;
+            const valid = backup.exchangeRates.filter(r => this.isValidBackupExchangeRate(r));
+            this.exchangeRates = [...rates, ...valid.filter(r => !rates.find(existing => existing.id === r.id))];
+            this.saveExchangeRates();
+            this.renderExchangeRates();
+        }
+
+        if (Array.isArray(backup.recurringRules)) {
+            const rules = mode === 'replace' ? [] : this.recurringRules;
+            const valid = backup.recurringRules.filter(r => this.isValidBackupRecurringRule(r));
+            this.recurringRules = [...rules, ...valid.filter(r => !rules.find(existing => existing.id === r.id))];
+            this.saveRecurringRules();
+        }
+
+        if (Array.isArray(backup.categoryRules)) {
+            const rules = mode === 'replace' ? [] : this.categoryRules;
+            const valid = backup.categoryRules.filter(r => this.isValidBackupCategoryRule(r));
+            this.categoryRules = [...rules, ...valid.filter(r => !rules.find(existing => existing.id === r.id))];
+            this.saveCategoryRules();
+            this.renderCategoryRules();
+        }
+
+        if (Array.isArray(backup.goals)) {
+            const goals = mode === 'replace' ? [] : this.goals;
+            const valid = backup.goals.filter(g => this.isValidBackupGoal(g));
+            this.goals = [...goals, ...valid.filter(g => !goals.find(existing => existing.id === g.id || existing.tag === g.tag))];
+            this.saveGoals();
+            this.renderGoalsList();
+        }
+
+        if (Array.isArray(backup.bills)) {
+            const bills = mode === 'replace' ? [] : this.bills;
+            const valid = backup.bills.filter(b => this.isValidBackupBill(b));
+            this.bills = [...bills, ...valid.filter(b => !bills.find(existing => existing.id === b.id))];
+            this.saveBills();
+            this.renderBills();
+        }
+
+        this.recordChange(mode === 'replace' ? 'Restore backup' : 'Merge backup', checkpoint);
+        this.renderTransactions();
+        this.renderRecurringRules();
+        this.updateDashboard();
+        this.populateCategories();
+        this.closeBackupImportModal();
+
+        const message = mode === 'replace'
+            ? `Backup restored: ${plan.added.length} transactions`
+            : `Backup merged: ${plan.added.length} added, ${plan.updated.length} updated, ${plan.skipped.length} skipped`;
+        this.showNotification(message, 'success', this.getUndoAction());
+    }
+
+    // Statement Import
+    openImportModal(format, text, fileName) {
+        const titles = { csv: 'Import CSV', ofx: 'Import OFX', qif: 'Import QIF' };
+        this.pendingImport = { format, text, fileName, rows: [] };
+        document.getElementById('import-title').textContent = titles[format];
+        document.getElementById('import-file-name').textContent = fileName;
+        document.getElementById('csv-import-options').classList.toggle('hidden', format !== 'csv');
+
+        const defaultCategory = document.getElementById('import-default-category');
+        defaultCategory.innerHTML = this.getCategoryOptions();
+        defaultCategory.value = this.getCategory('other') ? 'other' : this.categories[0].id;
+        document.getElementById('import-account').value = this.getFilteredAccountId() || this.accounts[0].id;
+
+        if (format === 'csv') {
+            document.getElementById('csv-delimiter').value = 'auto';
+            document.getElementById('csv-has-header').checked = true;
+            this.parseCsvImportFile();
+        } else {
+            this.updateImportPreview();
+        }
+
+        document.getElementById('import-modal').classList.add('active');
+    }
+
+    closeImportModal() {
+        document.getElementById('import-modal').classList.remove('active');
+        this.pendingImport = null;
+    }
+
+    updateImportPreview() {
+        const { format, text } = this.pendingImport;
+        const defaultCategory = document.getElementById('import-default-category').value;
+
+        if (format === 'csv') {
+            this.updateCsvImportPreview();
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = format === 'ofx' ? this.parseOFX(text) : this.parseQIF(text);
+        } catch (error) {
+            parsed = [];
+        }
+
+        this.pendingImport.rows = parsed.map((entry, index) => {
+            const row = {
+                index,
+                date: entry.date,
+                description: entry.description,
+                amount: entry.amount === null ? null : Math.abs(entry.amount),
+                type: entry.type,
+                category: this.matchImportCategory(entry.category, defaultCategory),
+                currency: entry.currency || null,
+                importId: entry.importId,
+                error: null,
+                duplicate: false
+            };
+
+            if (!row.date) {
+                row.error = 'Invalid date';
+            } else if (row.amount === null || row.amount === 0) {
+                row.error = 'Invalid amount';
+            } else if (!row.description) {
+                row.error = 'Missing description';
+            }
+            return row;
+        });
+
+        this.applyImportRules(this.pendingImport.rows, defaultCategory);
+        this.markImportDuplicates(this.pendingImport.rows);
+        this.renderImportPreview();
+    }
+
+    getDuplicateKey(transaction) {
+        return `${transaction.date}|${Number(transaction.amount).toFixed(2)}|${String(transaction.description).trim().toLowerCase()}`;
+    }
+
+    // A matching import id means the row was imported before; a matching
+    // date/amount/description only makes it a likely duplicate
+    markImportDuplicates(rows) {
+        const importedIds = new Set(this.transactions.filter(t => t.importId).map(t => t.importId));
+        const existingKeys = new Set(this.transactions.map(t => this.getDuplicateKey(t)));
+
+        rows.forEach(row => {
+            if (!row.error) {
+                if (row.importId && importedIds.has(row.importId)) {
+                    row.duplicate = 'imported';
+                } else if (existingKeys.has(this.getDuplicateKey(row))) {
+                    row.duplicate = 'likely';
+                }
+            }
+            row.selected = !row.error && !row.duplicate;
+        });
+    }
+
+    renderImportPreview() {
+        const { rows } = this.pendingImport;
+        const tbody = document.getElementById('import-preview-body');
+        const limit = 500;
+        const valid = rows.filter(r => !r.error).length;
+        const duplicates = rows.filter(r => r.duplicate).length;
+        const selected = rows.filter(r => r.selected).length;
+
+        document.getElementById('import-summary').innerHTML = `
+            <span><strong>${rows.length}</strong> rows</span>
+            <span class="text-success"><strong>${valid}</strong> valid</span>
+            <span class="text-warning"><strong>${duplicates}</strong> duplicates</span>
+            <span class="text-danger"><strong>${rows.length - valid}</strong> errors</span>
+            ${rows.length > limit ? `<span>Showing first ${limit}</span>` : ''}
+        `;
+        document.getElementById('import-confirm').textContent = `Import ${selected} Transaction${selected === 1 ? '' : 's'}`;
+
+        if (rows.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-row">
+                    <td colspan="7" class="empty-state">
+                        <p>No rows found</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = rows.slice(0, limit).map(row => {
+            const category = this.categories.find(c => c.id === row.category);
+            const status = row.error
+                ? `<span class="status-badge ended">${row.error}</span>`
+                : row.duplicate
+                    ? `<span class="status-badge paused">${row.duplicate === 'imported' ? 'Already imported' : 'Likely duplicate'}</span>`
+                    : '<span class="status-badge active">New</span>';
+
             return `
-                <div class="transaction-item">
-                    <div class="transaction-info">
-                        <div class="transaction-icon" style="background: ${category?.color || '#6b7280'}">
-                            <i class="${category?.icon || 'fas fa-tag'}"></i>
-                        </div>
-                        <div class="transaction-details">
-                            <h4>${transaction.description}</h4>
-                            <p>${category?.name || transaction.category}</p>
-                        </div>
-                    </div>
-                    <div class="transaction-amount ${transaction.type}">
-                        ${transaction.type === 'income' ? '+' : ''}${this.formatCurrency(transaction.amount)}
-                    </div>
-                </div>
+                <tr class="${row.error ? 'import-row-error' : ''}">
+                    <td><input type="checkbox" ${row.selected ? 'checked' : ''} ${row.error ? 'disabled' : ''} onchange="expenseTracker.toggleImportRow(${row.index}, this.checked)"></td>
+                    <td>${row.date ? this.formatDate(row.date) : '-'}</td>
+                    <td>${this.escapeHtml(row.description)}</td>
+                    <td>${this.escapeHtml(category?.name || row.category)}${row.rule ? ' <i class="fas fa-magic" title="Set by a categorization rule"></i>' : ''}</td>
+                    <td>${row.type}</td>
+                    <td class="transaction-amount ${row.type}">${row.amount === null ? '-' : this.formatCurrency(row.amount)}</td>
+                    <td>${status}</td>
+                </tr>
             `;
         }).join('');
     }
 
-    // Charts
-    updateExpensePieChart(transactions) {
-        const ctx = document.getElementById('expense-pie-chart').getContext('2d');
-        
-        if (this.charts.expensePie) {
-            this.charts.expensePie.destroy();
-        }
-        
-        const expenseData = transactions.filter(t => t.type === 'expense');
-        const categoryTotals = {};
-        
-        expenseData.forEach(transaction => {
-            const category = this.categories.find(c => c.id === transaction.category);
-            const categoryName = category ? category.name : transaction.category;
-            categoryTotals[categoryName] = (categoryTotals[categoryName] || 0) + transaction.amount;
+    toggleImportRow(index, selected) {
+        const row = this.pendingImport.rows[index];
+        if (row && !row.error) {
+            row.selected = selected;
+            this.renderImportPreview();
+        }
+    }
+
+    confirmImport() {
+        const rows = this.pendingImport.rows.filter(r => r.selected);
+        if (rows.length === 0) {
+            this.showNotification('No transactions selected for import!', 'error');
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const account = this.getAccount(document.getElementById('import-account').value) || this.accounts[0];
+        const imported = rows.map(row => ({
+            id: `${Date.now()}_${row.index}`,
+            type: row.type,
+            description: row.description,
+            amount: row.amount,
+            category: row.category,
+            date: row.date,
+            currency: row.currency || account.currency,
+            account: account.id,
+            ...(row.importId ? { importId: row.importId } : {}),
+            ...(row.tags && row.tags.length > 0 ? { tags: row.tags } : {}),
+            ...(row.notes ? { notes: row.notes } : {}),
+            createdAt: now,
+            updatedAt: now
+        }));
+
+        const checkpoint = this.createCheckpoint();
+        this.transactions = [...imported, ...this.transactions];
+        this.saveTransactions({ put: imported });
+        this.recordChange(`Import ${imported.length} transaction${imported.length === 1 ? '' : 's'}`, checkpoint);
+        this.renderTransactions();
+        this.updateDashboard();
+        this.closeImportModal();
+        this.showNotification(`${imported.length} transaction${imported.length === 1 ? '' : 's'} imported!`, 'success', this.getUndoAction());
+    }
+
+    // CSV Import
+    detectCsvDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0];
+        const candidates = [',', ';', '\t', '|'];
+        return candidates.reduce((best, delimiter) =>
+            firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+        , ',');
+    }
+
+    parseCSV(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    parseCsvImportFile() {
+        const { text } = this.pendingImport;
+        const delimiterSetting = document.getElementById('csv-delimiter').value;
+        const delimiter = delimiterSetting === 'auto' ? this.detectCsvDelimiter(text) : delimiterSetting.replace('\\t', '\t');
+        const hasHeader = document.getElementById('csv-has-header').checked;
+
+        const rows = this.parseCSV(text.replace(/^\uFEFF/, ''), delimiter);
+        const columnCount = Math.max(0, ...rows.map(r => r.length));
+        const headers = hasHeader && rows.length
+            ? rows[0].map((header, index) => header.trim() || `Column ${index + 1}`)
+            : Array.from({ length: columnCount }, (_, index) => `Column ${index + 1}`);
+
+        this.pendingImport.headers = headers;
+        this.pendingImport.dataRows = hasHeader ? rows.slice(1) : rows;
+        this.populateCsvColumnSelects();
+        this.updateCsvImportPreview();
+    }
+
+    populateCsvColumnSelects() {
+        const { headers } = this.pendingImport;
+        const guesses = {
+            date: /date/i,
+            description: /desc|payee|narration|details|memo|particulars|name/i,
+            amount: /amount|value|sum/i,
+            type: /type|dr\s*\/?\s*cr|debit\s*\/?\s*credit/i,
+            category: /categor/i,
+            tags: /tag|label/i,
+            notes: /note|comment|remark/i
+        };
+
+        Object.entries(guesses).forEach(([field, pattern]) => {
+            const select = document.getElementById(`csv-map-${field}`);
+            const required = field === 'date' || field === 'description' || field === 'amount';
+            select.innerHTML = required ? '' : '<option value="">Not mapped</option>';
+            headers.forEach((header, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = header;
+                select.appendChild(option);
+            });
+
+            const guess = headers.findIndex(header => pattern.test(header));
+            if (guess >= 0) {
+                select.value = guess;
+            }
+        });
+    }
+
+    parseImportDate(value, format) {
+        const parts = String(value).trim().split(/[^0-9]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+
+        let year, month, day;
+        switch (format) {
+            case 'DMY':
+                [day, month, year] = parts;
+                break;
+            case 'MDY':
+                [month, day, year] = parts;
+                break;
+            default:
+                [year, month, day] = parts;
+        }
+
+        year = Number(year);
+        month = Number(month);
+        day = Number(day);
+        if (year < 100) year += 2000;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date.toISOString().split('T')[0];
+    }
+
+    parseImportAmount(value, decimalSeparator) {
+        let text = String(value).trim();
+        let negative = false;
+
+        // Accounting style "(12.50)" and trailing minus "12.50-" both mean negative
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.slice(1, -1);
+        }
+        if (text.endsWith('-')) {
+            negative = true;
+            text = text.slice(0, -1);
+        }
+
+        text = text.replace(/[^0-9,.\-]/g, '');
+        text = decimalSeparator === ','
+            ? text.replace(/\./g, '').replace(',', '.')
+            : text.replace(/,/g, '');
+
+        const amount = parseFloat(text);
+        if (isNaN(amount)) return null;
+        return negative ? -Math.abs(amount) : amount;
+    }
+
+    parseImportType(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (/^(cr|credit|income|deposit|in)\b/.test(text)) return 'income';
+        if (/^(dr|debit|expense|withdrawal|payment|out)\b/.test(text)) return 'expense';
+        return null;
+    }
+
+    matchImportCategory(value, fallback) {
+        const text = String(value || '').trim().toLowerCase();
+        if (!text) return fallback;
+
+        // Our own CSV export writes subcategories as "Parent › Child"
+        const category = this.categories.find(c => [c.id, c.name, this.getCategoryLabel(c)].some(name => name.toLowerCase() === text));
+        return category ? category.id : fallback;
+    }
+
+    updateCsvImportPreview() {
+        const { dataRows } = this.pendingImport;
+        const column = (field) => {
+            const value = document.getElementById(`csv-map-${field}`).value;
+            return value === '' ? null : Number(value);
+        };
+        const mapping = {
+            date: column('date'),
+            description: column('description'),
+            amount: column('amount'),
+            type: column('type'),
+            category: column('category'),
+            tags: column('tags'),
+            notes: column('notes')
+        };
+        const dateFormat = document.getElementById('csv-date-format').value;
+        const decimalSeparator = document.getElementById('csv-decimal').value;
+        const defaultCategory = document.getElementById('import-default-category').value;
+
+        this.pendingImport.rows = dataRows.map((cells, index) => {
+            const date = this.parseImportDate(cells[mapping.date] || '', dateFormat);
+            const description = (cells[mapping.description] || '').trim();
+            const signedAmount = this.parseImportAmount(cells[mapping.amount] || '', decimalSeparator);
+            const explicitType = mapping.type !== null ? this.parseImportType(cells[mapping.type]) : null;
+
+            const row = {
+                index,
+                date,
+                description,
+                amount: signedAmount === null ? null : Math.abs(signedAmount),
+                // Without a type column, a single signed amount decides: negative is money out
+                type: explicitType || (signedAmount < 0 ? 'expense' : 'income'),
+                category: mapping.category !== null ? this.matchImportCategory(cells[mapping.category], defaultCategory) : defaultCategory,
+                tags: mapping.tags !== null ? this.parseTagList(cells[mapping.tags]) : [],
+                notes: mapping.notes !== null ? (cells[mapping.notes] || '').trim() : '',
+                error: null,
+                duplicate: false
+            };
+
+            if (!date) {
+                row.error = 'Invalid date';
+            } else if (row.amount === null || row.amount === 0) {
+                row.error = 'Invalid amount';
+            } else if (!description) {
+                row.error = 'Missing description';
+            }
+            return row;
         });
-        
-        const labels = Object.keys(categoryTotals);
-        const data = Object.values(categoryTotals);
-        const colors = labels.map(label => {
-            const category = this.categories.find(c => c.name === label);
-            return category ? category.color : this.getRandomColor();
+
+        this.applyImportRules(this.pendingImport.rows, defaultCategory);
+        this.markImportDuplicates(this.pendingImport.rows);
+        this.renderImportPreview();
+    }
+
+    // OFX & QIF Import
+    parseOFX(text) {
+        const tagValue = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match
+                ? match[1].trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+                : '';
+        };
+        const account = tagValue(text, 'ACCTID');
+        const currency = tagValue(text, 'CURDEF').toUpperCase();
+        const debitTypes = ['DEBIT', 'PAYMENT', 'ATM', 'POS', 'FEE', 'SRVCHG', 'CHECK', 'DIRECTDEBIT'];
+        const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+        return blocks.map(block => {
+            const posted = tagValue(block, 'DTPOSTED');
+            const amount = this.parseImportAmount(tagValue(block, 'TRNAMT'), '.');
+            const trnType = tagValue(block, 'TRNTYPE').toUpperCase();
+            const fitid = tagValue(block, 'FITID');
+
+            return {
+                date: this.parseImportDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`, 'YMD'),
+                description: tagValue(block, 'NAME') || tagValue(block, 'MEMO'),
+                amount,
+                // TRNAMT is signed, but some banks export debits as positive amounts
+                type: amount < 0 || debitTypes.includes(trnType) ? 'expense' : 'income',
+                category: '',
+                currency: this.getSupportedCurrencies().includes(currency) ? currency : null,
+                importId: fitid ? `ofx:${account}:${fitid}` : null
+            };
         });
-        
-        this.charts.expensePie = new Chart(ctx, {
-            type: 'doughnut',
-            data: {
-                labels,
-                datasets: [{
-                    data,
-                    backgroundColor: colors,
-                    borderWidth: 0,
-                    hoverOffset: 10
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'bottom',
-                        labels: {
-                            padding: 20,
-                            usePointStyle: true
-                        }
-                    }
-                }
+    }
+
+    parseQIF(text) {
+        const records = [];
+        let current = {};
+
+        text.split(/\r?\n/).forEach(line => {
+            const code = line.charAt(0);
+            const value = line.slice(1).trim();
+
+            if (code === '!') return;
+            if (code === '^') {
+                if (Object.keys(current).length) records.push(current);
+                current = {};
+                return;
             }
+
+            const fields = { D: 'date', T: 'amount', U: 'amount', P: 'payee', M: 'memo', L: 'category' };
+            if (fields[code]) {
+                current[fields[code]] = value;
+            }
+        });
+        if (Object.keys(current).length) records.push(current);
+
+        // QIF has no date format marker; a first component over 12 can only be a day
+        const dateParts = records.map(record => (record.date || '').split(/[^0-9]+/));
+        const dateFormat = dateParts.some(parts => Number(parts[0]) > 12 && parts[0].length <= 2) ? 'DMY' : 'MDY';
+
+        // QIF has no transaction ids, so hash the fields; the counter keeps two
+        // identical purchases on the same day distinct
+        const seen = {};
+        return records.map(record => {
+            const amount = this.parseImportAmount(record.amount || '', '.');
+            const date = this.parseImportDate((record.date || '').replace("'", '/'), record.date && /^\d{4}/.test(record.date) ? 'YMD' : dateFormat);
+            const description = record.payee || record.memo || '';
+            const key = `${date}|${amount}|${description.toLowerCase()}`;
+            seen[key] = (seen[key] || 0) + 1;
+
+            return {
+                date,
+                description,
+                amount,
+                type: amount < 0 ? 'expense' : 'income',
+                // "[Account]" is a transfer target and "Food:Groceries" a subcategory
+                category: (record.category || '').startsWith('[') ? '' : (record.category || '').split(':')[0],
+                importId: `qif:${this.hashString(`${key}|${seen[key]}`)}`
+            };
         });
     }
 
-    updateAnalytics() {
-        this.updateMonthlyTrendsChart();
-        this.updateCategoryBarChart();
+    hashString(value) {
+        // 32-bit FNV-1a; only used to recognise rows seen before, not for security
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
     }
 
-    updateMonthlyTrendsChart() {
-        const ctx = document.getElementById('monthly-trends-chart').getContext('2d');
-        
-        if (this.charts.monthlyTrends) {
-            this.charts.monthlyTrends.destroy();
+    clearAllData() {
+        if (confirm('Are you sure you want to clear all data?')) {
+            const checkpoint = this.createCheckpoint();
+            this.transactions = [];
+            this.saveTransactions();
+            this.recordChange('Clear all data', checkpoint);
+            this.renderTransactions();
+            this.updateDashboard();
+            this.showNotification('All data cleared!', 'success', this.getUndoAction());
         }
-        
-        const filter = document.getElementById('analytics-filter').value;
-        const transactions = this.getFilteredTransactionsByPeriod(filter);
-        
-        // Group by month
-        const monthlyData = {};
-        transactions.forEach(transaction => {
-            const date = new Date(transaction.date);
-            const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-            
-            if (!monthlyData[monthKey]) {
-                monthlyData[monthKey] = { income: 0, expense: 0 };
+    }
+
+    // Offline Support
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            this.serviceWorkerRegistration = registration;
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner();
             }
-            
-            monthlyData[monthKey][transaction.type] += transaction.amount;
-        });
-        
-        const months = Object.keys(monthlyData).sort();
-        const incomeData = months.map(month => monthlyData[month].income);
-        const expenseData = months.map(month => monthlyData[month].expense);
-        
-        this.charts.monthlyTrends = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: months.map(month => {
-                    const [year, monthNum] = month.split('-');
-                    return new Date(year, monthNum - 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
-                }),
-                datasets: [{
-                    label: 'Income',
-                    data: incomeData,
-                    borderColor: '#10b981',
-                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
-                    tension: 0.4,
-                    fill: true
-                }, {
-                    label: 'Expenses',
-                    data: expenseData,
-                    borderColor: '#ef4444',
-                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                    tension: 0.4,
-                    fill: true
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'top'
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        ticks: {
-                            callback: function(value) {
-                                return '$' + value.toFixed(0);
-                            }
-                        }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install rather than an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdateBanner();
                     }
-                }
+                });
+            });
+        }).catch(() => {
+            // The app still works without a service worker, just not offline
+        });
+
+        // The first install also changes the controller, so only reload when asked to
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) {
+                this.updateRequested = false;
+                window.location.reload();
             }
         });
     }
 
-    updateCategoryBarChart() {
-        const ctx = document.getElementById('category-bar-chart').getContext('2d');
-        
-        if (this.charts.categoryBar) {
-            this.charts.categoryBar.destroy();
+    checkForUpdate() {
+        if (this.serviceWorkerRegistration) {
+            // Fails while offline; the next visit checks again
+            this.serviceWorkerRegistration.update().catch(() => {});
         }
-        
-        const filter = document.getElementById('analytics-filter').value;
-        const transactions = this.getFilteredTransactionsByPeriod(filter);
-        const expenseData = transactions.filter(t => t.type === 'expense');
-        
-        const categoryTotals = {};
-        expenseData.forEach(transaction => {
-            const category = this.categories.find(c => c.id === transaction.category);
-            const categoryName = category ? category.name : transaction.category;
-            categoryTotals[categoryName] = (categoryTotals[categoryName] || 0) + transaction.amount;
+    }
+
+    showUpdateBanner() {
+        document.getElementById('update-banner').classList.remove('hidden');
+    }
+
+    applyUpdate() {
+        const worker = this.serviceWorkerRegistration && this.serviceWorkerRegistration.waiting;
+        document.getElementById('update-banner').classList.add('hidden');
+        if (!worker) {
+            window.location.reload();
+            return;
+        }
+        this.updateRequested = true;
+        worker.postMessage('skipWaiting');
+    }
+
+    async installApp() {
+        if (!this.installPrompt) return;
+        this.installPrompt.prompt();
+        await this.installPrompt.userChoice;
+        this.installPrompt = null;
+        document.getElementById('install-app-btn').classList.add('hidden');
+    }
+
+    // Sync
+    // Optional sync through a self-hosted server (see server/). Every local change to a
+    // transaction or collection goes into an outbox as the fields that changed, each stamped
+    // with a clock and this device's id. The server keeps the encrypted changes in order; every
+    // device applies them field by field, and the newest clock wins. State for all of this
+    // lives in `this.sync`, saved encrypted like the rest of the user's data.
+    async loadSyncState() {
+        this.sync = await this.loadEncrypted(`expenseTrackerSync_${this.currentUser.email}`, null);
+        this.syncKey = this.sync
+            ? await crypto.subtle.importKey('raw', this.base64ToBuffer(this.sync.key), 'AES-GCM', false, ['encrypt', 'decrypt'])
+            : null;
+        this.updateSyncStatus();
+    }
+
+    saveSyncState() {
+        clearTimeout(this.syncStateTimer);
+        this.syncStateTimer = null;
+        if (!this.sync) return Promise.resolve();
+        return this.saveEncrypted(`expenseTrackerSync_${this.currentUser.email}`, this.sync);
+    }
+
+    // The sync state holds a copy of every record, so edits save it in batches rather than
+    // one write per change. A save that never happens is caught up by reconcileSyncState().
+    queueSyncStateSave() {
+        clearTimeout(this.syncStateTimer);
+        this.syncStateTimer = setTimeout(() => this.saveSyncState(), this.syncDelay);
+    }
+
+    flushSyncState() {
+        if (this.syncStateTimer) this.saveSyncState();
+    }
+
+    // Queues whatever changed locally since the sync state was last saved
+    reconcileSyncState() {
+        if (!this.sync) return;
+        this.trackTransactionChanges(this.transactions, null);
+        this.syncedCollections.forEach(name => this.trackCollectionChange(name));
+    }
+
+    // The key, the server secret and the user id all come from the sync passphrase and the
+    // email, so every device arrives at the same ones without the local passwords having to
+    // match, and knowing someone's email alone isn't enough to claim their account
+    async deriveSyncCredentials(passphrase, email) {
+        const baseKey = await this.importPasswordKey(passphrase);
+        const bits = new Uint8Array(await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: new TextEncoder().encode(`expensetracker-sync:${email}`), iterations: this.syncKeyIterations, hash: 'SHA-256' },
+            baseKey,
+            768
+        ));
+        return {
+            userId: [...bits.slice(64)].map(byte => byte.toString(16).padStart(2, '0')).join(''),
+            key: this.bufferToBase64(bits.slice(0, 32)),
+            secret: this.bufferToBase64(bits.slice(32, 64))
+        };
+    }
+
+    nextSyncClock() {
+        this.sync.clock = Math.max(Date.now(), this.sync.clock + 1);
+        return this.sync.clock;
+    }
+
+    compareSyncClocks(a, b) {
+        return a[0] - b[0] || a[1].localeCompare(b[1]);
+    }
+
+    getSyncFields(transaction) {
+        const fields = { ...transaction, _deleted: false };
+        delete fields.id;
+        this.syncExcludedFields.forEach(name => delete fields[name]);
+        return fields;
+    }
+
+    // Compares the fields with what was last synced and queues the ones that differ.
+    // A missing field is sent as null so the other devices drop it too.
+    trackSyncRecord(entity, key, fields, ts) {
+        const recordId = `${entity}:${key}`;
+        const record = this.sync.records[recordId] || { values: {}, clocks: {} };
+        const names = fields._deleted === true ? ['_deleted'] : [...new Set([...Object.keys(fields), ...Object.keys(record.values)])];
+        const changed = {};
+
+        names.forEach(name => {
+            const value = fields[name] === undefined ? null : fields[name];
+            const previous = record.values[name] === undefined ? null : record.values[name];
+            if (JSON.stringify(value) !== JSON.stringify(previous)) {
+                changed[name] = value;
+            }
         });
-        
-        const labels = Object.keys(categoryTotals).slice(0, 8); // Top 8 categories
-        const data = labels.map(label => categoryTotals[label]);
-        const colors = labels.map(label => {
-            const category = this.categories.find(c => c.name === label);
-            return category ? category.color : this.getRandomColor();
+        if (Object.keys(changed).length === 0) return false;
+
+        Object.entries(changed).forEach(([name, value]) => {
+            record.values[name] = structuredClone(value);
+            record.clocks[name] = [ts, this.sync.deviceId];
         });
-        
-        this.charts.categoryBar = new Chart(ctx, {
-            type: 'bar',
-            data: {
-                labels,
-                datasets: [{
-                    data,
-                    backgroundColor: colors,
-                    borderRadius: 8,
-                    borderSkipped: false
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    }
-                },
-                scales: {
-                    y: {
-                        beginAtZero: true,
-                        ticks: {
-                            callback: function(value) {
-                                return '$' + value.toFixed(0);
-                            }
-                        }
-                    }
+        this.sync.records[recordId] = record;
+        this.sync.outbox.push({ id: crypto.randomUUID(), entity, key, fields: changed, ts, device: this.sync.deviceId });
+        return true;
+    }
+
+    // `remove` is null for a full save, where anything synced but no longer present was deleted
+    trackTransactionChanges(put, remove) {
+        if (!this.sync) return;
+
+        const ts = this.nextSyncClock();
+        if (remove === null) {
+            const current = new Set(put.map(t => t.id));
+            remove = Object.keys(this.sync.records)
+                .filter(recordId => recordId.startsWith('transaction:') && !this.sync.records[recordId].values._deleted)
+                .map(recordId => recordId.slice('transaction:'.length))
+                .filter(id => !current.has(id));
+        }
+
+        let changed = false;
+        put.forEach(transaction => {
+            changed = this.trackSyncRecord('transaction', transaction.id, this.getSyncFields(transaction), ts) || changed;
+        });
+        remove.forEach(id => {
+            changed = this.trackSyncRecord('transaction', id, { _deleted: true }, ts) || changed;
+        });
+
+        if (changed) {
+            this.queueSyncStateSave();
+            this.scheduleSync();
+        }
+    }
+
+    trackCollectionChange(name) {
+        if (!this.sync) return;
+
+        if (this.trackSyncRecord('collection', name, { value: this[name] }, this.nextSyncClock())) {
+            this.queueSyncStateSave();
+            this.scheduleSync();
+        }
+    }
+
+    // Returns the record id when the change won at least one field
+    applyRemoteChange(change) {
+        this.sync.clock = Math.max(this.sync.clock, change.ts);
+        const recordId = `${change.entity}:${change.key}`;
+        const record = this.sync.records[recordId] || { values: {}, clocks: {} };
+        const incoming = [change.ts, change.device];
+        const pending = this.sync.outbox.filter(local => local.entity === change.entity && local.key === change.key);
+        let applied = false;
+
+        Object.entries(change.fields).forEach(([name, value]) => {
+            const current = record.clocks[name];
+            const remoteWins = !current || this.compareSyncClocks(incoming, current) > 0;
+
+            // This device changed the same field and hasn't pushed it yet, so both edits happened
+            // without either device seeing the other
+            const local = pending.some(localChange => name in localChange.fields);
+            if (local && JSON.stringify(record.values[name]) !== JSON.stringify(value)) {
+                this.logSyncConflict(change, name, record.values[name], value, remoteWins);
+            }
+
+            if (remoteWins) {
+                record.values[name] = value;
+                record.clocks[name] = incoming;
+                applied = true;
+            }
+        });
+
+        this.sync.records[recordId] = record;
+        return applied ? recordId : null;
+    }
+
+    logSyncConflict(change, field, localValue, remoteValue, remoteWins) {
+        const transaction = change.entity === 'transaction' ? this.transactions.find(t => t.id === change.key) : null;
+        this.sync.conflicts.unshift({
+            at: new Date().toISOString(),
+            entity: change.entity,
+            key: change.key,
+            label: transaction ? transaction.description : change.key,
+            field,
+            kept: remoteWins ? remoteValue : localValue,
+            discarded: remoteWins ? localValue : remoteValue,
+            keptFrom: remoteWins ? 'other device' : 'this device'
+        });
+        this.sync.conflicts = this.sync.conflicts.slice(0, this.syncConflictLimit);
+    }
+
+    // Writes merged records back into the app. The records already hold the merged values,
+    // so the saves below find nothing new to queue.
+    applySyncedRecords(recordIds) {
+        const put = [];
+        const remove = [];
+
+        recordIds.forEach(recordId => {
+            const { values } = this.sync.records[recordId];
+            const separator = recordId.indexOf(':');
+            const entity = recordId.slice(0, separator);
+            const key = recordId.slice(separator + 1);
+
+            if (entity === 'collection') {
+                if (this.syncedCollections.includes(key)) {
+                    this[key] = structuredClone(values.value);
+                    this.saveCollection(key);
+                }
+                return;
+            }
+
+            const index = this.transactions.findIndex(t => t.id === key);
+            const existing = index !== -1 ? this.transactions[index] : null;
+            if (index !== -1) {
+                this.transactions.splice(index, 1);
+            }
+            if (values._deleted) {
+                if (existing) remove.push(key);
+                this.selectedTransactionIds.delete(key);
+                return;
+            }
+
+            const transaction = { id: key };
+            Object.entries(values).forEach(([name, value]) => {
+                if (name !== '_deleted' && value !== null) transaction[name] = structuredClone(value);
+            });
+            // Receipts aren't synced, so keep whatever this device has
+            this.syncExcludedFields.forEach(name => {
+                if (existing && existing[name] !== undefined) transaction[name] = existing[name];
+            });
+
+            const position = index !== -1 ? index : this.transactions.findIndex(t => (t.createdAt || '') < (transaction.createdAt || ''));
+            this.transactions.splice(position === -1 ? this.transactions.length : position, 0, transaction);
+            put.push(transaction);
+        });
+
+        if (put.length > 0 || remove.length > 0) {
+            this.saveTransactions({ put, remove });
+        }
+        this.refreshAllViews();
+    }
+
+    async syncRequest(sync, path, options = {}) {
+        const response = await fetch(`${sync.serverUrl}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Basic ${btoa(`${sync.userId}:${sync.secret}`)}`
+            }
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(response.status === 401 ? 'The sync passphrase was not accepted' : body.error || `Server error ${response.status}`);
+        }
+        return body;
+    }
+
+    // Returns how many changes from other devices were applied
+    async pullSyncChanges(sync) {
+        const touched = new Set();
+        let count = 0;
+        let more = true;
+
+        while (more) {
+            const page = await this.syncRequest(sync, `/api/changes?since=${sync.lastSeq}`);
+            if (this.sync !== sync) return 0;
+
+            for (const entry of page.changes) {
+                // This device's own changes come back too; they're already applied
+                if (entry.device !== sync.deviceId) {
+                    const change = JSON.parse(await this.decryptData(entry.payload, this.syncKey));
+                    const recordId = this.applyRemoteChange(change);
+                    if (recordId) touched.add(recordId);
+                    count++;
                 }
+                sync.lastSeq = entry.seq;
             }
-        });
+            more = page.more;
+        }
+
+        if (touched.size > 0) {
+            this.applySyncedRecords(touched);
+        }
+        return count;
     }
 
-    // Reports
-    updateReports() {
-        this.updateReportSummary();
+    async pushSyncChanges(sync) {
+        while (sync.outbox.length > 0 && this.sync === sync) {
+            const batch = sync.outbox.slice(0, this.syncBatchSize);
+            const changes = await Promise.all(batch.map(async change => ({
+                id: change.id,
+                device: change.device,
+                payload: await this.encryptData(JSON.stringify(change), this.syncKey)
+            })));
+            await this.syncRequest(sync, '/api/changes', { method: 'POST', body: JSON.stringify({ changes }) });
+            // Changes made while the request was out are still waiting
+            sync.outbox = sync.outbox.filter(change => !batch.includes(change));
+        }
     }
 
-    updateReportSummary() {
-        const period = document.getElementById('report-period').value;
-        let transactions = [...this.transactions];
-        
-        if (period === 'custom') {
-            const startDate = document.getElementById('custom-start-date').value;
-            const endDate = document.getElementById('custom-end-date').value;
-            
-            if (startDate && endDate) {
-                transactions = transactions.filter(t => t.date >= startDate && t.date <= endDate);
+    scheduleSync(delay = this.syncDelay) {
+        clearTimeout(this.syncTimer);
+        if (!this.sync) return;
+        this.syncTimer = setTimeout(() => this.syncNow(), delay);
+    }
+
+    // Pulls before pushing so conflicts are spotted while this device's edits are still queued
+    async syncNow(manual = false) {
+        const sync = this.sync;
+        if (!sync || this.syncing) return;
+        if (!navigator.onLine) {
+            this.updateSyncStatus();
+            return;
+        }
+
+        this.syncing = true;
+        this.updateSyncStatus();
+        const conflicts = sync.conflicts.length;
+        try {
+            const pulled = await this.pullSyncChanges(sync);
+            await this.pushSyncChanges(sync);
+            sync.lastSyncedAt = new Date().toISOString();
+            sync.error = null;
+            if (pulled > 0 && manual) {
+                this.showNotification(`Synced ${pulled} change${pulled === 1 ? '' : 's'} from other devices`, 'success');
             }
-        } else {
-            transactions = this.getFilteredTransactionsByPeriod(period);
+        } catch (error) {
+            sync.error = error.message;
+            if (manual) {
+                this.showNotification(`Sync failed: ${error.message}`, 'error');
+            }
+        } finally {
+            this.syncing = false;
+        }
+
+        if (this.sync !== sync) return;
+        this.saveSyncState();
+        this.updateSyncStatus();
+        if (sync.conflicts.length > conflicts) {
+            this.showNotification('Some edits clashed with another device. Review them under Settings > Sync.', 'warning', {
+                label: 'Review',
+                callback: () => this.openSyncConflicts()
+            });
         }
-        
-        const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-        const expenses = transactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
-        const balance = income - expenses;
-        
-        document.getElementById('report-income').textContent = this.formatCurrency(income);
-        document.getElementById('report-expenses').textContent = this.formatCurrency(expenses);
-        document.getElementById('report-balance').textContent = this.formatCurrency(balance);
     }
 
-    updateReportPeriod(period) {
-        const customDateInputs = document.querySelectorAll('#custom-start-date, #custom-end-date');
-        
-        if (period === 'custom') {
-            customDateInputs.forEach(input => input.classList.remove('hidden'));
-        } else {
-            customDateInputs.forEach(input => input.classList.add('hidden'));
+    // Items with an id are combined, so joining doesn't drop categories or accounts that
+    // this device's transactions point at
+    mergeSyncCollection(remote, local) {
+        if (!Array.isArray(remote) || !Array.isArray(local)) {
+            return remote && local && typeof remote === 'object' ? { ...local, ...remote } : remote;
         }
-        
-        this.updateReportSummary();
+        const ids = new Set(remote.map(item => item.id));
+        return [...remote, ...local.filter(item => !item.id || !ids.has(item.id))];
     }
 
-    // Export Functions
-    exportToPDF() {
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF();
-        
-        // Add title
-        doc.setFontSize(20);
-        doc.text('Expense Report', 20, 20);
-        
-        // Add date
-        doc.setFontSize(12);
-        doc.text(`Generated on: ${new Date().toLocaleDateString()}`, 20, 30);
-        
-        // Add summary
-        const period = document.getElementById('report-period').value;
-        const transactions = this.getFilteredTransactionsByPeriod(period);
-        const income = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-        const expenses = transactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
-        const balance = income - expenses;
-        
-        doc.text(`Total Income: ${this.formatCurrency(income)}`, 20, 50);
-        doc.text(`Total Expenses: ${this.formatCurrency(expenses)}`, 20, 60);
-        doc.text(`Net Balance: ${this.formatCurrency(balance)}`, 20, 70);
-        
-        // Add transactions table
-        doc.text('Transactions:', 20, 90);
-        
-        let y = 100;
-        transactions.slice(0, 20).forEach(transaction => {
-            if (y > 250) {
-                doc.addPage();
-                y = 20;
+    async connectSync() {
+        const urlInput = document.getElementById('sync-server-url');
+        const passphraseInput = document.getElementById('sync-passphrase');
+        const serverUrl = urlInput.value.trim().replace(/\/+$/, '');
+        const passphrase = passphraseInput.value;
+
+        if (!/^https?:\/\/[^/]+/i.test(serverUrl)) {
+            this.showNotification('Please enter the sync server address, e.g. http://localhost:8787', 'error');
+            return;
+        }
+        if (passphrase.length < 8) {
+            this.showNotification('The sync passphrase needs at least 8 characters!', 'error');
+            return;
+        }
+
+        const button = document.getElementById('sync-connect-btn');
+        button.disabled = true;
+        try {
+            const health = await fetch(`${serverUrl}/api/health`).then(response => response.json());
+            if (!health.ok) throw new Error('Unexpected response');
+        } catch (error) {
+            button.disabled = false;
+            this.showNotification('Could not reach the sync server!', 'error');
+            return;
+        }
+
+        const credentials = await this.deriveSyncCredentials(passphrase, this.currentUser.email.trim().toLowerCase());
+        const sync = {
+            serverUrl,
+            ...credentials,
+            deviceId: crypto.randomUUID(),
+            lastSeq: 0,
+            clock: 0,
+            records: {},
+            outbox: [],
+            conflicts: [],
+            lastSyncedAt: null,
+            error: null
+        };
+        const localCollections = Object.fromEntries(this.syncedCollections.map(name => [name, structuredClone(this[name])]));
+        this.sync = sync;
+        this.syncKey = await crypto.subtle.importKey('raw', this.base64ToBuffer(sync.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+        // Start from what the server already has, then add this device's data on top
+        try {
+            await this.syncRequest(sync, '/api/register', { method: 'POST' });
+            await this.pullSyncChanges(sync);
+        } catch (error) {
+            this.sync = null;
+            this.syncKey = null;
+            button.disabled = false;
+            this.showNotification(`Could not connect: ${error.message}`, 'error');
+            return;
+        }
+
+        this.syncedCollections.forEach(name => {
+            if (sync.records[`collection:${name}`]) {
+                this[name] = this.mergeSyncCollection(this[name], localCollections[name]);
+                this.saveCollection(name);
+            } else {
+                this.trackCollectionChange(name);
             }
-            
-            const category = this.categories.find(c => c.id === transaction.category);
-            doc.text(`${this.formatDate(transaction.date)} - ${transaction.description} - ${this.formatCurrency(transaction.amount)}`, 20, y);
-            y += 10;
         });
-        
-        doc.save('expense-report.pdf');
-        this.showNotification('PDF exported successfully!', 'success');
+        this.trackTransactionChanges(this.transactions, []);
+        this.refreshAllViews();
+
+        button.disabled = false;
+        passphraseInput.value = '';
+        await this.saveSyncState();
+        this.updateSyncStatus();
+        this.showNotification('Sync connected!', 'success');
+        this.syncNow();
     }
 
-    exportToCSV() {
-        const period = document.getElementById('report-period').value;
-        const transactions = this.getFilteredTransactionsByPeriod(period);
-        
-        const headers = ['Date', 'Description', 'Category', 'Type', 'Amount'];
-        const csvContent = [
-            headers.join(','),
-            ...transactions.map(t => [
-                t.date,
-                `"${t.description}"`,
-                t.category,
-                t.type,
-                t.amount
-            ].join(','))
-        ].join('\n');
-        
-        const blob = new Blob([csvContent], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'expense-report.csv';
-        a.click();
-        window.URL.revokeObjectURL(url);
-        
-        this.showNotification('CSV exported successfully!', 'success');
+    // Data on the server and on other devices stays as it is
+    disconnectSync() {
+        if (!this.sync || !confirm('Stop syncing this device? Your data stays here and on the server.')) return;
+
+        clearTimeout(this.syncTimer);
+        this.sync = null;
+        this.syncKey = null;
+        this.removeSetting(`expenseTrackerSync_${this.currentUser.email}`);
+        this.updateSyncStatus();
+        this.showNotification('Sync disconnected', 'success');
     }
 
-    exportAllData() {
-        const data = {
-            user: this.currentUser,
-            transactions: this.transactions,
-            categories: this.categories,
-            exportDate: new Date().toISOString()
-        };
-        
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'expense-tracker-backup.json';
-        a.click();
-        window.URL.revokeObjectURL(url);
-        
-        this.showNotification('Data exported successfully!', 'success');
+    updateSyncStatus() {
+        const connected = !!this.sync;
+        document.getElementById('sync-setup').classList.toggle('hidden', connected);
+        document.getElementById('sync-connected').classList.toggle('hidden', !connected);
+        if (!connected) return;
+
+        const waiting = this.sync.outbox.length;
+        const status = document.getElementById('sync-status');
+        let text;
+        if (this.syncing) {
+            text = 'Syncing…';
+        } else if (!navigator.onLine) {
+            text = `Offline${waiting ? ` - ${waiting} change${waiting === 1 ? '' : 's'} waiting` : ''}`;
+        } else if (this.sync.error) {
+            text = `Last sync failed: ${this.sync.error}`;
+        } else {
+            text = this.sync.lastSyncedAt ? `Last synced ${new Date(this.sync.lastSyncedAt).toLocaleString()}` : 'Not synced yet';
+        }
+        status.textContent = `${this.sync.serverUrl} · ${text}`;
+        status.classList.toggle('error', !!this.sync.error && !this.syncing);
+        document.getElementById('sync-conflicts-count').textContent = this.sync.conflicts.length;
     }
 
-    importData() {
-        document.getElementById('import-file').click();
+    formatSyncValue(value) {
+        if (value === null || value === undefined) return '(empty)';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
     }
 
-    handleFileImport(e) {
-        const file = e.target.files[0];
-        if (!file) return;
-        
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                const data = JSON.parse(event.target.result);
-                
-                if (data.transactions) {
-                    this.transactions = data.transactions;
-                    this.saveTransactions();
-                }
-                
-                if (data.categories) {
-                    this.categories = [...this.categories, ...data.categories.filter(c => !this.categories.find(existing => existing.id === c.id))];
-                }
-                
-                this.renderTransactions();
-                this.updateDashboard();
-                this.populateCategories();
-                this.showNotification('Data imported successfully!', 'success');
-            } catch (error) {
-                this.showNotification('Invalid file format!', 'error');
-            }
-        };
-        reader.readAsText(file);
+    openSyncConflicts() {
+        if (!this.sync) return;
+        const container = document.getElementById('sync-conflicts-list');
+
+        container.innerHTML = this.sync.conflicts.length === 0
+            ? '<p class="budget-hint">No conflicts so far.</p>'
+            : this.sync.conflicts.map((conflict, index) => `
+                <div class="sync-conflict">
+                    <div class="sync-conflict-header">
+                        <strong>${this.escapeHtml(conflict.label)}</strong>
+                        <span class="budget-hint">${this.escapeHtml(conflict.field)} · ${new Date(conflict.at).toLocaleString()}</span>
+                    </div>
+                    <div class="sync-conflict-values">
+                        <span>Kept (${conflict.keptFrom}): <code>${this.escapeHtml(this.formatSyncValue(conflict.kept))}</code></span>
+                        <span>Discarded: <code>${this.escapeHtml(this.formatSyncValue(conflict.discarded))}</code></span>
+                    </div>
+                    ${conflict.field !== '_deleted' ? `
+                        <button type="button" class="btn btn-secondary" onclick="expenseTracker.restoreSyncConflict(${index})">Use Discarded Value</button>
+                    ` : ''}
+                </div>
+            `).join('');
+
+        document.getElementById('sync-conflicts-modal').classList.add('active');
     }
 
+    closeSyncConflicts() {
+        document.getElementById('sync-conflicts-modal').classList.remove('active');
+    }
 
-    clearAllData() {
-        if (confirm('Are you sure you want to clear all data? This action cannot be undone!')) {
-            this.transactions = [];
-            this.saveTransactions();
-            this.renderTransactions();
-            this.updateDashboard();
-            this.showNotification('All data cleared!', 'success');
+    // Saved as a new edit, so it wins on every device at the next sync
+    restoreSyncConflict(index) {
+        const conflict = this.sync.conflicts[index];
+        if (!conflict) return;
+
+        if (conflict.entity === 'collection') {
+            const checkpoint = this.createCheckpoint([conflict.key]);
+            this[conflict.key] = structuredClone(conflict.discarded);
+            this.saveCollection(conflict.key);
+            this.recordChange('Restore synced value', checkpoint);
+        } else {
+            const position = this.transactions.findIndex(t => t.id === conflict.key);
+            if (position === -1) {
+                this.showNotification('That transaction no longer exists!', 'error');
+                return;
+            }
+            const checkpoint = this.createCheckpoint();
+            const transaction = { ...this.transactions[position] };
+            if (conflict.discarded === null) {
+                delete transaction[conflict.field];
+            } else {
+                transaction[conflict.field] = structuredClone(conflict.discarded);
+            }
+            this.transactions[position] = transaction;
+            this.saveTransactions({ put: [transaction] });
+            this.recordChange('Restore synced value', checkpoint);
         }
+
+        this.sync.conflicts.splice(index, 1);
+        this.saveSyncState();
+        this.refreshAllViews();
+        this.openSyncConflicts();
+        this.updateSyncStatus();
+        this.showNotification('Value restored!', 'success', this.getUndoAction());
+    }
+
+    clearSyncConflicts() {
+        this.sync.conflicts = [];
+        this.saveSyncState();
+        this.openSyncConflicts();
+        this.updateSyncStatus();
     }
 
     // Utility Functions
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     formatDate(dateString) {
         const date = new Date(dateString);
         return date.toLocaleDateString('en-US', { 
@@ -981,21 +7319,49 @@ class ExpenseTracker {
         });
     }
 
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', action = null) {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
-            <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
-            <span>${message}</span>
+            <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : type === 'warning' ? 'exclamation-triangle' : 'info-circle'}"></i>
+            <span></span>
         `;
+        // Messages carry names the user typed, backups and the sync server, so they're text only
+        notification.querySelector('span').textContent = message;
+
+        // Optional button such as "Undo"; the toast stays up longer so there's time to use it
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.style.cssText = `
+                margin-left: 0.5rem;
+                background: rgba(255, 255, 255, 0.2);
+                border: 1px solid rgba(255, 255, 255, 0.6);
+                color: white;
+                padding: 0.25rem 0.75rem;
+                border-radius: 0.375rem;
+                font-weight: 600;
+                cursor: pointer;
+            `;
+            button.addEventListener('click', () => {
+                notification.remove();
+                action.callback();
+            });
+            notification.appendChild(button);
+        }
         
+        // Stack below any notifications that are still visible
+        const offset = document.querySelectorAll('.notification').length * 70;
+
         // Add styles
         notification.style.cssText = `
             position: fixed;
-            top: 20px;
+            top: ${20 + offset}px;
             right: 20px;
-            background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : '#3b82f6'};
+            background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : type === 'warning' ? '#f59e0b' : '#3b82f6'};
             color: white;
             padding: 1rem 1.5rem;
             border-radius: 0.5rem;
@@ -1016,7 +7382,7 @@ class ExpenseTracker {
             notification.style.transform = 'translateX(0) scale(1)';
         }, 100);
         
-        // Remove after 3 seconds
+        // Remove after 3 seconds, or 6 when there's an action
         setTimeout(() => {
             notification.style.transform = 'translateX(100%) scale(0.8)';
             setTimeout(() => {
@@ -1024,7 +7390,7 @@ class ExpenseTracker {
                     document.body.removeChild(notification);
                 }
             }, 400);
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     // Animation Methods
@@ -1308,7 +7674,7 @@ class ExpenseTracker {
     }
 
     completeOnboarding() {
-        localStorage.setItem('expenseTrackerOnboarding', 'completed');
+        this.setSetting('expenseTrackerOnboarding', 'completed');
         this.isFirstTime = false;
         this.showNotification('Welcome to ExpenseTracker Pro! 🎉', 'success');
     }
@@ -1316,14 +7682,15 @@ class ExpenseTracker {
     // Currency Management
     changeCurrency(currency) {
         this.preferredCurrency = currency;
-        localStorage.setItem('preferredCurrency', currency);
+        this.setSetting('preferredCurrency', currency);
         
         // Update currency preview
         this.updateCurrencyPreview();
         
         // Update all displayed amounts
         this.updateDashboard();
-        this.updateTransactionsTable();
+        this.renderExchangeRates();
+        this.renderTransactions();
         this.updateReports();
         this.updateAnalytics();
         
@@ -1379,6 +7746,259 @@ class ExpenseTracker {
         }
     }
 
+    // Exchange Rates
+    async loadExchangeRates() {
+        this.exchangeRates = await this.loadEncrypted(`expenseTrackerRates_${this.currentUser.email}`, []);
+        this.populateCurrencySelects();
+        this.renderExchangeRates();
+    }
+
+    saveExchangeRates() {
+        this.trackCollectionChange('exchangeRates');
+        return this.saveEncrypted(`expenseTrackerRates_${this.currentUser.email}`, this.exchangeRates);
+    }
+
+    getSupportedCurrencies() {
+        return [...document.getElementById('currency-selector').options].map(option => option.value);
+    }
+
+    populateCurrencySelects() {
+        const currencies = this.getSupportedCurrencies();
+        document.querySelectorAll('.currency-select').forEach(select => {
+            const value = select.value;
+            select.innerHTML = currencies.map(code => `<option value="${code}">${this.getCurrencySymbol(code)} ${code}</option>`).join('');
+            select.value = currencies.includes(value) ? value : this.preferredCurrency;
+        });
+    }
+
+    getTransactionCurrency(transaction) {
+        return transaction.currency || this.preferredCurrency;
+    }
+
+    // Latest rate effective on or before the date, using the inverse when only the
+    // opposite pair is stored. Dates before the first known rate use the earliest one.
+    findExchangeRate(from, to, date) {
+        let current = null;
+        let earliest = null;
+
+        this.exchangeRates.forEach(rate => {
+            let value;
+            if (rate.from === from && rate.to === to) {
+                value = rate.rate;
+            } else if (rate.from === to && rate.to === from) {
+                value = 1 / rate.rate;
+            } else {
+                return;
+            }
+
+            if (rate.effectiveDate <= date && (!current || rate.effectiveDate > current.effectiveDate)) {
+                current = { effectiveDate: rate.effectiveDate, value };
+            }
+            if (!earliest || rate.effectiveDate < earliest.effectiveDate) {
+                earliest = { effectiveDate: rate.effectiveDate, value };
+            }
+        });
+
+        return (current || earliest)?.value ?? null;
+    }
+
+    getExchangeRate(from, to, date) {
+        if (from === to) return 1;
+
+        const direct = this.findExchangeRate(from, to, date);
+        if (direct !== null) return direct;
+
+        // Cross rate through a currency both sides have a rate with
+        for (const via of this.getSupportedCurrencies()) {
+            if (via === from || via === to) continue;
+            const first = this.findExchangeRate(from, via, date);
+            const second = first !== null ? this.findExchangeRate(via, to, date) : null;
+            if (second !== null) return first * second;
+        }
+        return null;
+    }
+
+    convertAmount(amount, from, date, to = this.preferredCurrency) {
+        const rate = this.getExchangeRate(from, to, date);
+        // Without a rate the amount is left out rather than added in the wrong currency;
+        // the dashboard and the settings card point out the missing pairs
+        return rate === null ? 0 : amount * rate;
+    }
+
+    getConvertedAmount(transaction) {
+        return this.convertAmount(transaction.amount, this.getTransactionCurrency(transaction), transaction.date);
+    }
+
+    hasExchangeRate(transaction) {
+        return this.getExchangeRate(this.getTransactionCurrency(transaction), this.preferredCurrency, transaction.date) !== null;
+    }
+
+    // Looks up each currency and date once, and stops checking a currency once it's known to be missing
+    getMissingRatePairs(transactions = this.transactions) {
+        const missing = new Set();
+        const checked = new Set();
+        transactions.forEach(t => {
+            const currency = this.getTransactionCurrency(t);
+            const key = `${currency}|${t.date}`;
+            if (currency === this.preferredCurrency || missing.has(currency) || checked.has(key)) return;
+
+            checked.add(key);
+            if (!this.hasExchangeRate(t)) missing.add(currency);
+        });
+        return [...missing].map(currency => `${currency} → ${this.preferredCurrency}`);
+    }
+
+    warnMissingExchangeRate(transaction) {
+        if (!this.hasExchangeRate(transaction)) {
+            this.showNotification(`No ${this.getTransactionCurrency(transaction)} → ${this.preferredCurrency} exchange rate; this amount is left out of totals`, 'warning');
+        }
+    }
+
+    addExchangeRate() {
+        const from = document.getElementById('rate-from').value;
+        const to = document.getElementById('rate-to').value;
+        const rateInput = document.getElementById('rate-value');
+        const rate = parseFloat(rateInput.value);
+        const effectiveDate = document.getElementById('rate-date').value || new Date().toISOString().split('T')[0];
+
+        if (from === to) {
+            this.showNotification('Choose two different currencies!', 'error');
+            return;
+        }
+        if (!rate || rate <= 0) {
+            this.showNotification('Please enter a positive rate!', 'error');
+            return;
+        }
+
+        const checkpoint = this.createCheckpoint(['exchangeRates']);
+        this.upsertExchangeRates([{ from, to, rate, effectiveDate }]);
+        this.recordChange('Save exchange rate', checkpoint);
+        rateInput.value = '';
+        this.showNotification(`Rate saved: 1 ${from} = ${rate} ${to}`, 'success', this.getUndoAction());
+    }
+
+    // Adds rates, replacing any existing rate for the same pair and effective date
+    upsertExchangeRates(rates) {
+        rates.forEach((rate, index) => {
+            const existing = this.exchangeRates.find(r => r.from === rate.from && r.to === rate.to && r.effectiveDate === rate.effectiveDate);
+            if (existing) {
+                existing.rate = rate.rate;
+            } else {
+                this.exchangeRates.push({ id: `rate_${Date.now()}_${index}`, ...rate });
+            }
+        });
+
+        this.exchangeRates.sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate) || a.from.localeCompare(b.from));
+        this.saveExchangeRates();
+        this.refreshConvertedTotals();
+    }
+
+    removeExchangeRate(id) {
+        const checkpoint = this.createCheckpoint(['exchangeRates']);
+        this.exchangeRates = this.exchangeRates.filter(r => r.id !== id);
+        this.saveExchangeRates();
+        this.recordChange('Remove exchange rate', checkpoint);
+        this.refreshConvertedTotals();
+        this.showNotification('Exchange rate removed!', 'success', this.getUndoAction());
+    }
+
+    refreshConvertedTotals() {
+        this.renderExchangeRates();
+        this.renderTransactions();
+        this.updateDashboard();
+        this.updateReports();
+        this.updateAnalytics();
+    }
+
+    renderExchangeRates() {
+        const container = document.getElementById('rates-list');
+        const missing = document.getElementById('rates-missing');
+        // Checking every transaction is only worth it while the settings page is open
+        const missingPairs = document.getElementById('settings').classList.contains('active') ? this.getMissingRatePairs() : [];
+
+        missing.classList.toggle('hidden', missingPairs.length === 0);
+        missing.innerHTML = missingPairs.length > 0
+            ? `<i class="fas fa-exclamation-triangle"></i> Missing rates: ${missingPairs.join(', ')}`
+            : '';
+
+        if (this.exchangeRates.length === 0) {
+            container.innerHTML = '<p class="budget-hint">No exchange rates yet</p>';
+            return;
+        }
+
+        container.innerHTML = this.exchangeRates.map(rate => `
+            <div class="category-item" data-id="${this.escapeHtml(rate.id)}">
+                <span class="category-name">1 ${this.escapeHtml(rate.from)} = ${this.escapeHtml(rate.rate)} ${this.escapeHtml(rate.to)}</span>
+                <div class="transaction-actions">
+                    <span class="budget-hint">from ${this.formatDate(rate.effectiveDate)}</span>
+                    <button class="action-btn delete-btn" data-action="remove">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    handleRatesFileImport(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const { rates, skipped } = this.parseExchangeRatesCSV(event.target.result);
+            if (rates.length === 0) {
+                this.showNotification('No valid rates found. Expected columns: date, from, to, rate', 'error');
+                return;
+            }
+
+            const checkpoint = this.createCheckpoint(['exchangeRates']);
+            this.upsertExchangeRates(rates);
+            this.recordChange(`Import ${rates.length} exchange rate${rates.length === 1 ? '' : 's'}`, checkpoint);
+            this.showNotification(`${rates.length} rate${rates.length === 1 ? '' : 's'} imported${skipped ? `, ${skipped} skipped` : ''}`, skipped ? 'warning' : 'success', this.getUndoAction());
+        };
+        reader.readAsText(file);
+    }
+
+    // Accepts date, from, to and rate columns in any order when there's a header row,
+    // otherwise in that order
+    parseExchangeRatesCSV(text) {
+        const rows = this.parseCSV(text, this.detectCsvDelimiter(text)).filter(row => row.some(cell => cell.trim()));
+        if (rows.length === 0) return { rates: [], skipped: 0 };
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const find = (pattern, fallback) => {
+            const index = header.findIndex(cell => pattern.test(cell));
+            return index === -1 ? fallback : index;
+        };
+        const hasHeader = header.some(cell => /date|from|to|rate|currency/.test(cell));
+        const columns = {
+            date: find(/date/, 0),
+            from: find(/^from|base|source/, 1),
+            to: find(/^to\b|quote|target/, 2),
+            rate: find(/rate|value/, 3)
+        };
+
+        const currencies = this.getSupportedCurrencies();
+        const rates = [];
+        let skipped = 0;
+
+        (hasHeader ? rows.slice(1) : rows).forEach(row => {
+            const effectiveDate = this.parseImportDate(row[columns.date] || '', 'YMD');
+            const from = (row[columns.from] || '').trim().toUpperCase();
+            const to = (row[columns.to] || '').trim().toUpperCase();
+            const rate = this.parseImportAmount(row[columns.rate] || '', '.');
+
+            if (!effectiveDate || !currencies.includes(from) || !currencies.includes(to) || from === to || !rate || rate <= 0) {
+                skipped++;
+                return;
+            }
+            rates.push({ from, to, rate, effectiveDate });
+        });
+
+        return { rates, skipped };
+    }
+
     // Profile Dropdown Methods
     toggleProfileMenu(e) {
         e.stopPropagation();
@@ -1418,7 +8038,7 @@ class ExpenseTracker {
         document.getElementById('profile-email').textContent = this.currentUser.email;
 
         // Load profile picture if available
-        const savedProfilePicture = localStorage.getItem('profilePicture');
+        const savedProfilePicture = this.storage.getItem('profilePicture');
         if (savedProfilePicture) {
             const profileImg = document.getElementById('profile-img');
             if (profileImg) {
@@ -1430,38 +8050,40 @@ class ExpenseTracker {
     handleLogout() {
         this.closeProfileMenu();
         if (confirm('Are you sure you want to logout?')) {
-            // Clear all data
-            localStorage.removeItem('expenseTrackerCurrentUser');
-            localStorage.removeItem('expenseTrackerUsers');
-            localStorage.removeItem('profilePicture');
-            localStorage.removeItem('preferredCurrency');
+            // Clear session data. The user list is kept: it holds the salts
+            // needed to decrypt each account's data on the next login.
+            this.removeSetting('profilePicture');
+            this.removeSetting('preferredCurrency');
             
             // Reset app state
-            this.currentUser = null;
-            this.transactions = [];
             this.preferredCurrency = 'INR';
             
-            // Show auth screen
-            this.showAuthScreen();
-            
-            this.showNotification('Logged out successfully!', 'success');
+            this.logout();
         }
     }
 }
 
-// Initialize the application
+// Initialize the application. The constructor doesn't touch the DOM, so tests can build
+// an ExpenseTracker around a MemoryStorage and skip init().
 let expenseTracker;
-document.addEventListener('DOMContentLoaded', () => {
-    expenseTracker = new ExpenseTracker();
-});
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        expenseTracker = new ExpenseTracker();
+        expenseTracker.init();
+    });
 
-// Handle window resize for charts
-window.addEventListener('resize', () => {
-    if (expenseTracker && expenseTracker.charts) {
-        Object.values(expenseTracker.charts).forEach(chart => {
-            if (chart && typeof chart.resize === 'function') {
-                chart.resize();
-            }
-        });
-    }
-});
+    // Handle window resize for charts
+    window.addEventListener('resize', () => {
+        if (expenseTracker && expenseTracker.charts) {
+            Object.values(expenseTracker.charts).forEach(chart => {
+                if (chart && typeof chart.resize === 'function') {
+                    chart.resize();
+                }
+            });
+        }
+    });
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ExpenseTracker, IndexedDBStorage, MemoryStorage };
+}
@@ -0,0 +1,678 @@
+// Run with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExpenseTracker, MemoryStorage } = require('./script');
+const { createSyncServer } = require('./server/sync-server');
+
+async function createTracker(storage = new MemoryStorage(), user = null) {
+    const tracker = new ExpenseTracker(storage);
+    // Keeps key derivation quick; the real count only matters against offline guessing
+    tracker.pbkdf2Iterations = 1000;
+    tracker.currentUser = user || await tracker.createUserRecord('Test', 'test@example.com', 'secret123');
+    tracker.encryptionKey = await tracker.importDataKey(await tracker.deriveKeyBytes('secret123', tracker.currentUser));
+    return tracker;
+}
+
+function transaction(id, description, amount) {
+    return { id, type: 'expense', description, amount, category: 'food', date: '2026-10-01', currency: 'INR', account: 'cash' };
+}
+
+test('transactions are stored encrypted with only the id in the clear', async () => {
+    const tracker = await createTracker();
+    tracker.transactions = [transaction('t1', 'Coffee', 4), transaction('t2', 'Groceries', 52)];
+    await tracker.saveTransactions();
+
+    const records = await tracker.storage.getTransactions('test@example.com');
+    assert.deepStrictEqual(records.map(record => Object.keys(record).sort()), [['id', 'payload', 'user'], ['id', 'payload', 'user']]);
+    assert.ok(!JSON.stringify(records).includes('Coffee'));
+
+    const decrypted = await Promise.all(records.map(record => tracker.decryptTransaction(record)));
+    assert.deepStrictEqual(decrypted, tracker.transactions);
+});
+
+test('incremental saves only touch the given transactions', async () => {
+    const tracker = await createTracker();
+    tracker.transactions = [transaction('t1', 'Coffee', 4), transaction('t2', 'Groceries', 52)];
+    await tracker.saveTransactions();
+
+    const edited = { ...tracker.transactions[0], amount: 5 };
+    await tracker.saveTransactions({ put: [edited], remove: ['t2'] });
+
+    const records = await tracker.storage.getTransactions('test@example.com');
+    const decrypted = await Promise.all(records.map(record => tracker.decryptTransaction(record)));
+    assert.deepStrictEqual(decrypted, [edited]);
+});
+
+test('settings saved by one session are read back by the next with the same password', async () => {
+    const storage = new MemoryStorage();
+    const first = await createTracker(storage);
+    await first.saveEncrypted('expenseTrackerBudgets_test@example.com', { food: 300 });
+
+    const second = await createTracker(storage, first.currentUser);
+    assert.deepStrictEqual(await second.loadEncrypted('expenseTrackerBudgets_test@example.com', {}), { food: 300 });
+});
+
+test('data cannot be read with a key from a different password', async () => {
+    const storage = new MemoryStorage();
+    const tracker = await createTracker(storage);
+    await tracker.saveEncrypted('expenseTrackerBudgets_test@example.com', { food: 300 });
+
+    tracker.encryptionKey = await tracker.importDataKey(await tracker.deriveKeyBytes('wrong-password', tracker.currentUser));
+    await assert.rejects(tracker.loadEncrypted('expenseTrackerBudgets_test@example.com', {}));
+});
+
+test('a reload unlocks from the session, which never holds the raw data key', async t => {
+    const entries = new Map();
+    global.sessionStorage = {
+        getItem: key => entries.has(key) ? entries.get(key) : null,
+        setItem: (key, value) => entries.set(key, value),
+        removeItem: key => entries.delete(key)
+    };
+    t.after(() => delete global.sessionStorage);
+
+    const storage = new MemoryStorage();
+    const first = await createTracker(storage);
+    await first.unlockWithPassword('secret123', first.currentUser);
+    await first.saveEncrypted('expenseTrackerBudgets_test@example.com', { food: 300 });
+    assert.strictEqual(first.encryptionKey.extractable, false);
+
+    const keyBytes = first.bufferToBase64(await first.deriveKeyBytes('secret123', first.currentUser));
+    const sessionEntry = entries.get('expenseTrackerSessionKey');
+    assert.ok(!sessionEntry.includes(keyBytes));
+
+    const reloaded = new ExpenseTracker(storage);
+    reloaded.currentUser = first.currentUser;
+    assert.strictEqual(await reloaded.restoreSessionKey(), true);
+    assert.deepStrictEqual(await reloaded.loadEncrypted('expenseTrackerBudgets_test@example.com', {}), { food: 300 });
+
+    // Logging out deletes the wrapping key, so a copied session entry is no use afterwards
+    reloaded.clearSession();
+    entries.set('expenseTrackerSessionKey', sessionEntry);
+    const afterLogout = new ExpenseTracker(storage);
+    afterLogout.currentUser = first.currentUser;
+    assert.strictEqual(await afterLogout.restoreSessionKey(), false);
+});
+
+test('backup records with ids that could break out of markup are rejected', async () => {
+    const tracker = await createTracker();
+    // Read from the currency selector in the page
+    tracker.getSupportedCurrencies = () => ['INR', 'USD'];
+    const backup = tracker.upgradeBackup({
+        schemaVersion: tracker.backupSchemaVersion,
+        transactions: [
+            transaction('t1', 'Coffee', 4),
+            { ...transaction('t2', 'Tea', 3), category: "food');alert(1);//" },
+            { ...transaction('t3', 'Lunch', 9), account: '"><img src=x>' },
+            { ...transaction('t4', 'Dinner', 20), category: null, splits: [{ category: 'food', amount: 10 }, { category: '<b>', amount: 10 }] }
+        ]
+    });
+    const plan = tracker.planBackupImport(backup, 'merge');
+    assert.deepStrictEqual(plan.added.map(t => t.id), ['t1']);
+    assert.strictEqual(plan.invalid, 3);
+
+    assert.ok(tracker.isValidBackupCategory({ id: 'pets', name: 'Pets', icon: 'fas fa-paw', color: '#f59e0b', parent: null }));
+    assert.ok(!tracker.isValidBackupCategory({ id: 'pets', name: 'Pets', icon: 'fas fa-paw', color: 'red;background:url(x)' }));
+    assert.ok(!tracker.isValidBackupCategory({ id: 'pets', name: 'Pets', icon: 'x" onmouseover="alert(1)', color: '#fff' }));
+    assert.ok(!tracker.isValidBackupCategoryRule({ id: 'rule_1', matchType: 'regex', pattern: '(', category: 'food', tags: [] }));
+    assert.ok(!tracker.isValidBackupExchangeRate({ id: "rate_1')", from: 'USD', to: 'INR', rate: 83, effectiveDate: '2026-10-01' }));
+    assert.ok(!tracker.isValidBackupBudget('food"', 300));
+});
+
+// Sync
+
+async function startSyncServer(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'expensetracker-sync-'));
+    const server = createSyncServer({ dataDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// A tracker with sync turned on but nothing scheduled, so tests decide when to push and pull
+async function createSyncedTracker(serverUrl = 'http://127.0.0.1:1', deviceId = 'device-a') {
+    const tracker = await createTracker();
+    tracker.syncKeyIterations = 1000;
+    const credentials = await tracker.deriveSyncCredentials('sync passphrase', 'test@example.com');
+    tracker.sync = {
+        serverUrl, ...credentials, deviceId, lastSeq: 0, clock: 0,
+        records: {}, outbox: [], conflicts: [], lastSyncedAt: null, error: null
+    };
+    tracker.syncKey = await crypto.subtle.importKey('raw', tracker.base64ToBuffer(credentials.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    tracker.scheduleSync = () => {};
+    tracker.queueSyncStateSave = () => {};
+    tracker.refreshAllViews = () => {};
+    return tracker;
+}
+
+test('edits queue only the fields that changed', async () => {
+    const tracker = await createSyncedTracker();
+    tracker.transactions = [transaction('t1', 'Coffee', 4)];
+    tracker.saveTransactions();
+    assert.strictEqual(tracker.sync.outbox.length, 1);
+    assert.deepStrictEqual(tracker.sync.outbox[0].fields, tracker.getSyncFields(tracker.transactions[0]));
+
+    const edited = { ...tracker.transactions[0], amount: 5 };
+    delete edited.account;
+    tracker.transactions = [edited];
+    tracker.saveTransactions({ put: [edited] });
+    assert.deepStrictEqual(tracker.sync.outbox[1].fields, { amount: 5, account: null });
+
+    tracker.saveTransactions({ put: [edited] });
+    assert.strictEqual(tracker.sync.outbox.length, 2);
+    await tracker.storageQueue;
+});
+
+test('a full save queues a deletion for synced transactions that are gone', async () => {
+    const tracker = await createSyncedTracker();
+    tracker.transactions = [transaction('t1', 'Coffee', 4), transaction('t2', 'Groceries', 52)];
+    tracker.saveTransactions();
+
+    tracker.transactions = [tracker.transactions[1]];
+    tracker.saveTransactions();
+    const last = tracker.sync.outbox[tracker.sync.outbox.length - 1];
+    assert.deepStrictEqual([last.key, last.fields], ['t1', { _deleted: true }]);
+
+    // Catching up after a restart doesn't queue it again
+    const queued = () => tracker.sync.outbox.filter(change => change.entity === 'transaction').length;
+    const before = queued();
+    tracker.reconcileSyncState();
+    assert.strictEqual(queued(), before);
+    await tracker.storageQueue;
+});
+
+test('each field keeps the value with the newest clock', async () => {
+    const tracker = await createSyncedTracker();
+    tracker.sync.records['transaction:t1'] = {
+        values: { amount: 4, notes: 'local' },
+        clocks: { amount: [100, 'device-a'], notes: [300, 'device-a'] }
+    };
+
+    const recordId = tracker.applyRemoteChange({ entity: 'transaction', key: 't1', ts: 200, device: 'device-b', fields: { amount: 9, notes: 'remote' } });
+    assert.strictEqual(recordId, 'transaction:t1');
+    assert.deepStrictEqual(tracker.sync.records[recordId].values, { amount: 9, notes: 'local' });
+    assert.deepStrictEqual(tracker.sync.records[recordId].clocks.amount, [200, 'device-b']);
+    assert.strictEqual(tracker.sync.clock, 200);
+
+    // Same clock: the device id breaks the tie, the same way on every device
+    assert.strictEqual(tracker.applyRemoteChange({ entity: 'transaction', key: 't1', ts: 300, device: 'device-0', fields: { notes: 'older' } }), null);
+    tracker.applyRemoteChange({ entity: 'transaction', key: 't1', ts: 300, device: 'device-c', fields: { notes: 'newer' } });
+    assert.strictEqual(tracker.sync.records[recordId].values.notes, 'newer');
+    assert.deepStrictEqual(tracker.sync.conflicts, []);
+});
+
+test('a remote edit to a field with a local change still queued is logged as a conflict', async () => {
+    const tracker = await createSyncedTracker();
+    tracker.transactions = [transaction('t1', 'Coffee', 4)];
+    tracker.saveTransactions();
+    const ts = tracker.sync.clock;
+
+    tracker.applyRemoteChange({ entity: 'transaction', key: 't1', ts: ts + 1, device: 'device-b', fields: { description: 'Tea' } });
+    tracker.applyRemoteChange({ entity: 'transaction', key: 't1', ts: ts - 1, device: 'device-b', fields: { amount: 7 } });
+    tracker.applyRemoteChange({ entity: 'transaction', key: 't1', ts: ts + 1, device: 'device-b', fields: { currency: 'INR' } });
+
+    assert.deepStrictEqual(tracker.sync.conflicts.map(({ field, kept, discarded, keptFrom }) => ({ field, kept, discarded, keptFrom })), [
+        { field: 'amount', kept: 4, discarded: 7, keptFrom: 'this device' },
+        { field: 'description', kept: 'Tea', discarded: 'Coffee', keptFrom: 'other device' }
+    ]);
+    await tracker.storageQueue;
+});
+
+test('synced records are written back into the transactions, keeping local receipts', async () => {
+    const tracker = await createSyncedTracker();
+    const attachments = [{ id: 'a1', name: 'receipt.png' }];
+    tracker.transactions = [{ ...transaction('t1', 'Coffee', 4), attachments }, transaction('t2', 'Groceries', 52)];
+    tracker.saveTransactions();
+    const ts = tracker.sync.clock + 1;
+
+    const touched = [
+        tracker.applyRemoteChange({ entity: 'transaction', key: 't1', ts, device: 'device-b', fields: { amount: 6 } }),
+        tracker.applyRemoteChange({ entity: 'transaction', key: 't2', ts, device: 'device-b', fields: { _deleted: true } }),
+        tracker.applyRemoteChange({ entity: 'collection', key: 'budgets', ts, device: 'device-b', fields: { value: { food: 250 } } })
+    ];
+    const outbox = tracker.sync.outbox.length;
+    tracker.applySyncedRecords(touched);
+    await tracker.storageQueue;
+
+    assert.deepStrictEqual(tracker.transactions, [{ ...transaction('t1', 'Coffee', 6), attachments }]);
+    assert.deepStrictEqual(tracker.budgets, { food: 250 });
+    assert.strictEqual(tracker.sync.outbox.length, outbox);
+
+    const records = await tracker.storage.getTransactions('test@example.com');
+    assert.deepStrictEqual(records.map(record => record.id), ['t1']);
+});
+
+test('joining keeps local collection items the other devices do not have', async () => {
+    const tracker = await createSyncedTracker();
+    const remote = [{ id: 'food', name: 'Food & Dining' }, { id: 'rent', name: 'Rent' }];
+    const local = [{ id: 'food', name: 'Food' }, { id: 'pets', name: 'Pets' }];
+
+    assert.deepStrictEqual(tracker.mergeSyncCollection(remote, local), [...remote, local[1]]);
+    assert.deepStrictEqual(tracker.mergeSyncCollection({ food: 250 }, { food: 300, rent: 900 }), { food: 250, rent: 900 });
+    assert.strictEqual(tracker.mergeSyncCollection('INR', 'USD'), 'INR');
+});
+
+test('two devices converge through the sync server', async t => {
+    const serverUrl = await startSyncServer(t);
+    const first = await createSyncedTracker(serverUrl, 'device-a');
+    const second = await createSyncedTracker(serverUrl, 'device-b');
+    await first.syncRequest(first.sync, '/api/register', { method: 'POST' });
+
+    first.transactions = [transaction('t1', 'Coffee', 4), transaction('t2', 'Groceries', 52)];
+    first.saveTransactions();
+    await first.pushSyncChanges(first.sync);
+    assert.strictEqual(first.sync.outbox.length, 0);
+    assert.strictEqual(await second.pullSyncChanges(second.sync), 2);
+    assert.deepStrictEqual(second.transactions.map(t => t.id).sort(), ['t1', 't2']);
+
+    // Both edit t1 offline; the second device's description is the later one
+    first.transactions[0] = { ...first.transactions[0], description: 'Tea', amount: 5 };
+    first.saveTransactions({ put: [first.transactions[0]] });
+    second.sync.clock = first.sync.clock + 1000;
+    const index = second.transactions.findIndex(t => t.id === 't1');
+    second.transactions[index] = { ...second.transactions[index], description: 'Latte' };
+    second.saveTransactions({ put: [second.transactions[index]] });
+    second.saveTransactions({ remove: ['t2'] });
+    second.transactions = second.transactions.filter(t => t.id !== 't2');
+
+    for (const tracker of [first, second, first]) {
+        await tracker.pullSyncChanges(tracker.sync);
+        await tracker.pushSyncChanges(tracker.sync);
+    }
+    await Promise.all([first.storageQueue, second.storageQueue]);
+
+    assert.deepStrictEqual(first.transactions, [transaction('t1', 'Latte', 5)]);
+    assert.deepStrictEqual(second.transactions, first.transactions);
+    assert.deepStrictEqual(second.sync.conflicts.map(conflict => [conflict.field, conflict.keptFrom]), [['description', 'this device']]);
+});
+
+// CSV import
+
+test('CSV fields keep quoted delimiters, doubled quotes and line breaks', async () => {
+    const tracker = await createTracker();
+    const text = 'Date,Description,Amount\r\n2026-10-01,"Dinner, with ""friends""",-42.50\r\n\r\n2026-10-02,"Two\nlines",10';
+
+    assert.strictEqual(tracker.detectCsvDelimiter(text), ',');
+    assert.strictEqual(tracker.detectCsvDelimiter('Date;Description;Amount'), ';');
+    assert.strictEqual(tracker.detectCsvDelimiter('Date\tDescription\tAmount'), '\t');
+    assert.deepStrictEqual(tracker.parseCSV(text, ','), [
+        ['Date', 'Description', 'Amount'],
+        ['2026-10-01', 'Dinner, with "friends"', '-42.50'],
+        ['2026-10-02', 'Two\nlines', '10']
+    ]);
+});
+
+test('import dates follow the chosen order and reject impossible days', async () => {
+    const tracker = await createTracker();
+
+    assert.strictEqual(tracker.parseImportDate('2026-10-05', 'YMD'), '2026-10-05');
+    assert.strictEqual(tracker.parseImportDate('05/10/2026', 'DMY'), '2026-10-05');
+    assert.strictEqual(tracker.parseImportDate('10/05/26', 'MDY'), '2026-10-05');
+    assert.strictEqual(tracker.parseImportDate('31/02/2026', 'DMY'), null);
+    assert.strictEqual(tracker.parseImportDate('October 5', 'YMD'), null);
+});
+
+test('import amounts understand separators, symbols and negative styles', async () => {
+    const tracker = await createTracker();
+
+    assert.strictEqual(tracker.parseImportAmount('₹1,234.50', '.'), 1234.5);
+    assert.strictEqual(tracker.parseImportAmount('1.234,50 €', ','), 1234.5);
+    assert.strictEqual(tracker.parseImportAmount('-12.50', '.'), -12.5);
+    assert.strictEqual(tracker.parseImportAmount('(12.50)', '.'), -12.5);
+    assert.strictEqual(tracker.parseImportAmount('12.50-', '.'), -12.5);
+    assert.strictEqual(tracker.parseImportAmount('n/a', '.'), null);
+
+    assert.strictEqual(tracker.parseImportType('CR'), 'income');
+    assert.strictEqual(tracker.parseImportType('Debit'), 'expense');
+    assert.strictEqual(tracker.parseImportType('transfer'), null);
+});
+
+test('import categories match by id, name or our own export label', async () => {
+    const tracker = await createTracker();
+    tracker.categories.push({ id: 'coffee', name: 'Coffee', icon: 'fas fa-coffee', color: '#f59e0b', parent: 'food' });
+
+    assert.strictEqual(tracker.matchImportCategory('TRAVEL', 'other'), 'travel');
+    assert.strictEqual(tracker.matchImportCategory(' food & dining ', 'other'), 'food');
+    assert.strictEqual(tracker.matchImportCategory('Food & Dining › Coffee', 'other'), 'coffee');
+    assert.strictEqual(tracker.matchImportCategory('Groceries', 'other'), 'other');
+    assert.strictEqual(tracker.matchImportCategory('', 'other'), 'other');
+});
+
+test('rows already imported or matching an existing transaction are left unselected', async () => {
+    const tracker = await createTracker();
+    tracker.transactions = [
+        { ...transaction('t1', 'Coffee', 4), importId: 'ofx:123:A1' },
+        transaction('t2', 'Groceries', 52)
+    ];
+    const rows = [
+        { date: '2026-10-09', description: 'Cinema', amount: 12, importId: 'ofx:123:A1', error: null },
+        { date: '2026-10-01', description: ' groceries', amount: 52, error: null },
+        { date: '2026-10-02', description: 'Books', amount: 30, error: null },
+        { date: null, description: 'Broken', amount: 30, error: 'Invalid date' }
+    ];
+
+    tracker.markImportDuplicates(rows);
+    assert.deepStrictEqual(rows.map(row => [row.duplicate || false, row.selected]), [
+        ['imported', false],
+        ['likely', false],
+        [false, true],
+        [false, false]
+    ]);
+});
+
+// OFX & QIF import
+
+test('OFX statements in SGML and XML form give the same transactions', async () => {
+    const tracker = await createTracker();
+    tracker.getSupportedCurrencies = () => ['INR', 'USD'];
+    const sgml = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD
+<BANKACCTFROM><ACCTID>12345</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20261001120000<TRNAMT>-42.50<FITID>A1<NAME>Ben &amp; Jerry's
+<STMTTRN><TRNTYPE>POS<DTPOSTED>20261002<TRNAMT>12.00<FITID>A2<MEMO>Card purchase
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20261003<TRNAMT>1500<FITID>A3<NAME>Salary
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+    const xml = `<?xml version="1.0"?>
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD</CURDEF>
+<BANKACCTFROM><ACCTID>12345</ACCTID></BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20261001120000</DTPOSTED><TRNAMT>-42.50</TRNAMT><FITID>A1</FITID><NAME>Ben &amp; Jerry's</NAME></STMTTRN>
+<STMTTRN><TRNTYPE>POS</TRNTYPE><DTPOSTED>20261002</DTPOSTED><TRNAMT>12.00</TRNAMT><FITID>A2</FITID><MEMO>Card purchase</MEMO></STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT</TRNTYPE><DTPOSTED>20261003</DTPOSTED><TRNAMT>1500</TRNAMT><FITID>A3</FITID><NAME>Salary</NAME></STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+    const expected = [
+        { date: '2026-10-01', description: "Ben & Jerry's", amount: -42.5, type: 'expense', category: '', currency: 'USD', importId: 'ofx:12345:A1' },
+        { date: '2026-10-02', description: 'Card purchase', amount: 12, type: 'expense', category: '', currency: 'USD', importId: 'ofx:12345:A2' },
+        { date: '2026-10-03', description: 'Salary', amount: 1500, type: 'income', category: '', currency: 'USD', importId: 'ofx:12345:A3' }
+    ];
+    assert.deepStrictEqual(tracker.parseOFX(sgml), expected);
+    assert.deepStrictEqual(tracker.parseOFX(xml), expected);
+});
+
+test('QIF records pick the date order from the file and skip transfer categories', async () => {
+    const tracker = await createTracker();
+    const qif = [
+        '!Type:Bank',
+        'D25/10/2026', 'T-1,250.00', 'PRent', 'LHousing:Rent', '^',
+        'D03/11/2026', 'T-4.00', 'PCoffee', 'LFood', '^',
+        'D03/11/2026', 'T-4.00', 'PCoffee', 'LFood', '^',
+        'D04/11/2026', 'T500', 'MMoved to savings', 'L[Savings]', '^'
+    ].join('\r\n');
+
+    const rows = tracker.parseQIF(qif);
+    assert.deepStrictEqual(rows.map(({ date, description, amount, type, category }) => [date, description, amount, type, category]), [
+        ['2026-10-25', 'Rent', -1250, 'expense', 'Housing'],
+        ['2026-11-03', 'Coffee', -4, 'expense', 'Food'],
+        ['2026-11-03', 'Coffee', -4, 'expense', 'Food'],
+        ['2026-11-04', 'Moved to savings', 500, 'income', '']
+    ]);
+    // Identical purchases on the same day stay distinct, and re-reading the file gives the same ids
+    assert.notStrictEqual(rows[1].importId, rows[2].importId);
+    assert.deepStrictEqual(tracker.parseQIF(qif).map(row => row.importId), rows.map(row => row.importId));
+
+    assert.strictEqual(tracker.parseQIF("D1/5'26\nT-3\nPBus\n^")[0].date, '2026-01-05');
+});
+
+// Split transactions
+
+test('split lines need two categories, positive amounts and the full total', async () => {
+    const tracker = await createTracker();
+    const read = (lines, amount) => {
+        tracker.editingSplits = lines;
+        return tracker.readSplits(amount);
+    };
+
+    assert.deepStrictEqual(read([{ category: 'food', amount: 30 }, { category: '', amount: 0 }], 30), { error: 'A split needs at least two lines!' });
+    assert.deepStrictEqual(read([{ category: 'food', amount: 30 }, { category: '', amount: 20 }], 50), { error: 'Every split line needs a category and a positive amount!' });
+    assert.deepStrictEqual(read([{ category: 'food', amount: 30 }, { category: 'travel', amount: -5 }], 25), { error: 'Every split line needs a category and a positive amount!' });
+    assert.deepStrictEqual(read([{ category: 'food', amount: 30 }, { category: 'travel', amount: 15 }], 50), { error: 'Split lines add up to 45.00, not 50.00!' });
+    assert.deepStrictEqual(read([{ category: 'food', amount: 30 }, { category: 'food', amount: 20 }], 50), { error: 'Split lines must use at least two different categories!' });
+
+    // Float sums within half a cent count as exact, and lines for the same category are merged
+    assert.deepStrictEqual(read([
+        { category: 'food', amount: 0.1 },
+        { category: 'travel', amount: 0.2 },
+        { category: 'food', amount: 0.2 },
+        { category: '', amount: 0 }
+    ], 0.5), { lines: [{ category: 'food', amount: 0.3 }, { category: 'travel', amount: 0.2 }] });
+});
+
+test('each split line counts towards its own category in the preferred currency', async () => {
+    const tracker = await createTracker();
+    tracker.preferredCurrency = 'INR';
+    tracker.exchangeRates = [{ id: 'rate_1', from: 'USD', to: 'INR', rate: 80, effectiveDate: '2026-01-01' }];
+    tracker.categories.push({ id: 'coffee', name: 'Coffee', icon: 'fas fa-coffee', color: '#f59e0b', parent: 'food' });
+
+    const split = { ...transaction('t1', 'Trip', 50), currency: 'USD', category: null, splits: [{ category: 'coffee', amount: 20 }, { category: 'travel', amount: 30 }] };
+    const plain = transaction('t2', 'Lunch', 400);
+
+    assert.deepStrictEqual(tracker.getCategoryAmounts(plain), [{ category: 'food', amount: 400 }]);
+    assert.deepStrictEqual(tracker.getConvertedCategoryAmounts(split), [{ category: 'coffee', amount: 1600 }, { category: 'travel', amount: 2400 }]);
+    assert.deepStrictEqual(tracker.getExpenseTotalsByCategory([split, plain]), { 'Food & Dining': 2000, Travel: 2400 });
+});
+
+// Search queries
+
+test('search queries split into filters and quoted free text', async () => {
+    const tracker = await createTracker();
+
+    assert.deepStrictEqual(tracker.parseSearchQuery('coffee cat:"Food & Dining" type:exp #Trip tag:work amount>=10 amount:4.5 after:2026-01-01 before:2026-12-31 "big lunch" due:soon after:yesterday'), {
+        terms: ['coffee', 'big lunch', 'due:soon', 'after:yesterday'],
+        categories: ['food & dining'],
+        types: ['exp'],
+        accounts: [],
+        tags: ['trip', 'work'],
+        amounts: [{ operator: '>=', value: 10 }, { operator: '=', value: 4.5 }],
+        after: '2026-01-01',
+        before: '2026-12-31',
+        on: null
+    });
+    assert.deepStrictEqual(tracker.parseSearchQuery('').terms, []);
+});
+
+test('search queries match categories with their parents, accounts by name and every tag', async () => {
+    const tracker = await createTracker();
+    tracker.categories.push({ id: 'coffee', name: 'Coffee', icon: 'fas fa-coffee', color: '#f59e0b', parent: 'food' });
+    tracker.accounts = [{ id: 'cash', name: 'Cash Wallet', type: 'cash', currency: 'INR', openingBalance: 0 }];
+    const latte = { ...transaction('t1', 'Latte', 4.5), category: 'coffee', tags: ['trip', 'work'], notes: 'Airport' };
+    const matches = (query) => tracker.matchesSearchQuery(latte, tracker.parseSearchQuery(query));
+
+    assert.ok(matches('cat:food'));
+    assert.ok(matches('category:dining cat:travel'));
+    assert.ok(!matches('cat:travel'));
+    assert.ok(matches('account:wallet type:exp'));
+    assert.ok(!matches('type:income'));
+    assert.ok(matches('#trip #work'));
+    assert.ok(!matches('#trip #home'));
+    assert.ok(matches('amount=4.5 amount<5'));
+    assert.ok(!matches('amount>4.5'));
+    assert.ok(matches('on:2026-10-01 after:2026-10-01 before:2026-10-01'));
+    assert.ok(!matches('after:2026-10-02'));
+    assert.ok(matches('"latte" airport'));
+    assert.ok(!matches('latte espresso'));
+});
+
+// Recurring transactions
+
+test('recurring dates keep the rule day, clamped to short months', async () => {
+    const tracker = await createTracker();
+
+    assert.strictEqual(tracker.addRecurringInterval('2026-12-31', 'daily', 31), '2027-01-01');
+    assert.strictEqual(tracker.addRecurringInterval('2026-02-25', 'weekly', 25), '2026-03-04');
+    assert.strictEqual(tracker.addRecurringInterval('2026-01-31', 'monthly', 31), '2026-02-28');
+    assert.strictEqual(tracker.addRecurringInterval('2026-02-28', 'monthly', 31), '2026-03-31');
+    assert.strictEqual(tracker.addRecurringInterval('2026-11-30', 'monthly', 30), '2026-12-30');
+    assert.strictEqual(tracker.addRecurringInterval('2028-02-29', 'yearly', 29), '2029-02-28');
+});
+
+test('due recurring occurrences are created once each, up to the end of the rule', async () => {
+    const tracker = await createTracker();
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const first = { ...transaction('t1', 'Parking', 5), date: daysAgo(3) };
+
+    const open = tracker.createRecurringRule(first, 'daily', { endDate: null, maxOccurrences: null });
+    const limited = { ...tracker.createRecurringRule(first, 'daily', { endDate: null, maxOccurrences: 2 }), id: 'rule_limited' };
+    const ended = { ...tracker.createRecurringRule(first, 'daily', { endDate: daysAgo(2), maxOccurrences: null }), id: 'rule_ended' };
+    const paused = { ...tracker.createRecurringRule(first, 'daily', { endDate: null, maxOccurrences: null }), id: 'rule_paused', paused: true };
+    tracker.recurringRules = [open, limited, ended, paused];
+
+    assert.strictEqual(tracker.generateRecurringTransactions(), 5);
+    assert.deepStrictEqual(tracker.transactions.filter(t => t.recurringRuleId === open.id).map(t => [t.id, t.date]), [
+        [`${open.id}_4`, daysAgo(0)],
+        [`${open.id}_3`, daysAgo(1)],
+        [`${open.id}_2`, daysAgo(2)]
+    ]);
+    assert.strictEqual(tracker.transactions.filter(t => t.recurringRuleId === 'rule_limited').length, 1);
+    assert.strictEqual(tracker.transactions.filter(t => t.recurringRuleId === 'rule_ended').length, 1);
+    assert.ok(tracker.isRecurringRuleFinished(limited) && tracker.isRecurringRuleFinished(ended));
+    assert.strictEqual(open.nextDate, tracker.addRecurringInterval(daysAgo(0), 'daily', open.dayOfMonth));
+
+    assert.strictEqual(tracker.generateRecurringTransactions(), 0);
+    await tracker.storageQueue;
+    assert.strictEqual((await tracker.storage.getTransactions('test@example.com')).length, 5);
+});
+
+// Insights
+
+function expense(id, description, amount, date, category = 'food') {
+    return { ...transaction(id, description, amount), date, category };
+}
+
+test('an expense far above the usual for its category is flagged while recent', async () => {
+    const tracker = await createTracker();
+    const usual = [9, 10, 11, 10, 12, 10, 9, 11].map((amount, index) => expense(`u${index}`, 'Lunch', amount, `2026-08-${String(index + 10).padStart(2, '0')}`));
+    tracker.transactions = [
+        ...usual,
+        expense('old', 'Banquet', 200, '2026-09-01'),
+        expense('new', 'Wedding dinner', 250, '2026-10-10'),
+        expense('normal', 'Lunch', 13, '2026-10-12'),
+        expense('trip', 'Flight', 250, '2026-10-11', 'travel')
+    ];
+
+    const insights = tracker.getLargeExpenseInsights('2026-10-15');
+    assert.deepStrictEqual(insights.map(insight => [insight.id, insight.severity]), [['large:new:food', 'warning']]);
+    assert.match(insights[0].message, /^Wedding dinner \(₹250\.00 on Oct 10, 2026\) is unusually large for Food & Dining, where ₹11\.00 is typical$/);
+});
+
+test('month-to-date spending is compared with the same days last month', async () => {
+    const tracker = await createTracker();
+    tracker.transactions = [
+        expense('s1', 'Groceries', 100, '2026-09-03'),
+        expense('s2', 'Train', 100, '2026-09-10', 'travel'),
+        expense('s3', 'Groceries', 500, '2026-09-20'),
+        expense('o1', 'Groceries', 200, '2026-10-04'),
+        expense('o2', 'Train', 100, '2026-10-12', 'travel')
+    ];
+
+    assert.deepStrictEqual(tracker.getCategoryTrendInsights('2026-10-15').map(({ id, severity, message }) => [id, severity, message]), [
+        ['trend:total:2026-10', 'info', 'Total spend is up 50% vs the same days last month (₹300.00 vs ₹200.00)'],
+        ['trend:Food & Dining:2026-10', 'warning', 'Food & Dining spend is up 100% vs the same days last month (₹200.00 vs ₹100.00)']
+    ]);
+    // Too early in the month to say
+    assert.deepStrictEqual(tracker.getCategoryTrendInsights('2026-10-06'), []);
+});
+
+test('regular payments to one merchant are found unless a rule or bill covers them', async () => {
+    const tracker = await createTracker();
+    tracker.transactions = [
+        ...['2026-05-03', '2026-06-03', '2026-07-02', '2026-08-03', '2026-09-04', '2026-10-03'].map((date, index) =>
+            expense(`n${index}`, `NETFLIX.COM ${1000 + index}`, index === 0 ? 449 : 499, date, 'entertainment')),
+        ...['2026-09-01', '2026-09-15', '2026-10-10'].map((date, index) => expense(`c${index}`, 'Cafe Nero', 6, date)),
+        ...['2026-09-02', '2026-09-09', '2026-09-16'].map((date, index) => expense(`g${index}`, 'Gym', 20, date, 'health'))
+    ];
+    tracker.bills = [{ id: 'bill_1', name: 'GYM' }];
+
+    const series = tracker.detectRecurringSeries();
+    assert.deepStrictEqual(series.map(({ key, cadence, amount, count, first, last }) => ({ key, cadence, amount, count, first, last })), [
+        { key: 'netflix com', cadence: 'monthly', amount: 499, count: 6, first: '2026-05-03', last: '2026-10-03' }
+    ]);
+
+    assert.strictEqual(tracker.getMerchantKey('AMAZON Mktp 1234*XY'), tracker.getMerchantKey('Amazon mktp'));
+    assert.strictEqual(tracker.getMedian([4, 1, 3, 2]), 2.5);
+});
+
+test('a subscription is flagged when nothing else in its category was spent for 60 days', async () => {
+    const tracker = await createTracker();
+    const rule = (id, category) => ({
+        ...tracker.createRecurringRule({ ...transaction('t', 'Streaming', 499), category, date: '2026-05-01' }, 'monthly', { endDate: null, maxOccurrences: null }),
+        id
+    });
+    tracker.recurringRules = [rule('rule_tv', 'entertainment'), rule('rule_news', 'education')];
+    tracker.transactions = [
+        { ...expense('r1', 'Streaming', 499, '2026-10-01', 'entertainment'), recurringRuleId: 'rule_tv' },
+        expense('b1', 'Book', 15, '2026-09-20', 'education')
+    ];
+
+    assert.deepStrictEqual(tracker.getUnusedSubscriptionInsights('2026-10-15').map(insight => insight.id), ['unused:rule_tv']);
+});
+
+// Cash-flow forecast
+
+test('trend estimates follow the monthly line but stay between zero and twice the average', async () => {
+    const tracker = await createTracker();
+
+    const rising = tracker.getTrendEstimate([100, 150, 200]);
+    assert.strictEqual(rising.project(1), 250);
+    assert.strictEqual(rising.project(3), 300);
+    assert.strictEqual(rising.variance, 0);
+
+    assert.strictEqual(tracker.getTrendEstimate([300, 200, 100]).project(2), 0);
+
+    // Two months aren't enough for a slope, and one month guesses its own spread
+    const twoMonths = tracker.getTrendEstimate([100, 300]);
+    assert.strictEqual(twoMonths.project(1), 200);
+    assert.strictEqual(twoMonths.variance, 20000);
+    assert.strictEqual(tracker.getTrendEstimate([400]).variance, 10000);
+});
+
+test('forecast events cover rules, overdue bills and future transactions', async () => {
+    const tracker = await createTracker();
+    const rule = (overrides) => ({
+        ...tracker.createRecurringRule({ ...transaction('t', 'Rent', 900), date: '2026-09-05' }, 'monthly', { endDate: null, maxOccurrences: null }),
+        ...overrides
+    });
+    tracker.recurringRules = [
+        rule({ id: 'rule_rent', nextDate: '2026-11-05', maxOccurrences: 3, occurrenceCount: 1 }),
+        rule({ id: 'rule_paused', paused: true })
+    ];
+    tracker.bills = [{ id: 'bill_1', name: 'Power', amount: 60, currency: 'INR', frequency: 'monthly', dueDate: '2026-10-10', dayOfMonth: 10 }];
+    tracker.transactions = [expense('f1', 'Concert', 80, '2026-11-20', 'entertainment'), expense('p1', 'Lunch', 12, '2026-10-14')];
+
+    const events = tracker.getForecastEvents('2026-10-15', '2027-01-31');
+    assert.deepStrictEqual(events.map(event => [event.date, event.type, event.amount]).sort(), [
+        ['2026-10-15', 'expense', 60],
+        ['2026-11-05', 'expense', 900],
+        ['2026-11-10', 'expense', 60],
+        ['2026-11-20', 'expense', 80],
+        ['2026-12-05', 'expense', 900],
+        ['2026-12-10', 'expense', 60],
+        ['2027-01-10', 'expense', 60]
+    ]);
+});
+
+test('the forecast runs the balance forward and reports the first month below zero', async () => {
+    const tracker = await createTracker();
+    const today = new Date().toISOString().split('T')[0];
+    const nextMonth = tracker.getMonthOffset(today.slice(0, 7), 1);
+    tracker.accounts = [{ id: 'cash', name: 'Cash', type: 'cash', currency: 'INR', openingBalance: 1000 }];
+    tracker.recurringRules = [{
+        ...tracker.createRecurringRule({ ...transaction('t', 'Rent', 400), date: `${nextMonth}-01` }, 'monthly', { endDate: null, maxOccurrences: null }),
+        nextDate: `${nextMonth}-01`
+    }];
+
+    const forecast = tracker.computeCashFlowForecast(3);
+    assert.strictEqual(forecast.startingBalance, 1000);
+    assert.deepStrictEqual(forecast.months.map(({ month, expense, balance, low, high }) => [month, expense, balance, low, high]), [
+        [nextMonth, 400, 600, 600, 600],
+        [tracker.getMonthOffset(nextMonth, 1), 400, 200, 200, 200],
+        [tracker.getMonthOffset(nextMonth, 2), 400, -200, -200, -200]
+    ]);
+    assert.strictEqual(forecast.negative, forecast.months[2]);
+});
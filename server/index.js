@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// Starts the sync server: `node server/index.js`, then enter http://localhost:8787 as the
+// sync server in Settings. Configure with PORT, HOST, DATA_DIR and ALLOWED_ORIGIN. Tests
+// run with `node --test server/`.
+const path = require('path');
+const { createSyncServer } = require('./sync-server');
+
+const port = parseInt(process.env.PORT, 10) || 8787;
+const host = process.env.HOST || '127.0.0.1';
+
+const server = createSyncServer({
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    allowedOrigin: process.env.ALLOWED_ORIGIN || '*'
+});
+
+server.listen(port, host, () => {
+    console.log(`ExpenseTracker sync server listening on http://${host}:${port}`);
+});
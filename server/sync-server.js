@@ -0,0 +1,290 @@
+// Sync server for ExpenseTracker Pro. Keeps an append-only change log per user; every
+// change is encrypted in the browser, so the server only ever sees ciphertext, a change id
+// and the id of the device that sent it. Uses Node built-ins only.
+//
+//   GET  /api/health                      -> { ok: true }
+//   POST /api/register                    -> 201 { created: true } or 200 { created: false }
+//   GET  /api/changes?since=<seq>&limit=n -> { changes: [...], latest, more }
+//   POST /api/changes  { changes: [...] } -> { accepted, latest }
+//
+// Requests are authenticated with `Authorization: Basic base64(userId:secret)`. A user id has
+// to be registered before its changes can be read or written; registering an id that already
+// exists only succeeds with the same secret.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USER_ID_PATTERN = /^[a-f0-9]{64}$/;
+const MAX_ID_LENGTH = 100;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class ChangeLogStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.users = null;
+        // scrypt is slow on purpose, so a secret that checked out once is remembered by digest
+        this.verified = new Map();
+        this.logs = new Map();
+        // Appends for one user run one after another so sequence numbers never repeat
+        this.queues = new Map();
+        this.usersQueue = Promise.resolve();
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    loadUsers() {
+        if (!this.users) {
+            this.users = fs.promises.readFile(path.join(this.dataDir, 'users.json'), 'utf8')
+                .then(contents => JSON.parse(contents))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') throw error;
+                    return {};
+                });
+        }
+        return this.users;
+    }
+
+    // Registrations run one after another, so two devices signing up at once cannot both
+    // claim the same user id or overwrite each other's users.json
+    register(userId, secret) {
+        const next = this.usersQueue.catch(() => {}).then(async () => {
+            const users = await this.loadUsers();
+            if (users[userId]) {
+                return await this.authenticate(userId, secret) ? 'existing' : null;
+            }
+
+            const salt = crypto.randomBytes(16).toString('base64');
+            const hash = await scrypt(secret, salt, 32);
+            users[userId] = { salt, hash: hash.toString('base64'), createdAt: new Date().toISOString() };
+            await this.writeFileAtomic(path.join(this.dataDir, 'users.json'), JSON.stringify(users, null, 2));
+            this.verified.set(userId, this.digest(secret));
+            return 'created';
+        });
+        this.usersQueue = next;
+        return next;
+    }
+
+    async authenticate(userId, secret) {
+        const digest = this.digest(secret);
+        if (this.verified.get(userId) === digest) return true;
+
+        const users = await this.loadUsers();
+        const user = users[userId];
+        if (!user) return false;
+
+        const hash = await scrypt(secret, user.salt, 32);
+        if (!crypto.timingSafeEqual(hash, Buffer.from(user.hash, 'base64'))) return false;
+        this.verified.set(userId, digest);
+        return true;
+    }
+
+    digest(secret) {
+        return crypto.createHash('sha256').update(secret).digest('base64');
+    }
+
+    async writeFileAtomic(file, contents) {
+        const temp = `${file}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(temp, contents);
+        await fs.promises.rename(temp, file);
+    }
+
+    logFile(userId) {
+        return path.join(this.dataDir, `${userId}.jsonl`);
+    }
+
+    async getLog(userId) {
+        if (!this.logs.has(userId)) {
+            let lines = [];
+            try {
+                lines = (await fs.promises.readFile(this.logFile(userId), 'utf8')).split('\n').filter(Boolean);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            const changes = lines.map(line => JSON.parse(line));
+            this.logs.set(userId, { changes, ids: new Set(changes.map(change => change.id)) });
+        }
+        return this.logs.get(userId);
+    }
+
+    async getChanges(userId, since, limit) {
+        const log = await this.getLog(userId);
+        // Sequence numbers start at 1 and have no gaps, so `since` is also an index
+        const changes = log.changes.slice(since, since + limit);
+        return { changes, latest: log.changes.length, more: since + changes.length < log.changes.length };
+    }
+
+    appendChanges(userId, incoming) {
+        const previous = this.queues.get(userId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const log = await this.getLog(userId);
+            // A client that lost the response to a push sends the same changes again, and a
+            // batch can repeat an id itself
+            const seen = new Set(log.ids);
+            const fresh = incoming.filter(change => {
+                if (seen.has(change.id)) return false;
+                seen.add(change.id);
+                return true;
+            });
+            const receivedAt = new Date().toISOString();
+            const records = fresh.map((change, index) => ({
+                seq: log.changes.length + index + 1,
+                id: change.id,
+                device: change.device,
+                payload: change.payload,
+                receivedAt
+            }));
+
+            if (records.length > 0) {
+                await fs.promises.appendFile(this.logFile(userId), records.map(record => JSON.stringify(record) + '\n').join(''));
+                records.forEach(record => {
+                    log.changes.push(record);
+                    log.ids.add(record.id);
+                });
+            }
+            return { accepted: records.length, latest: log.changes.length };
+        });
+        this.queues.set(userId, next);
+        return next;
+    }
+}
+
+function parseCredentials(header) {
+    const match = /^Basic\s+(.+)$/i.exec(header || '');
+    if (!match) return null;
+
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+
+    const userId = decoded.slice(0, separator);
+    const secret = decoded.slice(separator + 1);
+    return USER_ID_PATTERN.test(userId) && secret ? { userId, secret } : null;
+}
+
+function readJsonBody(request, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        // Past the limit the rest of the body is read and dropped, so the socket stays open
+        // long enough for the 413 to reach the client
+        request.on('data', chunk => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > maxBodySize) {
+                tooLarge = true;
+                chunks.length = 0;
+                reject(new HttpError(413, 'Request body is too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (tooLarge) return;
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function isValidChange(change) {
+    return change && typeof change === 'object' &&
+        typeof change.id === 'string' && change.id.length > 0 && change.id.length <= MAX_ID_LENGTH &&
+        typeof change.device === 'string' && change.device.length > 0 && change.device.length <= MAX_ID_LENGTH &&
+        change.payload && typeof change.payload.iv === 'string' && typeof change.payload.data === 'string';
+}
+
+function createSyncServer(options = {}) {
+    const store = new ChangeLogStore(options.dataDir || path.join(__dirname, 'data'));
+    const allowedOrigin = options.allowedOrigin || '*';
+    const maxBodySize = options.maxBodySize || 5 * 1024 * 1024;
+    const maxPageSize = 500;
+
+    const send = (response, status, body) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': allowedOrigin,
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            ...(status === 413 ? { Connection: 'close' } : {})
+        });
+        response.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    const handle = async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+            return;
+        }
+        if (url.pathname === '/api/health' && request.method === 'GET') {
+            send(response, 200, { ok: true });
+            return;
+        }
+        if (url.pathname !== '/api/changes' && url.pathname !== '/api/register') {
+            throw new HttpError(404, 'Not found');
+        }
+
+        const credentials = parseCredentials(request.headers.authorization);
+        if (!credentials) {
+            throw new HttpError(401, 'Invalid sync credentials');
+        }
+
+        if (url.pathname === '/api/register') {
+            if (request.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+            const result = await store.register(credentials.userId, credentials.secret);
+            if (!result) throw new HttpError(401, 'This sync account already exists with a different passphrase');
+            send(response, result === 'created' ? 201 : 200, { created: result === 'created' });
+            return;
+        }
+
+        if (!await store.authenticate(credentials.userId, credentials.secret)) {
+            throw new HttpError(401, 'Invalid sync credentials');
+        }
+
+        if (request.method === 'GET') {
+            const since = Math.max(parseInt(url.searchParams.get('since'), 10) || 0, 0);
+            const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || maxPageSize, 1), maxPageSize);
+            send(response, 200, await store.getChanges(credentials.userId, since, limit));
+            return;
+        }
+
+        if (request.method === 'POST') {
+            const body = await readJsonBody(request, maxBodySize);
+            if (!body || !Array.isArray(body.changes) || !body.changes.every(isValidChange)) {
+                throw new HttpError(400, 'Expected { changes: [{ id, device, payload }] }');
+            }
+            send(response, 200, await store.appendChanges(credentials.userId, body.changes));
+            return;
+        }
+
+        throw new HttpError(405, 'Method not allowed');
+    };
+
+    return http.createServer((request, response) => {
+        handle(request, response).catch(error => {
+            if (!(error instanceof HttpError)) {
+                console.error(error);
+            }
+            if (!response.headersSent) {
+                send(response, error.status || 500, { error: error.status ? error.message : 'Internal server error' });
+            }
+        });
+    });
+}
+
+module.exports = { createSyncServer, ChangeLogStore, HttpError };
@@ -0,0 +1,114 @@
+// Run with `node --test server/`
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSyncServer } = require('./sync-server');
+
+const USER_ID = 'a'.repeat(64);
+
+async function startServer(t, options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'expensetracker-sync-'));
+    const server = createSyncServer({ dataDir, ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return (pathname, { secret = 'secret', userId = USER_ID, ...options } = {}) => fetch(`${baseUrl}${pathname}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Basic ${Buffer.from(`${userId}:${secret}`).toString('base64')}`
+        }
+    });
+}
+
+function change(id) {
+    return { id, device: 'device-1', payload: { iv: 'iv', data: `data-${id}` } };
+}
+
+async function push(request, changes, options) {
+    return request('/api/changes', { method: 'POST', body: JSON.stringify({ changes }), ...options });
+}
+
+test('rejects unregistered users and wrong secrets', async t => {
+    const request = await startServer(t);
+
+    assert.strictEqual((await request('/api/changes')).status, 401);
+    assert.strictEqual((await request('/api/register', { method: 'POST' })).status, 201);
+    assert.strictEqual((await request('/api/register', { method: 'POST' })).status, 200);
+    assert.strictEqual((await request('/api/register', { method: 'POST', secret: 'other' })).status, 401);
+    assert.strictEqual((await request('/api/changes', { secret: 'other' })).status, 401);
+    assert.strictEqual((await request('/api/changes')).status, 200);
+});
+
+test('only one of several concurrent first registrations wins', async t => {
+    const request = await startServer(t);
+
+    const statuses = await Promise.all(['one', 'two', 'three', 'four'].map(secret =>
+        request('/api/register', { method: 'POST', secret }).then(response => response.status)
+    ));
+    assert.strictEqual(statuses.filter(status => status === 201).length, 1);
+    assert.strictEqual(statuses.filter(status => status === 401).length, 3);
+
+    const winner = ['one', 'two', 'three', 'four'][statuses.indexOf(201)];
+    assert.strictEqual((await request('/api/changes', { secret: winner })).status, 200);
+});
+
+test('concurrent registrations of different users are all kept', async t => {
+    const request = await startServer(t);
+    const userIds = ['b', 'c', 'd', 'e'].map(char => char.repeat(64));
+
+    const statuses = await Promise.all(userIds.map(userId =>
+        request('/api/register', { method: 'POST', userId }).then(response => response.status)
+    ));
+    assert.deepStrictEqual(statuses, [201, 201, 201, 201]);
+
+    for (const userId of userIds) {
+        assert.strictEqual((await request('/api/changes', { userId })).status, 200);
+    }
+});
+
+test('pages through changes in sequence order', async t => {
+    const request = await startServer(t);
+    await request('/api/register', { method: 'POST' });
+    await push(request, ['c1', 'c2', 'c3', 'c4', 'c5'].map(change));
+
+    const first = await (await request('/api/changes?since=0&limit=2')).json();
+    assert.deepStrictEqual(first.changes.map(item => [item.seq, item.id]), [[1, 'c1'], [2, 'c2']]);
+    assert.strictEqual(first.latest, 5);
+    assert.strictEqual(first.more, true);
+
+    const last = await (await request('/api/changes?since=4&limit=2')).json();
+    assert.deepStrictEqual(last.changes.map(item => item.id), ['c5']);
+    assert.strictEqual(last.more, false);
+});
+
+test('ignores change ids it already has, within and across batches', async t => {
+    const request = await startServer(t);
+    await request('/api/register', { method: 'POST' });
+
+    const first = await (await push(request, [change('c1'), change('c2'), change('c1')])).json();
+    assert.deepStrictEqual(first, { accepted: 2, latest: 2 });
+
+    const retry = await (await push(request, [change('c2'), change('c3')])).json();
+    assert.deepStrictEqual(retry, { accepted: 1, latest: 3 });
+
+    const page = await (await request('/api/changes')).json();
+    assert.deepStrictEqual(page.changes.map(item => [item.seq, item.id]), [[1, 'c1'], [2, 'c2'], [3, 'c3']]);
+});
+
+test('rejects malformed and oversized bodies', async t => {
+    const request = await startServer(t, { maxBodySize: 1024 });
+    await request('/api/register', { method: 'POST' });
+
+    assert.strictEqual((await request('/api/changes', { method: 'POST', body: '{' })).status, 400);
+    assert.strictEqual((await push(request, [{ id: 'c1' }])).status, 400);
+
+    const response = await push(request, [{ ...change('c1'), payload: { iv: 'iv', data: 'x'.repeat(100000) } }]);
+    assert.strictEqual(response.status, 413);
+});
@@ -0,0 +1,98 @@
+// Service worker: keeps the app shell and the vendored chart and PDF libraries cached so the
+// app works without a connection. Shell files are fetched network-first, so a deploy reaches
+// users on their next load without anything here changing. CACHE_VERSION only needs a bump to
+// drop files that are no longer in APP_SHELL; open pages then offer to reload.
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `expensetracker-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'expensetracker-runtime';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'favicon.svg',
+    'manifest.webmanifest',
+    'vendor/chart.umd.min.js',
+    'vendor/jspdf.umd.min.js'
+];
+
+// How long a shell request waits for the network before the cached copy is used instead
+const NETWORK_TIMEOUT = 3000;
+
+// Fonts and icons still come from their CDNs and are kept after the first online visit
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('expensetracker-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// A new version waits until the page asks for it, so a reload never happens mid-edit
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(event, request, new URL('index.html', self.location).href));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(event, request, `${url.origin}${url.pathname}`));
+        return;
+    }
+
+    if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(caches.open(RUNTIME_CACHE).then(async cache => {
+            const cached = await cache.match(request);
+            const network = fetch(request).then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            });
+
+            if (cached) {
+                event.waitUntil(network.catch(() => {}));
+                return cached;
+            }
+            return network;
+        }));
+    }
+});
+
+async function networkFirst(event, request, cacheKey) {
+    const cache = await caches.open(SHELL_CACHE);
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            event.waitUntil(cache.put(cacheKey, response.clone()));
+        }
+        return response;
+    });
+    // A slow response still refreshes the cache for next time
+    event.waitUntil(network.catch(() => {}));
+
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT));
+    const response = await Promise.race([network, timeout]).catch(() => null);
+    if (response && response.ok) return response;
+
+    const cached = await cache.match(cacheKey, { ignoreSearch: true });
+    return cached || response || network;
+}